@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title FirelightMerkleDistributor
+ * @notice Lets the holders of a FirelightVault snapshot claim an ERC20 reward against a Merkle root.
+ *
+ * @dev Leaves are `keccak256(bytes.concat(keccak256(abi.encode(account, amount))))`, the OpenZeppelin standard
+ * Merkle tree encoding produced by `lib/merkle.js` and the snapshot exporter. Each account claims once.
+ * After `claimDeadline`, if any, the owner can recover the unclaimed tokens.
+ *
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightMerkleDistributor is Ownable {
+    using SafeERC20 for IERC20;
+
+    /// @notice The reward token.
+    IERC20 public immutable token;
+
+    /// @notice Root of the Merkle tree of `(account, amount)` claims.
+    bytes32 public immutable merkleRoot;
+
+    /// @notice Timestamp after which claims are closed and the owner can recover the rest, zero for no deadline.
+    uint48 public immutable claimDeadline;
+
+    /// @notice Whether an account has claimed its reward.
+    mapping(address => bool) public isClaimed;
+
+    /**
+     * @notice Emitted when an account claims its reward.
+     * @param account The account the reward was paid to.
+     * @param amount The amount of tokens paid.
+     */
+    event Claimed(address indexed account, uint256 amount);
+
+    /**
+     * @notice Emitted when the owner recovers the unclaimed tokens after the deadline.
+     * @param to The receiver of the tokens.
+     * @param amount The amount of tokens recovered.
+     */
+    event Recovered(address indexed to, uint256 amount);
+
+    error InvalidAddress();
+    error AlreadyClaimed();
+    error InvalidProof();
+    error ClaimsClosed();
+    error ClaimsOpen();
+
+    /**
+     * @param _token The reward token, funded by transferring it to this contract.
+     * @param _merkleRoot Root of the Merkle tree of `(account, amount)` claims.
+     * @param _claimDeadline Timestamp after which claims are closed, zero for no deadline.
+     * @param _owner Address allowed to recover the unclaimed tokens after the deadline.
+     */
+    constructor(IERC20 _token, bytes32 _merkleRoot, uint48 _claimDeadline, address _owner) Ownable(_owner) {
+        if (address(_token) == address(0)) revert InvalidAddress();
+        token = _token;
+        merkleRoot = _merkleRoot;
+        claimDeadline = _claimDeadline;
+    }
+
+    /**
+     * @notice Pays `amount` tokens to `account` if `(account, amount)` is in the Merkle tree. Anyone can claim on
+     * behalf of an account, the tokens always go to the account.
+     * @param account The account of the claim.
+     * @param amount The amount of the claim.
+     * @param proof The Merkle proof of the claim.
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata proof) external {
+        if (claimDeadline != 0 && block.timestamp > claimDeadline) revert ClaimsClosed();
+        if (isClaimed[account]) revert AlreadyClaimed();
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        if (!MerkleProof.verifyCalldata(proof, merkleRoot, leaf)) revert InvalidProof();
+
+        isClaimed[account] = true;
+        token.safeTransfer(account, amount);
+
+        emit Claimed(account, amount);
+    }
+
+    /**
+     * @notice Transfers the unclaimed tokens to `to` once the claim deadline has passed.
+     * @param to The receiver of the tokens.
+     */
+    function recover(address to) external onlyOwner {
+        if (to == address(0)) revert InvalidAddress();
+        if (claimDeadline == 0 || block.timestamp <= claimDeadline) revert ClaimsOpen();
+
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(to, amount);
+
+        emit Recovered(to, amount);
+    }
+}
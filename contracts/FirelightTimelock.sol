@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title FirelightTimelock
+ * @notice Timelock holding the sensitive roles of a FirelightVault and the ownership of its ProxyAdmin.
+ *
+ * @dev Deposit limit updates, period configurations, role grants and upgrades are queued with `schedule`,
+ * can be cancelled by a canceller with `cancel`, and run with `execute` once `getMinDelay()` has passed.
+ * `CallScheduled`, `CallExecuted` and `Cancelled` let off-chain watchers alert on pending changes.
+ * The minimum delay itself can only be changed through the timelock.
+ *
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightTimelock is TimelockController {
+    /**
+     * @param minDelay Initial minimum delay in seconds between scheduling and executing an operation.
+     * @param proposers Addresses granted the PROPOSER_ROLE and CANCELLER_ROLE.
+     * @param executors Addresses granted the EXECUTOR_ROLE, the zero address lets anyone execute.
+     * @param admin Optional address granted the DEFAULT_ADMIN_ROLE, zero keeps the timelock self-administered.
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
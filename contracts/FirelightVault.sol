@@ -1,17 +1,14 @@
 // SPDX-License-Identifier: BUSL-1.1
 pragma solidity 0.8.28;
 
-import {ERC4626Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
 import {ERC20Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
-import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
-import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {Time} from "@openzeppelin/contracts/utils/types/Time.sol";
 
-import {FirelightVaultStorage} from "./FirelightVaultStorage.sol";
+import {FirelightVaultBase} from "./FirelightVaultBase.sol";
 import {Checkpoints} from "./lib/Checkpoints.sol";
 
 /**
@@ -23,20 +20,21 @@ import {Checkpoints} from "./lib/Checkpoints.sol";
  * Instead of transferring assets immediately, these functions create a withdrawal request,
  * which must be completed later via `claimWithdraw` after a set delay.
  *
- * The standard `Withdraw` event is not emitted. Instead, `WithdrawRequest` and `CompleteWithdraw`
- * are used to track the withdrawal process.
+ * The standard `Withdraw` event is not emitted by the delayed withdrawals. Instead, `WithdrawRequest` and
+ * `CompleteWithdraw` are used to track the withdrawal process. Only `instantRedeem`, which transfers the assets
+ * immediately, emits `Withdraw` along with `InstantRedeem`.
  *
  * Off-chain and on-chain tools must account for this custom flow and event structure.
  *
+ * The requests also follow the ERC-7540 asynchronous redemption interface: `requestRedeem`, operators and the
+ * `RedeemRequest` event, with the period at the end of which a request becomes claimable as request ID. The receiver
+ * of a request is its controller, and requests are claimed with `claimWithdraw` rather than the ERC-4626 functions.
+ * A request that spills over several periods because of the withdrawal capacity is one request per period, each with
+ * its own request ID, and `requestRedeem` only returns the last one.
+ *
  * @custom:security-contact securityreport@firelight.finance
  */
-contract FirelightVault is
-    FirelightVaultStorage,
-    ERC4626Upgradeable,
-    AccessControlUpgradeable,
-    PausableUpgradeable,
-    ReentrancyGuardUpgradeable
-{
+contract FirelightVault is FirelightVaultBase {
     using Checkpoints for Checkpoints.Trace256;
     using SafeERC20 for IERC20;
     using Math for uint256;
@@ -49,6 +47,10 @@ contract FirelightVault is
      * @param pauser Address assigned the PAUSE_ROLE at initialization.
      * @param periodConfigurationUpdater Address assigned the PERIOD_CONFIGURATION_UPDATE_ROLE at initialization.
      * @param rescuer Address assigned the RESCUER_ROLE at initialization.
+     * @param rewardDistributor Address assigned the REWARD_DISTRIBUTOR_ROLE at initialization.
+     * @param feeManager Address assigned the FEE_MANAGER_ROLE at initialization.
+     * @param allowlister Address assigned the ALLOWLIST_ROLE at initialization.
+     * @param allocator Address assigned the ALLOCATOR_ROLE at initialization.
      * @param depositLimit Initial total deposit limit.
      * @param periodConfigurationDuration Initial period duration of the vault.
      */
@@ -59,16 +61,14 @@ contract FirelightVault is
         address pauser;
         address periodConfigurationUpdater;
         address rescuer;
+        address rewardDistributor;
+        address feeManager;
+        address allowlister;
+        address allocator;
         uint256 depositLimit;
         uint48 periodConfigurationDuration;
     }
 
-    /**
-     * @notice Emitted when the vault's deposit limit is updated.
-     * @param limit The new maximum amount of assets allowed in the vault.
-     */
-    event DepositLimitUpdated(uint256 limit);
-
     /**
      * @notice Emitted when a new periodConfiguration is added.
      * @param periodConfiguration The details of the newly added periodConfiguration.
@@ -76,7 +76,8 @@ contract FirelightVault is
     event PeriodConfigurationAdded(PeriodConfiguration periodConfiguration);
 
     /**
-     * @notice Emitted when a withdrawal request is created by a user.
+     * @notice Emitted when a withdrawal request is created by a user. A request above the withdrawal capacity of a
+     * period is emitted once per period it spills over into.
      * @param sender The caller who initiated the withdrawal request.
      * @param receiver The address that will receive the assets in the next period.
      * @param owner The address whose shares are being redeemed, using allowance.
@@ -94,67 +95,53 @@ contract FirelightVault is
     );
 
     /**
-     * @notice Emitted when a user successfully claims a withdrawal for a given period.
-     * @param receiver The address that received the withdrawn assets.
-     * @param assets The amount of assets withdrawn.
-     * @param period The period for which the withdrawal was claimed.
+     * @notice Emitted with `WithdrawRequest` for every withdrawal request, as specified by ERC-7540.
+     * @param controller The receiver of the request, which can claim it.
+     * @param owner The address whose shares were redeemed.
+     * @param requestId The period of the request, see {requestRedeem}.
+     * @param sender The caller who initiated the request.
+     * @param shares The number of shares burned for the request.
      */
-    event CompleteWithdraw(address indexed receiver, uint256 assets, uint256 period);
+    event RedeemRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 shares
+    );
 
     /**
-     * @notice Emitted when a user with RESCUER_ROLE successfully rescues shares from a blocklisted address.
-     * @param from The blocklisted address.
-     * @param to The beneficiary of the rescued shares.
-     * @param rescuedShares The amount of shares rescued.
+     * @notice FirelightVaultExtension running the functions this contract does not implement, see {fallback}.
      */
-    event SharesRescuedFromBlocklisted(address from, address to, uint256 rescuedShares);
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
 
     /**
-     * @notice Emitted when a user with RESCUER_ROLE successfully rescues a pending withdrawal from blocklisted address.
-     * @param from The blocklisted address.
-     * @param to The beneficiary of the rescued withdrawals.
-     * @param periods The array of periods rescued.
-     * @param rescuedShares The array of pending shares from withdrawals rescued for each period.
+     * @notice Prevents unauthorized direct deployment via the constructor.
+     * @param _extension The FirelightVaultExtension to forward unknown calls to.
      */
-    event WithdrawRescuedFromBlocklisted(address from, address to, uint256[] periods, uint256[] rescuedShares);
-
-    error BlocklistedAddress();
-    error NotBlocklistedAddress();
-    error DepositLimitExceeded();
-    error InvalidDepositLimit();
-    error InvalidPeriodConfigurationEpoch();
-    error InvalidPeriodConfigurationDuration();
-    error InsufficientShares();
-    error InvalidAssetAddress();
-    error InvalidAdminAddress();
-    error InvalidAddress();
-    error InvalidAmount();
-    error InvalidPeriod();
-    error CurrentPeriodConfigurationNotLast();
-    error InvalidArrayLength();
-    error AlreadyClaimedPeriod(uint256 period);
-    error NoWithdrawalAmount(uint256 period);
-
-    modifier notBlocklisted(address account) {
-        if (isBlocklisted[account]) {
-            revert BlocklistedAddress();
-        }
-        _;
-    }
-    
-    modifier onlyBlocklisted(address account) {
-        if (!isBlocklisted[account]) {
-            revert NotBlocklistedAddress();
-        }
-        _;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) {
+        extension = _extension;
+        _disableInitializers();
     }
 
     /**
-     * @notice Prevents unauthorized direct deployment via the constructor.
+     * @notice Runs the functions of the FirelightVaultExtension, such as the historical lookups, on the storage of
+     * this vault. They are kept in a separate contract to stay below the contract size limit of 24576 bytes.
      */
-    /// @custom:oz-upgrades-unsafe-allow constructor
-    constructor() {
-        _disableInitializers();
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        address target = extension;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 
     /**
@@ -195,7 +182,8 @@ contract FirelightVault is
 
         depositLimit = initParams.depositLimit;
         _addPeriodConfiguration(Time.timestamp(), initParams.periodConfigurationDuration);
-        contractVersion = 1;
+        contractVersion = implementationVersion();
+        timeWeightStart = Time.timestamp();
 
         _grantRole(DEFAULT_ADMIN_ROLE, initParams.defaultAdmin);
 
@@ -218,6 +206,30 @@ contract FirelightVault is
         if (initParams.rescuer != address(0)) {
             _grantRole(RESCUER_ROLE, initParams.rescuer);
         }
+
+        if (initParams.rewardDistributor != address(0)) {
+            _grantRole(REWARD_DISTRIBUTOR_ROLE, initParams.rewardDistributor);
+        }
+
+        if (initParams.feeManager != address(0)) {
+            _grantRole(FEE_MANAGER_ROLE, initParams.feeManager);
+        }
+
+        if (initParams.allowlister != address(0)) {
+            _grantRole(ALLOWLIST_ROLE, initParams.allowlister);
+        }
+
+        if (initParams.allocator != address(0)) {
+            _grantRole(ALLOCATOR_ROLE, initParams.allocator);
+        }
+    }
+
+    /**
+     * @notice Returns the version of this implementation. Every upgrade must increase it.
+     * @return The implementation version.
+     */
+    function implementationVersion() public pure virtual returns (uint64) {
+        return 2;
     }
 
     /**
@@ -241,27 +253,6 @@ contract FirelightVault is
         return periodConfiguration;
     }
 
-    /**
-     * @notice Returns the period configuration corresponding to a given period number.
-     * @dev Return value may be unreliable if period number given is far away in the future
-     * @dev given that new period configurations can be added after nextPeriodEnd().
-     * @param periodNumber The period number to find the period configuration for.
-     * @return The period configuration corresponding to the given period number.
-     */
-    function periodConfigurationAtNumber(uint256 periodNumber) external view returns (PeriodConfiguration memory) {
-        uint256 length = periodConfigurations.length;
-        if (length == 0) revert InvalidPeriod();
-
-        PeriodConfiguration memory periodConfiguration;
-        for (uint256 i = 0; i < length; i++) {
-            if (periodNumber < periodConfigurations[i].startingPeriod)
-                break;
-            periodConfiguration = periodConfigurations[i];
-        }
-        if (periodConfiguration.epoch == 0) revert InvalidPeriod();
-        return periodConfiguration;
-    }
-
     /**
      * @notice Returns the period number for the timestamp given.
      * @dev Return value may be unreliable if period number given is far away in the future
@@ -290,15 +281,6 @@ contract FirelightVault is
         return periodAtTimestamp(Time.timestamp());
     }
 
-    /**
-     * @notice Returns the start timestamp of the current period.
-     * @return Timestamp of the current period start.
-     */
-    function currentPeriodStart() external view returns (uint48) {
-        PeriodConfiguration memory currentPC = currentPeriodConfiguration();
-        return currentPC.epoch + (_nowSinceEpoch(currentPC.epoch) / currentPC.duration) * currentPC.duration;
-    }
-
     /**
      * @notice Returns the end timestamp of the current period.
      * @return Timestamp of the current period end.
@@ -325,7 +307,7 @@ contract FirelightVault is
      */
     function maxDeposit(address receiver) public view override returns (uint256 amount) {
         uint256 assets = totalAssets();
-        if (isBlocklisted[receiver] || paused() || assets > depositLimit) {
+        if (isBlocklisted[receiver] || !_isAllowed(receiver) || paused() || depositsPaused || assets > depositLimit) {
             return 0;
         } else {
             return depositLimit - assets;
@@ -338,9 +320,9 @@ contract FirelightVault is
      * @return amount Maximum amount of shares that can be minted.
      */
     function maxMint(address receiver) public view override returns (uint256 amount) {
-        uint256 shares = totalSupply();
+        uint256 shares = _totalSupplyAfterFees();
         uint256 sharesLimit = convertToShares(depositLimit);
-        if (isBlocklisted[receiver] || paused() || shares > sharesLimit) {
+        if (isBlocklisted[receiver] || !_isAllowed(receiver) || paused() || depositsPaused || shares > sharesLimit) {
             return 0;
         } else {
             return sharesLimit - shares;
@@ -354,7 +336,7 @@ contract FirelightVault is
      * @return amount Maximum amount of assets that can be withdrawn.
      */
     function maxWithdraw(address owner) public view override returns (uint256 amount) {
-        if (isBlocklisted[owner] || paused()) {
+        if (isBlocklisted[owner] || paused() || withdrawRequestsPaused) {
             return 0;
         } else {
             return _convertToAssets(balanceOf(owner), Math.Rounding.Floor);
@@ -368,7 +350,7 @@ contract FirelightVault is
      * @param amount Maximum amount of shares that can be redeemed.
      */
     function maxRedeem(address owner) public view override returns (uint256 amount) {
-        if (isBlocklisted[owner] || paused()) {
+        if (isBlocklisted[owner] || paused() || withdrawRequestsPaused) {
             return 0;
         } else {
             return balanceOf(owner);
@@ -376,90 +358,14 @@ contract FirelightVault is
     }
 
     /**
-     * @notice Returns the total assets in the vault excluding those marked for withdrawal.
-     * @return The total assets held by the vault.
-     */
-    function totalAssets() public view override returns (uint256) {
-        return super.totalAssets() - pendingWithdrawAssets;
-    }
-
-    /**
-     * @notice Returns the effective total shares for `account` at a specific `timestamp`.
-     * @param account The address whose share balance is being queried.
-     * @param timestamp The point in time for which the balance is being checked.
-     * @return The shares owned by `account` at the specified time.
-     */
-    function balanceOfAt(address account, uint48 timestamp) external view returns (uint256) {
-        return _traceBalanceOf[account].upperLookupRecent(timestamp);
-    }
-
-    /**
-     * @notice Returns the total supply of shares at a specific `timestamp`.
-     * @param timestamp The point in time for which the total supply is being checked.
-     * @return The total shares in existence at the specified time.
-     */
-    function totalSupplyAt(uint48 timestamp) external view returns (uint256) {
-        return _traceTotalSupply.upperLookupRecent(timestamp);
-    }
-
-    /**
-     * @notice Returns the total underlying assets held by the vault at a specific `timestamp`, excluding any assets
-     * marked for withdrawal.
-     * @param timestamp The point in time for which the total assets are being checked.
-     * @return The total underlying assets held by the vault at the specified time.
-     */
-    function totalAssetsAt(uint48 timestamp) external view returns (uint256) {
-        return _traceTotalAssets.upperLookupRecent(timestamp);
-    }
-
-    /**
-     * @notice Returns the amount that was made withdrawable for the given period and account, whether claimed or not.
-     * @param period Period number to check.
-     * @param account Account address.
-     * @return Amount of assets claimable for that period.
-     */
-    function withdrawalsOf(uint256 period, address account) external view returns (uint256) {
-        return
-            _convertToAssetsTotals(
-                withdrawSharesOf[period][account],
-                withdrawShares[period],
-                withdrawAssets[period],
-                Math.Rounding.Floor
-            );
-    }
-
-    /**
-     * @notice Returns the length of the periodConfigurations array.
-     * @return Length of the periodConfigurations array.
-     */
-    function periodConfigurationsLength() public view returns (uint256) {
-        return periodConfigurations.length;
-    }
-
-    /**
-     * @notice Pauses the contract. Requires PAUSE_ROLE.
-     */
-    function pause() external onlyRole(PAUSE_ROLE) {
-        _pause();
-    }
-
-    /**
-     * @notice Unpauses the contract. Requires PAUSE_ROLE.
+     * @notice Returns whether the vault implements an interface, including the ERC-7540 operator interface
+     * (0xe3bc4e65). The ERC-7540 asynchronous redemption and ERC-7575 interfaces are not reported, since the claims
+     * and the ERC-4626 functions do not follow their semantics.
+     * @param interfaceId The ERC-165 identifier of the interface.
+     * @return Whether the interface is supported.
      */
-    function unpause() external onlyRole(PAUSE_ROLE) {
-        _unpause();
-    }
-
-    /**
-     * @notice Updates the maximum deposit limit for the vault. Requires DEPOSIT_LIMIT_UPDATE_ROLE.
-     * @param newLimit The new deposit limit.
-     */
-    function updateDepositLimit(uint256 newLimit) external onlyRole(DEPOSIT_LIMIT_UPDATE_ROLE) {
-        if (newLimit == 0) {
-            revert InvalidDepositLimit();
-        }
-        depositLimit = newLimit;
-        emit DepositLimitUpdated(newLimit);
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == 0xe3bc4e65 || super.supportsInterface(interfaceId);
     }
 
     /**
@@ -472,24 +378,7 @@ contract FirelightVault is
     }
 
     /**
-     * @notice Adds an address to the blocklist. Requires BLOCKLIST_ROLE.
-     * @param account Address to blocklist. Cannot be zero address nor blocklisted.
-     */
-    function addToBlocklist(address account) external onlyRole(BLOCKLIST_ROLE) notBlocklisted(account) {
-        if (account == address(0)) revert InvalidAddress();
-        isBlocklisted[account] = true;
-    }
-
-    /**
-     * @notice Removes an address from the blocklist. Requires BLOCKLIST_ROLE.
-     * @param account Address to remove from blocklist. Must be blocklisted.
-     */
-    function removeFromBlocklist(address account) external onlyRole(BLOCKLIST_ROLE) onlyBlocklisted(account) {
-        isBlocklisted[account] = false;
-    }
-
-    /**
-     * @notice Transfers shares to an address, with blocklist and pause checks.
+     * @notice Transfers shares to an address, with blocklist, allowlist and pause checks.
      * @param to Recipient address.
      * @param shares Number of shares to transfer.
      * @return Boolean indicating transfer success.
@@ -500,23 +389,24 @@ contract FirelightVault is
     )
         public
         override(ERC20Upgradeable, IERC20)
-        whenNotPaused
+        whenTransfersNotPaused
         notBlocklisted(_msgSender())
         notBlocklisted(to)
+        onlyAllowlisted(to)
         returns (bool)
     {
         super.transfer(to, shares);
 
         uint48 ts = Time.timestamp();
         address sender = _msgSender();
-        _traceBalanceOf[sender].push(ts, balanceOf(sender));
-        _traceBalanceOf[to].push(ts, balanceOf(to));
+        _pushBalance(sender, ts, balanceOf(sender));
+        _pushBalance(to, ts, balanceOf(to));
 
         return true;
     }
 
     /**
-     * @notice Transfers shares from one account to another using allowance, with blocklist and pause checks.
+     * @notice Transfers shares from one account to another using allowance, with blocklist, allowlist and pause checks.
      * @param from Address sending the shares.
      * @param to Address receiving the shares.
      * @param shares Number of shares to transfer.
@@ -529,23 +419,24 @@ contract FirelightVault is
     )
         public
         override(ERC20Upgradeable, IERC20)
-        whenNotPaused
+        whenTransfersNotPaused
         notBlocklisted(_msgSender())
         notBlocklisted(from)
         notBlocklisted(to)
+        onlyAllowlisted(to)
         returns (bool)
     {
         super.transferFrom(from, to, shares);
 
         uint48 ts = Time.timestamp();
-        _traceBalanceOf[from].push(ts, balanceOf(from));
-        _traceBalanceOf[to].push(ts, balanceOf(to));
+        _pushBalance(from, ts, balanceOf(from));
+        _pushBalance(to, ts, balanceOf(to));
 
         return true;
     }
         
     /**
-     * @notice Deposits assets into the vault and receive shares, with blocklist and pause checks.
+     * @notice Deposits assets into the vault and receive shares, with blocklist, allowlist and pause checks.
      * @param assets Amount of assets to deposit.
      * @param receiver Address receiving the shares.
      * @return Amount of shares received.
@@ -556,9 +447,11 @@ contract FirelightVault is
     )
         public
         override
-        whenNotPaused
+        whenDepositsNotPaused
         notBlocklisted(_msgSender())
         notBlocklisted(receiver)
+        onlyAllowlisted(_msgSender())
+        onlyAllowlisted(receiver)
         nonReentrant
         returns (uint256)
     {
@@ -576,7 +469,8 @@ contract FirelightVault is
     }
 
     /**
-     * @notice Mints shares by depositing the required amount of assets into the vault, with blocklist and pause checks.
+     * @notice Mints shares by depositing the required amount of assets into the vault,
+     * with blocklist, allowlist and pause checks.
      * @param shares Amount of shares to mint.
      * @param receiver Address receiving the shares.
      * @return Amount of assets deposited.
@@ -587,9 +481,11 @@ contract FirelightVault is
     )
         public
         override
-        whenNotPaused
+        whenDepositsNotPaused
         notBlocklisted(_msgSender())
         notBlocklisted(receiver)
+        onlyAllowlisted(_msgSender())
+        onlyAllowlisted(receiver)
         nonReentrant
         returns (uint256)
     {
@@ -607,46 +503,22 @@ contract FirelightVault is
     }
 
     /**
-     * @notice Redeems shares from the vault and receives underlying assets, with blocklist and pause checks.
+     * @notice Redeems shares from the vault and receives underlying assets, with blocklist, allowlist and pause checks.
      * Creates a withdrawal request, which will be available in the next period. Shares are burned.
+     * Above the withdrawal capacity of the next period, the request spills over into the following ones.
      * @param shares Amount of shares to redeem.
      * @param receiver Address to receive the assets in the next period.
      * @param owner Address whose shares are being redeemed.
-     * @return Amount of assets that will be received in the next period.
+     * @return assets Amount of assets that will be received in the next period.
      */
-    function redeem(
-        uint256 shares,
-        address receiver,
-        address owner
-    )
-        public
-        override
-        whenNotPaused
-        notBlocklisted(_msgSender())
-        notBlocklisted(owner)
-        notBlocklisted(receiver)
-        nonReentrant
-        returns (uint256)
-    {
-        if (shares == 0) revert InvalidAmount();
-
-        (uint256 assets, uint256 _totalSupply, uint256 _totalAssets) = _previewTotals(
-            shares,
-            false,
-            Math.Rounding.Floor
-        );
-
-        uint256 ownerBalance = _requestWithdraw(assets, shares, receiver, owner);
-
-        _logTrace(owner, ownerBalance, _totalSupply - shares, _totalAssets - assets, true);
-
-        return assets;
+    function redeem(uint256 shares, address receiver, address owner) public override returns (uint256 assets) {
+        (assets, ) = _redeem(shares, receiver, owner);
     }
 
     /**
-     * @notice Initiates a withdrawal request from the vault, with blocklist and pause checks.
+     * @notice Initiates a withdrawal request from the vault, with blocklist, allowlist and pause checks.
      * The request becomes claimable starting from the period after the next full period.
-     * The calculated shares are burned.
+     * The calculated shares are burned. Above the withdrawal capacity, the request spills over like in {redeem}.
      * @param assets The amount of assets to withdraw.
      * @param receiver The address to receive the assets in the next period.
      * @param owner The address whose shares are being withdrawn.
@@ -659,10 +531,11 @@ contract FirelightVault is
     )
         public
         override
-        whenNotPaused
+        whenWithdrawRequestsNotPaused
         notBlocklisted(_msgSender())
         notBlocklisted(owner)
         notBlocklisted(receiver)
+        onlyAllowlisted(receiver)
         nonReentrant
         returns (uint256)
     {
@@ -670,7 +543,7 @@ contract FirelightVault is
 
         (uint256 shares, uint256 _totalSupply, uint256 _totalAssets) = _previewTotals(assets, true, Math.Rounding.Ceil);
 
-        uint256 ownerBalance = _requestWithdraw(assets, shares, receiver, owner);
+        (uint256 ownerBalance, ) = _requestWithdraw(assets, shares, receiver, owner);
 
         _logTrace(owner, ownerBalance, _totalSupply - shares, _totalAssets - assets, true);
 
@@ -678,101 +551,107 @@ contract FirelightVault is
     }
 
     /**
-     * @notice Claims a pending withdrawal for a given period.
-     * Transfers the corresponding assets to the caller if not already claimed.
-     * Can only be called after the specified period has ended.
-     * Reverts if the withdrawal has already been claimed or if no withdrawal amount is available for the period.
-     * @param period The period number for which to claim the withdrawal.
-     * @return assets The amount of assets transferred to the caller.
+     * @notice ERC-7540 request to redeem `shares` of `owner`, the same withdrawal request as {redeem}.
+     * The caller must be `owner`, an operator of `owner` or have an allowance.
+     * @param shares Amount of shares to redeem.
+     * @param controller Address that receives the assets once the request is claimable, and can cancel it.
+     * @param owner Address whose shares are being redeemed.
+     * @return requestId The last period of the request, at the end of which it is fully claimable with
+     * `claimWithdraw(requestId)`. Above the withdrawal capacity, the request spills over into several periods, each
+     * part being a request of its own with its period as request ID and its `RedeemRequest` event: only the last part
+     * is reported under the returned ID by `pendingRedeemRequest` and `claimableRedeemRequest`.
      */
-    function claimWithdraw(
-        uint256 period
-    ) external whenNotPaused notBlocklisted(_msgSender()) returns (uint256 assets) {
-        if (period >= currentPeriod()) revert InvalidPeriod();
-
-        address sender = _msgSender();
-        if (isWithdrawClaimed[period][sender]) revert AlreadyClaimedPeriod(period);
-
-        assets = _convertToAssetsTotals(
-            withdrawSharesOf[period][sender],
-            withdrawShares[period],
-            withdrawAssets[period],
-            Math.Rounding.Floor
-        );
-
-        if (assets == 0) revert NoWithdrawalAmount(period);
-
-        pendingWithdrawAssets -= assets;
-        isWithdrawClaimed[period][sender] = true;
-
-        IERC20(asset()).safeTransfer(sender, assets);
-
-        emit CompleteWithdraw(sender, assets, period);
+    function requestRedeem(uint256 shares, address controller, address owner) external returns (uint256 requestId) {
+        (, requestId) = _redeem(shares, controller, owner);
     }
 
     /**
-     * @notice Rescues shares from a blocklisted address. Requires RESCUER_ROLE.
-     * @param from The blocklisted address.
-     * @param to The address to transfer the shares. Must not be blocklisted.
+     * @notice Deposits assets approved in the same transaction by an EIP-2612 permit of the caller on the asset.
+     * A failed permit, e.g. front-run with the same signature, is ignored so that an existing allowance still works.
+     * @param assets Amount of assets to deposit, the value of the permit.
+     * @param receiver Address receiving the shares.
+     * @param deadline Timestamp until which the permit is valid.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of shares received.
      */
-    function rescueSharesFromBlocklisted(
-        address from,
-        address to
-    ) 
-        external 
-        onlyRole(RESCUER_ROLE)
-        onlyBlocklisted(from)
-        notBlocklisted(to)
-    {       
-        uint256 rescuedShares = balanceOf(from);
-        if( rescuedShares == 0) revert InsufficientShares();
-
-        _transfer(from, to, rescuedShares);
-
-        uint48 ts = Time.timestamp();
-        _traceBalanceOf[from].push(ts, 0);
-        _traceBalanceOf[to].push(ts, balanceOf(to));
+    function depositWithPermit(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256) {
+        _permitAsset(assets, deadline, v, r, s);
+        return deposit(assets, receiver);
+    }
 
-        emit SharesRescuedFromBlocklisted(from, to, rescuedShares);
+    /**
+     * @notice Mints shares with assets approved in the same transaction by an EIP-2612 permit of the caller on the
+     * asset, see {depositWithPermit}.
+     * @param shares Amount of shares to mint.
+     * @param receiver Address receiving the shares.
+     * @param maxAssets The value of the permit, at least the assets required to mint `shares`.
+     * @param deadline Timestamp until which the permit is valid.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of assets deposited.
+     */
+    function mintWithPermit(
+        uint256 shares,
+        address receiver,
+        uint256 maxAssets,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256) {
+        _permitAsset(maxAssets, deadline, v, r, s);
+        return mint(shares, receiver);
     }
 
     /**
-    * @notice Rescues pending withdrawals from a blocklisted address. Requires RESCUER_ROLE.
-    * @param from The blocklisted address.
-    * @param to The address to transfer the shares to. Must not be blocklisted.
-    * @param periods An array of periods to rescue.
-    */
-    function rescueWithdrawFromBlocklisted(
-        address from,
-        address to,
-        uint256[] calldata periods
-    ) 
-        external
-        onlyRole(RESCUER_ROLE)
-        onlyBlocklisted(from)
-        notBlocklisted(to)
-    {
-        if (to == address(0)) revert InvalidAddress();
-
-        uint256 len = periods.length;
-        if(len == 0 ) revert InvalidArrayLength();
-
-        uint256[] memory rescuedShares = new uint256[](len);      
-        for (uint256 i = 0; i < len; i++) {
-            uint256 _withdrawOf = withdrawSharesOf[periods[i]][from];
-
-            if (isWithdrawClaimed[periods[i]][from]) revert AlreadyClaimedPeriod(periods[i]);
-            if (isWithdrawClaimed[periods[i]][to]) revert AlreadyClaimedPeriod(periods[i]);
-            if (_withdrawOf == 0) revert NoWithdrawalAmount(periods[i]);
-  
-            withdrawSharesOf[periods[i]][to] += _withdrawOf;
-            withdrawSharesOf[periods[i]][from] = 0;
-            isWithdrawClaimed[periods[i]][from] = true;
-            
-            rescuedShares[i] = _withdrawOf;
-        }
+     * @notice Redeems the shares of `owner` approved to the caller in the same transaction by an EIP-2612 permit of
+     * `owner` on the vault shares, e.g. for a third party redeeming on behalf of its users. See {redeem}.
+     * A failed permit is ignored so that an existing allowance still works.
+     * @param shares Amount of shares to redeem, the value of the permit.
+     * @param receiver Address to receive the assets in the next period.
+     * @param owner Address whose shares are being redeemed, the signer of the permit.
+     * @param deadline Timestamp until which the permit is valid.
+     * @param v Recovery byte of the permit signature.
+     * @param r First half of the permit signature.
+     * @param s Second half of the permit signature.
+     * @return Amount of assets that will be received in the next period.
+     */
+    function redeemWithPermit(
+        uint256 shares,
+        address receiver,
+        address owner,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256) {
+        // The share permit is implemented by the extension, reached through the fallback
+        try IERC20Permit(address(this)).permit(owner, _msgSender(), shares, deadline, v, r, s) {} catch {}
+        return redeem(shares, receiver, owner);
+    }
 
-        emit WithdrawRescuedFromBlocklisted(from, to, periods, rescuedShares);
+    /**
+     * @notice Claims a pending withdrawal for a given period.
+     * Transfers the corresponding assets to the caller if not already claimed.
+     * Can only be called after the specified period has ended.
+     * Reverts if the withdrawal has already been claimed or if no withdrawal amount is available for the period.
+     * @param period The period number for which to claim the withdrawal.
+     * @return assets The amount of assets transferred to the caller.
+     */
+    function claimWithdraw(
+        uint256 period
+    ) external whenClaimsNotPaused notBlocklisted(_msgSender()) returns (uint256 assets) {
+        return _claimWithdraw(_msgSender(), period, currentPeriod());
     }
 
     function _depositFunds(
@@ -788,26 +667,79 @@ contract FirelightVault is
 
         if (_totalAssets > depositLimit) revert DepositLimitExceeded();
 
+        trackedAssets += assets;
         _deposit(caller, receiver, assets, shares);
 
         _logTrace(receiver, balanceOf(receiver), _totalSupply, _totalAssets, true);
     }
 
+    function _redeem(
+        uint256 shares,
+        address receiver,
+        address owner
+    )
+        private
+        whenWithdrawRequestsNotPaused
+        notBlocklisted(_msgSender())
+        notBlocklisted(owner)
+        notBlocklisted(receiver)
+        onlyAllowlisted(receiver)
+        nonReentrant
+        returns (uint256 assets, uint256 lastPeriod)
+    {
+        if (shares == 0) revert InvalidAmount();
+
+        uint256 _totalSupply;
+        uint256 _totalAssets;
+        (assets, _totalSupply, _totalAssets) = _previewTotals(shares, false, Math.Rounding.Floor);
+
+        uint256 ownerBalance;
+        (ownerBalance, lastPeriod) = _requestWithdraw(assets, shares, receiver, owner);
+
+        _logTrace(owner, ownerBalance, _totalSupply - shares, _totalAssets - assets, true);
+    }
+
     function _requestWithdraw(
         uint256 assets,
         uint256 shares,
         address receiver,
         address owner
-    ) private returns (uint256 ownerBalance) {
+    ) private returns (uint256 ownerBalance, uint256 period) {
         if (receiver == address(0) || owner == address(0)) revert InvalidAddress();
 
         ownerBalance = balanceOf(owner);
         if (shares > ownerBalance) revert InsufficientShares();
         ownerBalance -= shares;
 
-        address sender = _msgSender();
+        pendingWithdrawAssets += assets;
+
+        _spendSharesAllowance(owner, _msgSender(), shares);
 
-        uint256 period = currentPeriod() + 1;
+        _update(owner, address(0), shares);
+
+        // Above the withdrawal capacity of a period, the request spills over into the following ones
+        period = currentPeriod();
+        uint256 lastPeriod = period + MAX_SPILLOVER_PERIODS;
+        do {
+            if (period == lastPeriod) revert TooManySpilloverPeriods();
+            period++;
+            uint256 periodAssets = Math.min(assets, _withdrawCapacityLeft(period));
+            if (periodAssets == 0 && assets != 0) continue;
+
+            uint256 periodShares = periodAssets == assets ? shares : shares.mulDiv(periodAssets, assets);
+            _addWithdrawRequest(period, periodAssets, periodShares, receiver, owner);
+            assets -= periodAssets;
+            shares -= periodShares;
+        } while (assets != 0);
+    }
+
+    function _addWithdrawRequest(
+        uint256 period,
+        uint256 assets,
+        uint256 shares,
+        address receiver,
+        address owner
+    ) private {
         uint256 sharesWithdraw = _convertToSharesTotals(
             assets,
             withdrawShares[period],
@@ -817,62 +749,10 @@ contract FirelightVault is
         withdrawAssets[period] += assets;
         withdrawShares[period] += sharesWithdraw;
         withdrawSharesOf[period][receiver] += sharesWithdraw;
+        _redeemRequestSharesOf[period][receiver] += shares;
 
-        pendingWithdrawAssets += assets;
-
-        if (sender != owner) {
-            _spendAllowance(owner, sender, shares);
-        }
-
-        _update(owner, address(0), shares);
-
-        emit WithdrawRequest(sender, receiver, owner, period, assets, shares);
-    }
-
-    function _previewTotals(
-        uint256 assetsOrShares,
-        bool isAssets,
-        Math.Rounding rounding
-    ) private view returns (uint256 amount, uint256 _totalSupply, uint256 _totalAssets) {
-        _totalSupply = totalSupply();
-        _totalAssets = totalAssets();
-        if (isAssets) {
-            amount = _convertToSharesTotals(assetsOrShares, _totalSupply, _totalAssets, rounding);
-        } else {
-            amount = _convertToAssetsTotals(assetsOrShares, _totalSupply, _totalAssets, rounding);
-        }
-    }
-
-    function _logTrace(
-        address owner,
-        uint256 balance,
-        uint256 _totalSupply,
-        uint256 _totalAssets,
-        bool isLogAssets
-    ) private {
-        uint48 ts = Time.timestamp();
-        _traceBalanceOf[owner].push(ts, balance);
-        _traceTotalSupply.push(ts, _totalSupply);
-
-        if (isLogAssets) _traceTotalAssets.push(ts, _totalAssets);
-    }
-
-    function _convertToSharesTotals(
-        uint256 assets,
-        uint256 totSupply,
-        uint256 totAssets,
-        Math.Rounding rounding
-    ) private view returns (uint256) {
-        return assets.mulDiv(totSupply + 10 ** _decimalsOffset(), totAssets + 1, rounding);
-    }
-
-    function _convertToAssetsTotals(
-        uint256 shares,
-        uint256 totSupply,
-        uint256 totAssets,
-        Math.Rounding rounding
-    ) private view returns (uint256) {
-        return shares.mulDiv(totAssets + 1, totSupply + 10 ** _decimalsOffset(), rounding);
+        emit WithdrawRequest(_msgSender(), receiver, owner, period, assets, shares);
+        emit RedeemRequest(receiver, owner, period, _msgSender(), shares);
     }
 
     function _nowSinceEpoch(uint48 epoch) private view returns (uint48) {
@@ -910,4 +790,8 @@ contract FirelightVault is
         periodConfigurations.push(newPeriod);
         emit PeriodConfigurationAdded(newPeriod);
     }
+
+    function _permitAsset(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) private {
+        try IERC20Permit(asset()).permit(_msgSender(), address(this), value, deadline, v, r, s) {} catch {}
+    }
 }
@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {Time} from "@openzeppelin/contracts/utils/types/Time.sol";
+
+import {FirelightVault} from "./FirelightVault.sol";
+import {FirelightVaultBase} from "./FirelightVaultBase.sol";
+import {IFirelightStrategy} from "./interfaces/IFirelightStrategy.sol";
+import {Checkpoints} from "./lib/Checkpoints.sol";
+
+/**
+ * @title FirelightVaultAllocation
+ * @notice Strategy allocation of FirelightVault, which does not fit in the contract size of the vault, of its
+ * extension and of its management.
+ *
+ * @dev FirelightVaultManagement forwards the calls it does not implement to this contract with `delegatecall`, so
+ * they run on the storage of the vault proxy like those of the management. Called directly, this contract only sees
+ * its own empty storage. The vault proxy is initialized by FirelightVault, so this contract has no initializer.
+ *
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightVaultAllocation is FirelightVaultBase {
+    using Checkpoints for Checkpoints.Trace256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Emitted when a strategy is added.
+     * @param strategy The strategy.
+     */
+    event StrategyAdded(address indexed strategy);
+
+    /**
+     * @notice Emitted when a strategy is removed.
+     * @param strategy The strategy.
+     */
+    event StrategyRemoved(address indexed strategy);
+
+    /**
+     * @notice Emitted when idle assets are deployed to a strategy.
+     * @param strategy The strategy.
+     * @param assets The amount of assets deployed.
+     */
+    event StrategyAllocated(address indexed strategy, uint256 assets);
+
+    /**
+     * @notice Emitted when the assets of a strategy are reported.
+     * @param strategy The strategy.
+     * @param assets The assets the strategy reported.
+     * @param gain The yield since the last report, vested like rewards.
+     * @param loss The loss since the last report, subtracted from the total assets at once.
+     */
+    event StrategyReported(address indexed strategy, uint256 assets, uint256 gain, uint256 loss);
+
+    /**
+     * @notice Emitted when the part of a strategy loss above the total assets is taken out of the withdrawals of a
+     * period that has not ended.
+     * @param period The period of the withdrawals.
+     * @param assets The assets taken out of `withdrawAssets(period)`.
+     */
+    event WithdrawalLoss(uint256 indexed period, uint256 assets);
+
+    /**
+     * @notice Prevents the initialization of this contract's own storage.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Returns the strategies, in the order they are recalled.
+     * @return The strategy addresses.
+     */
+    function strategies() external view returns (IFirelightStrategy[] memory) {
+        return _strategies;
+    }
+
+    /**
+     * @notice Adds a strategy the allocator can deploy idle assets to. Requires DEFAULT_ADMIN_ROLE.
+     * @param strategy The strategy. Its asset must be the vault asset.
+     */
+    function addStrategy(IFirelightStrategy strategy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (address(strategy) == address(0)) revert InvalidAddress();
+        if (strategy.asset() != asset()) revert InvalidAssetAddress();
+        uint256 length = _strategies.length;
+        if (length == MAX_STRATEGIES) revert TooManyStrategies();
+        for (uint256 i = 0; i < length; i++) {
+            if (_strategies[i] == strategy) revert StrategyAlreadyAdded();
+        }
+
+        _strategies.push(strategy);
+        emit StrategyAdded(address(strategy));
+    }
+
+    /**
+     * @notice Removes a strategy whose assets have all been withdrawn. Requires DEFAULT_ADMIN_ROLE.
+     * @param strategy The strategy.
+     */
+    function removeStrategy(IFirelightStrategy strategy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 index = _strategyIndex(strategy);
+        if (strategyAssets[address(strategy)] != 0) revert StrategyNotEmpty();
+
+        // Keeps the recall order of the other strategies
+        uint256 last = _strategies.length - 1;
+        for (uint256 i = index; i < last; i++) {
+            _strategies[i] = _strategies[i + 1];
+        }
+        _strategies.pop();
+        emit StrategyRemoved(address(strategy));
+    }
+
+    /**
+     * @notice Deploys idle assets to a strategy. Requires ALLOCATOR_ROLE.
+     * The assets reserved for the pending withdrawals cannot be deployed.
+     * @param strategy The strategy.
+     * @param assets The amount of assets to deploy.
+     */
+    function allocate(
+        IFirelightStrategy strategy,
+        uint256 assets
+    ) external onlyRole(ALLOCATOR_ROLE) whenNotPaused nonReentrant {
+        _strategyIndex(strategy);
+        if (assets == 0) revert InvalidAmount();
+        if (assets + pendingWithdrawAssets > trackedAssets - deployedAssets) revert InsufficientLiquidity();
+
+        strategyAssets[address(strategy)] += assets;
+        deployedAssets += assets;
+
+        IERC20(asset()).forceApprove(address(strategy), assets);
+        strategy.deposit(assets);
+
+        emit StrategyAllocated(address(strategy), assets);
+    }
+
+    /**
+     * @notice Withdraws assets from a strategy back to the vault. Requires ALLOCATOR_ROLE.
+     * @param strategy The strategy.
+     * @param assets The amount of assets to withdraw, at most its deployed assets.
+     * @return The amount of assets the strategy returned.
+     */
+    function deallocate(
+        IFirelightStrategy strategy,
+        uint256 assets
+    ) external onlyRole(ALLOCATOR_ROLE) nonReentrant returns (uint256) {
+        _strategyIndex(strategy);
+        if (assets == 0 || assets > strategyAssets[address(strategy)]) revert InvalidAmount();
+
+        uint256 balance = IERC20(asset()).balanceOf(address(this));
+        strategy.withdraw(assets);
+        return _settleStrategyWithdrawal(strategy, assets, balance);
+    }
+
+    /**
+     * @notice Updates the deployed assets of a strategy to the assets it reports. A gain is vested like the rewards
+     * until the end of the next period, after the performance fee, and a loss is taken out of the unvested rewards
+     * first, then out of the total assets at once, then pro rata out of the withdrawals of the periods that have not
+     * ended. Reverts with LossExceedsAssets if they do not cover the loss either. Requires ALLOCATOR_ROLE.
+     * @param strategy The strategy.
+     * @return gain The yield since the last report.
+     * @return loss The loss since the last report.
+     */
+    function reportStrategy(
+        IFirelightStrategy strategy
+    ) external onlyRole(ALLOCATOR_ROLE) whenNotPaused nonReentrant returns (uint256 gain, uint256 loss) {
+        _strategyIndex(strategy);
+        uint256 assets = strategy.totalAssets();
+        uint256 previous = strategyAssets[address(strategy)];
+        strategyAssets[address(strategy)] = assets;
+
+        if (assets > previous) {
+            gain = assets - previous;
+            deployedAssets += gain;
+            _vest(gain, FirelightVault(address(this)).nextPeriodEnd());
+        } else if (assets < previous) {
+            loss = previous - assets;
+            _accrueFees(0);
+            deployedAssets -= loss;
+            _absorbLoss(loss);
+        }
+
+        emit StrategyReported(address(strategy), assets, gain, loss);
+    }
+
+    /**
+     * @notice Withdraws from the strategies, in their order, the pending withdrawals not covered by the idle assets,
+     * so that they can be claimed at the end of their periods. Withdrawal requests do not touch the strategies, so the
+     * allocator or a keeper calls this before the end of the periods, and the claims call it when the idle assets do
+     * not cover them. A strategy that reverts is skipped with a StrategyRecallFailed event, so that it does not block
+     * the others.
+     */
+    function recallWithdrawals() external nonReentrant {
+        _recallWithdrawals(0);
+    }
+
+    /**
+     * @dev Takes a strategy loss out of the unvested rewards, then out of the total assets. The total assets cannot go
+     * below zero: the part of a loss above them is taken out of the pending withdrawals.
+     */
+    function _absorbLoss(uint256 loss) private {
+        uint48 ts = Time.timestamp();
+        uint256 unvested = _unvestedAt(ts);
+        uint256 rewardsLoss = Math.min(loss, unvested);
+        if (rewardsLoss != 0) {
+            (, , uint48 end) = vestingSchedule();
+            _traceVesting.push(ts, (uint256(end) << 208) | (unvested - rewardsLoss));
+        }
+
+        uint256 assetsLoss = Math.min(loss - rewardsLoss, trackedAssets - pendingWithdrawAssets - unvested);
+        uint256 withdrawalsLoss = loss - rewardsLoss - assetsLoss;
+        if (withdrawalsLoss != 0) _absorbWithdrawalsLoss(withdrawalsLoss);
+
+        trackedAssets -= loss;
+        _traceTotalAssets.push(ts, trackedAssets - pendingWithdrawAssets);
+    }
+
+    /**
+     * @dev Takes `loss` out of the withdrawals of the periods that have not ended, pro rata to their assets. The
+     * withdrawals of the ended periods are claimable, so they keep their assets.
+     */
+    function _absorbWithdrawalsLoss(uint256 loss) private {
+        uint256 firstPeriod = FirelightVault(address(this)).currentPeriod();
+        uint256 lastPeriod = firstPeriod + MAX_SPILLOVER_PERIODS;
+        uint256 assets;
+        for (uint256 period = firstPeriod; period <= lastPeriod; period++) {
+            assets += withdrawAssets[period];
+        }
+        if (loss > assets) revert LossExceedsAssets();
+
+        pendingWithdrawAssets -= loss;
+        for (uint256 period = firstPeriod; loss != 0; period++) {
+            uint256 periodAssets = withdrawAssets[period];
+            if (periodAssets == 0) continue;
+
+            // Rounded up, so that the last period with withdrawals takes what is left of the loss
+            uint256 periodLoss = Math.mulDiv(loss, periodAssets, assets, Math.Rounding.Ceil);
+            withdrawAssets[period] = periodAssets - periodLoss;
+            loss -= periodLoss;
+            assets -= periodAssets;
+
+            emit WithdrawalLoss(period, periodLoss);
+        }
+    }
+
+    function _strategyIndex(IFirelightStrategy strategy) private view returns (uint256) {
+        uint256 length = _strategies.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (_strategies[i] == strategy) return i;
+        }
+        revert UnknownStrategy();
+    }
+}
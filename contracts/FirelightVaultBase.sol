@@ -0,0 +1,467 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {ERC4626Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {Time} from "@openzeppelin/contracts/utils/types/Time.sol";
+
+import {FirelightVaultStorage} from "./FirelightVaultStorage.sol";
+import {IFirelightStrategy} from "./interfaces/IFirelightStrategy.sol";
+import {Checkpoints} from "./lib/Checkpoints.sol";
+
+/**
+ * @title FirelightVaultBase
+ * @notice Inherited contracts, errors and internal helpers shared by FirelightVault and the contracts its fallback
+ * delegates to.
+ * @dev They all run on the storage of the vault proxy, so they must keep this exact inheritance.
+ * @custom:security-contact securityreport@firelight.finance
+ */
+abstract contract FirelightVaultBase is
+    FirelightVaultStorage,
+    ERC4626Upgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable
+{
+    using Checkpoints for Checkpoints.Trace256;
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    /**
+     * @notice Emitted when fee shares are minted to the fee recipient.
+     * @param recipient The receiver of the fee shares.
+     * @param managementFee The management fee accrued since the last accrual, in assets.
+     * @param performanceFee The performance fee on the realized rewards, in assets.
+     * @param shares The number of shares minted to the recipient.
+     */
+    event FeesAccrued(address indexed recipient, uint256 managementFee, uint256 performanceFee, uint256 shares);
+
+    /**
+     * @notice Emitted when rewards, distributed or transferred unsolicited, start vesting.
+     * @param sender The address that distributed or synced the rewards.
+     * @param amount The amount of new assets added to the vesting schedule.
+     * @param vestingAmount The amount of assets vesting from now on, including the previously unvested ones.
+     * @param vestingEnd The timestamp at which every reward is vested.
+     */
+    event RewardsDistributed(address indexed sender, uint256 amount, uint256 vestingAmount, uint48 vestingEnd);
+
+    /**
+     * @notice Emitted when a user successfully claims a withdrawal for a given period.
+     * @param receiver The address that received the withdrawn assets.
+     * @param assets The amount of assets withdrawn.
+     * @param period The period for which the withdrawal was claimed.
+     */
+    event CompleteWithdraw(address indexed receiver, uint256 assets, uint256 period);
+
+    /**
+     * @notice Emitted when assets are withdrawn from a strategy back to the vault.
+     * @param strategy The strategy.
+     * @param assets The amount of assets returned to the vault.
+     */
+    event StrategyDeallocated(address indexed strategy, uint256 assets);
+
+    /**
+     * @notice Emitted when a strategy reverts on a withdrawal of the pending withdrawals, which skips it.
+     * @param strategy The strategy.
+     * @param assets The amount of assets recalled from it.
+     * @param reason The revert data of the strategy.
+     */
+    event StrategyRecallFailed(address indexed strategy, uint256 assets, bytes reason);
+
+    error BlocklistedAddress();
+    error NotBlocklistedAddress();
+    error NotAllowlistedAddress();
+    error DepositLimitExceeded();
+    error InvalidDepositLimit();
+    error InvalidPeriodConfigurationEpoch();
+    error InvalidPeriodConfigurationDuration();
+    error InsufficientShares();
+    error InvalidAssetAddress();
+    error InvalidAdminAddress();
+    error InvalidAddress();
+    error InvalidAmount();
+    error InvalidVestingDuration();
+    error InvalidFee();
+    error InvalidPeriod();
+    error CurrentPeriodConfigurationNotLast();
+    error InvalidArrayLength();
+    error AlreadyClaimedPeriod(uint256 period);
+    error NoWithdrawalAmount(uint256 period);
+    error InstantRedeemDisabled();
+    error InsufficientLiquidity();
+    error InvalidBufferRatio();
+    error UnknownStrategy();
+    error StrategyAlreadyAdded();
+    error StrategyNotEmpty();
+    error TooManyStrategies();
+    error TooManySpilloverPeriods();
+    error LossExceedsAssets();
+    error CancelWithdrawDisabled();
+
+    modifier notBlocklisted(address account) {
+        _checkNotBlocklisted(account);
+        _;
+    }
+
+    modifier onlyAllowlisted(address account) {
+        _checkAllowlisted(account);
+        _;
+    }
+
+    /// @dev The operation modifiers revert with `EnforcedPause` when either the vault or the operation is paused.
+    modifier whenDepositsNotPaused() {
+        _requireOperationNotPaused(depositsPaused);
+        _;
+    }
+
+    modifier whenTransfersNotPaused() {
+        _requireOperationNotPaused(transfersPaused);
+        _;
+    }
+
+    modifier whenWithdrawRequestsNotPaused() {
+        _requireOperationNotPaused(withdrawRequestsPaused);
+        _;
+    }
+
+    modifier whenClaimsNotPaused() {
+        _requireOperationNotPaused(claimsPaused);
+        _;
+    }
+
+    modifier onlyBlocklisted(address account) {
+        if (!isBlocklisted[account]) {
+            revert NotBlocklistedAddress();
+        }
+        _;
+    }
+
+    function _requireOperationNotPaused(bool operationPaused) private view {
+        _requireNotPaused();
+        if (operationPaused) revert EnforcedPause();
+    }
+
+    function _checkNotBlocklisted(address account) internal view {
+        if (isBlocklisted[account]) {
+            revert BlocklistedAddress();
+        }
+    }
+
+    function _checkAllowlisted(address account) internal view {
+        if (!_isAllowed(account)) {
+            revert NotAllowlistedAddress();
+        }
+    }
+
+    function _isAllowed(address account) internal view returns (bool) {
+        return !allowlistEnabled || isAllowlisted[account];
+    }
+
+    /**
+     * @notice Returns the total assets in the vault excluding those marked for withdrawal, unvested rewards
+     * and unsolicited transfers that have not been synced yet.
+     * @return The total assets held by the vault.
+     */
+    function totalAssets() public view override returns (uint256) {
+        return trackedAssets - pendingWithdrawAssets - unvestedAssets();
+    }
+
+    /**
+     * @notice Returns the amount of distributed rewards that are not vested yet.
+     * @return The unvested assets.
+     */
+    function unvestedAssets() public view returns (uint256) {
+        return _unvestedAt(Time.timestamp());
+    }
+
+    /**
+     * @notice Returns the current reward vesting schedule.
+     * @return amount The amount of assets vesting linearly from `start` to `end`.
+     * @return start The start of the vesting schedule.
+     * @return end The end of the vesting schedule.
+     */
+    function vestingSchedule() public view returns (uint256 amount, uint48 start, uint48 end) {
+        uint256 schedule;
+        (, start, schedule) = _traceVesting.latestCheckpoint();
+        (amount, end) = _unpackVesting(schedule);
+    }
+
+    function _instantRedeemLiquidity(uint256 _totalAssets) internal view returns (uint256) {
+        // The idle assets are those held by the vault, not deployed to strategies, and the withdrawal requests and
+        // the buffer are paid from them
+        uint256 idle = trackedAssets - deployedAssets;
+        uint256 reserved = pendingWithdrawAssets +
+            _totalAssets.mulDiv(instantRedeemBufferBps, MAX_BPS, Math.Rounding.Ceil);
+        return idle > reserved ? idle - reserved : 0;
+    }
+
+    function _logTrace(
+        address owner,
+        uint256 balance,
+        uint256 _totalSupply,
+        uint256 _totalAssets,
+        bool isLogAssets
+    ) internal {
+        uint48 ts = Time.timestamp();
+        _pushBalance(owner, ts, balance);
+        _pushTimeWeighted(_traceTotalSupply, _cumulativeTotalSupply, ts, _totalSupply);
+
+        // Unvested rewards are traced too and subtracted on lookup, see totalAssetsAt
+        if (isLogAssets) _traceTotalAssets.push(ts, _totalAssets + _unvestedAt(ts));
+    }
+
+    function _pushBalance(address account, uint48 ts, uint256 balance) internal {
+        _pushTimeWeighted(_traceBalanceOf[account], _cumulativeBalanceOf[account], ts, balance);
+    }
+
+    /**
+     * @dev Pushes `value` to `trace` and, on a new checkpoint, the time integral of the previous value to `integrals`.
+     * Before their first checkpoint, the previous value has been held since `timeWeightStart`.
+     */
+    function _pushTimeWeighted(
+        Checkpoints.Trace256 storage trace,
+        Checkpoints.Trace256 storage integrals,
+        uint48 ts,
+        uint256 value
+    ) private {
+        (bool exists, uint48 lastKey, uint256 lastValue) = trace.latestCheckpoint();
+        if (!exists || lastKey != ts) {
+            (bool integrated, uint48 integralKey, uint256 integral) = integrals.latestCheckpoint();
+            if (!integrated) integralKey = timeWeightStart;
+            integrals.push(ts, integral + lastValue * (ts - integralKey));
+        }
+        trace.push(ts, value);
+    }
+
+    /**
+     * @dev Mints the fee shares for the management fee accrued since `lastFeeAccrual` and for `performanceFee`,
+     * assets about to be added to the total assets. Holders are diluted as if the fees had been deposited.
+     * `lastFeeAccrual` only moves when fee shares are minted, so that a fee too small for a share keeps accruing,
+     * or when the fee is waived for lack of a recipient or of assets.
+     */
+    function _accrueFees(uint256 performanceFee) internal {
+        if (managementFeeBps == 0 && performanceFee == 0) return;
+
+        uint256 _totalAssets = totalAssets();
+        address recipient = feeRecipient;
+        if (recipient == address(0) || _totalAssets == 0) {
+            lastFeeAccrual = Time.timestamp();
+            return;
+        }
+
+        uint256 managementFee = _accruedManagementFee(_totalAssets);
+        uint256 _totalSupply = totalSupply();
+        uint256 shares = _convertToSharesTotals(
+            managementFee + performanceFee,
+            _totalSupply,
+            _totalAssets - managementFee,
+            Math.Rounding.Floor
+        );
+        if (shares == 0) return;
+
+        lastFeeAccrual = Time.timestamp();
+        _mint(recipient, shares);
+        _logTrace(recipient, balanceOf(recipient), _totalSupply + shares, 0, false);
+
+        emit FeesAccrued(recipient, managementFee, performanceFee, shares);
+    }
+
+    function _accruedManagementFee(uint256 _totalAssets) internal view returns (uint256) {
+        return _totalAssets.mulDiv(
+            uint256(managementFeeBps) * (Time.timestamp() - lastFeeAccrual),
+            uint256(MAX_BPS) * 365 days
+        );
+    }
+
+    /**
+     * @dev Returns the total supply with the fee shares `_accrueFees` would mint for the management fee accrued since
+     * `lastFeeAccrual`, so that the views convert at the price of the next deposit or redemption.
+     */
+    function _totalSupplyAfterFees() internal view returns (uint256 _totalSupply) {
+        _totalSupply = totalSupply();
+        if (feeRecipient == address(0)) return _totalSupply;
+
+        uint256 _totalAssets = totalAssets();
+        uint256 managementFee = _accruedManagementFee(_totalAssets);
+        return _totalSupply +
+            _convertToSharesTotals(managementFee, _totalSupply, _totalAssets - managementFee, Math.Rounding.Floor);
+    }
+
+    function _convertToShares(uint256 assets, Math.Rounding rounding) internal view override returns (uint256) {
+        return _convertToSharesTotals(assets, _totalSupplyAfterFees(), totalAssets(), rounding);
+    }
+
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) internal view override returns (uint256) {
+        return _convertToAssetsTotals(shares, _totalSupplyAfterFees(), totalAssets(), rounding);
+    }
+
+    /**
+     * @dev Adds `amount`, assets already held by the vault or a strategy, to the tracked assets and vests it until
+     * `vestingEnd` together with the unvested rewards, after minting the performance fee on it.
+     */
+    function _vest(uint256 amount, uint48 vestingEnd) internal {
+        uint256 performanceFee = feeRecipient == address(0) ? 0 : amount.mulDiv(performanceFeeBps, MAX_BPS);
+        _accrueFees(performanceFee);
+
+        // The performance fee is added to the total assets at once, against the minted fee shares
+        uint48 ts = Time.timestamp();
+        uint256 vestingAmount = _unvestedAt(ts) + amount - performanceFee;
+        (, , uint48 end) = vestingSchedule();
+        if (end > vestingEnd) vestingEnd = end;
+
+        trackedAssets += amount;
+        _traceVesting.push(ts, (uint256(vestingEnd) << 208) | vestingAmount);
+        _traceTotalAssets.push(ts, trackedAssets - pendingWithdrawAssets);
+
+        emit RewardsDistributed(_msgSender(), amount, vestingAmount, vestingEnd);
+    }
+
+    function _claimWithdraw(
+        address account,
+        uint256 period,
+        uint256 current
+    ) internal returns (uint256 assets) {
+        if (period >= current) revert InvalidPeriod();
+        if (isWithdrawClaimed[period][account]) revert AlreadyClaimedPeriod(period);
+
+        assets = _completeWithdraw(account, period);
+        if (assets == 0) revert NoWithdrawalAmount(period);
+
+        _payWithdrawal(account, assets);
+    }
+
+    /**
+     * @dev Transfers the assets of completed withdrawals to `account`, recalling the pending withdrawals from the
+     * strategies first when the idle assets do not cover them.
+     */
+    function _payWithdrawal(address account, uint256 assets) internal {
+        if (IERC20(asset()).balanceOf(address(this)) < assets) _recallWithdrawals(assets);
+        IERC20(asset()).safeTransfer(account, assets);
+    }
+
+    /**
+     * @dev Withdraws from the strategies, in their order, the pending withdrawals not covered by the idle assets,
+     * `claimed` being the assets of the withdrawals completed but not transferred yet. A strategy that reverts is
+     * skipped with a StrategyRecallFailed event, so that it does not block the others.
+     */
+    function _recallWithdrawals(uint256 claimed) internal {
+        uint256 idle = trackedAssets + claimed - deployedAssets;
+        uint256 pending = pendingWithdrawAssets + claimed;
+        if (pending <= idle) return;
+
+        uint256 shortfall = pending - idle;
+        uint256 length = _strategies.length;
+        for (uint256 i = 0; i < length && shortfall != 0; i++) {
+            IFirelightStrategy strategy = _strategies[i];
+            uint256 assets = Math.min(shortfall, strategyAssets[address(strategy)]);
+            if (assets == 0) continue;
+
+            uint256 balance = IERC20(asset()).balanceOf(address(this));
+            try strategy.withdraw(assets) {
+                shortfall -= _settleStrategyWithdrawal(strategy, assets, balance);
+            } catch (bytes memory reason) {
+                emit StrategyRecallFailed(address(strategy), assets, reason);
+            }
+        }
+    }
+
+    /**
+     * @dev Records the assets a strategy returned for a withdrawal of `assets`, from the vault balance before it.
+     * Assets returned above `assets` are left as unsolicited transfers, vested by syncRewards.
+     */
+    function _settleStrategyWithdrawal(
+        IFirelightStrategy strategy,
+        uint256 assets,
+        uint256 balanceBefore
+    ) internal returns (uint256 withdrawn) {
+        withdrawn = Math.min(IERC20(asset()).balanceOf(address(this)) - balanceBefore, assets);
+        strategyAssets[address(strategy)] -= withdrawn;
+        deployedAssets -= withdrawn;
+
+        emit StrategyDeallocated(address(strategy), withdrawn);
+    }
+
+    function _completeWithdraw(address account, uint256 period) internal returns (uint256 assets) {
+        if (isWithdrawClaimed[period][account]) return 0;
+
+        assets = _convertToAssetsTotals(
+            withdrawSharesOf[period][account],
+            withdrawShares[period],
+            withdrawAssets[period],
+            Math.Rounding.Floor
+        );
+        if (assets == 0) return 0;
+
+        pendingWithdrawAssets -= assets;
+        trackedAssets -= assets;
+        isWithdrawClaimed[period][account] = true;
+
+        emit CompleteWithdraw(account, assets, period);
+    }
+
+    function _spendSharesAllowance(address owner, address spender, uint256 shares) internal {
+        // ERC-7540 operators act for the owner without an allowance
+        if (spender != owner && !isOperator[owner][spender]) {
+            _spendAllowance(owner, spender, shares);
+        }
+    }
+
+    function _previewTotals(
+        uint256 assetsOrShares,
+        bool isAssets,
+        Math.Rounding rounding
+    ) internal returns (uint256 amount, uint256 _totalSupply, uint256 _totalAssets) {
+        // Fee shares are minted first, so that the conversion uses the up to date supply
+        _accrueFees(0);
+        _totalSupply = totalSupply();
+        _totalAssets = totalAssets();
+        if (isAssets) {
+            amount = _convertToSharesTotals(assetsOrShares, _totalSupply, _totalAssets, rounding);
+        } else {
+            amount = _convertToAssetsTotals(assetsOrShares, _totalSupply, _totalAssets, rounding);
+        }
+    }
+
+    function _withdrawCapacityLeft(uint256 period) internal view returns (uint256) {
+        uint256 capacity = withdrawalCapacity;
+        if (capacity == 0) return type(uint256).max;
+        return capacity > withdrawAssets[period] ? capacity - withdrawAssets[period] : 0;
+    }
+
+    function _unvestedAt(uint48 timestamp) internal view returns (uint256) {
+        (bool exists, uint48 start, uint256 schedule, ) = _traceVesting.upperLookupRecentCheckpoint(timestamp);
+        if (!exists) return 0;
+
+        (uint256 amount, uint48 end) = _unpackVesting(schedule);
+        if (timestamp >= end) return 0;
+        return amount.mulDiv(end - timestamp, end - start, Math.Rounding.Ceil);
+    }
+
+    function _unpackVesting(uint256 schedule) internal pure returns (uint256 amount, uint48 end) {
+        amount = uint208(schedule);
+        end = uint48(schedule >> 208);
+    }
+
+    function _convertToSharesTotals(
+        uint256 assets,
+        uint256 totSupply,
+        uint256 totAssets,
+        Math.Rounding rounding
+    ) internal view returns (uint256) {
+        return assets.mulDiv(totSupply + 10 ** _decimalsOffset(), totAssets + 1, rounding);
+    }
+
+    function _convertToAssetsTotals(
+        uint256 shares,
+        uint256 totSupply,
+        uint256 totAssets,
+        Math.Rounding rounding
+    ) internal view returns (uint256) {
+        return shares.mulDiv(totAssets + 1, totSupply + 10 ** _decimalsOffset(), rounding);
+    }
+}
@@ -0,0 +1,619 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {ERC20Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import {ERC4626Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import {ERC20PermitUpgradeable} from
+    "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {Time} from "@openzeppelin/contracts/utils/types/Time.sol";
+
+import {FirelightVault} from "./FirelightVault.sol";
+import {FirelightVaultBase} from "./FirelightVaultBase.sol";
+import {Checkpoints} from "./lib/Checkpoints.sol";
+
+/**
+ * @title FirelightVaultExtension
+ * @notice Functions of FirelightVault that do not fit in its contract size, such as the historical lookups, the
+ * blocklist rescues, the EIP-2612 permit on the shares and the ERC-7540 views.
+ *
+ * @dev FirelightVault forwards the calls it does not implement to this contract with `delegatecall`, so they run
+ * on the storage of the vault proxy. Called directly, this contract only sees its own empty storage.
+ * The vault proxy is initialized by FirelightVault, so this contract has no initializer. The EIP-712 domain of the
+ * permit is read from the vault name rather than initialized, so that it also works on upgraded proxies. Its
+ * storage and the nonces are in ERC-7201 namespaces, outside the vault storage layout.
+ * The calls this contract does not implement either, such as the admin setters, are forwarded in the same way to
+ * the FirelightVaultManagement.
+ *
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightVaultExtension is FirelightVaultBase, ERC20PermitUpgradeable {
+    using Checkpoints for Checkpoints.Trace256;
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    /**
+     * @notice Emitted when a controller approves or revokes an operator, as specified by ERC-7540.
+     * @param controller The address whose requests the operator manages.
+     * @param operator The operator.
+     * @param approved Whether the operator is approved.
+     */
+    event OperatorSet(address indexed controller, address indexed operator, bool approved);
+
+    /**
+     * @notice Emitted when a receiver cancels its pending withdrawal for a given period.
+     * @param receiver The address whose pending withdrawal was cancelled.
+     * @param assets The amount of assets returned to the vault.
+     * @param shares The number of shares minted back to the receiver.
+     * @param period The period of the cancelled withdrawal.
+     */
+    event CancelWithdraw(address indexed receiver, uint256 assets, uint256 shares, uint256 period);
+
+    /**
+     * @notice Emitted when shares are redeemed instantly from the idle assets.
+     * @param sender The caller who redeemed.
+     * @param receiver The address that received the assets.
+     * @param owner The address whose shares were redeemed.
+     * @param assets The amount of assets transferred to `receiver`, after the fee.
+     * @param shares The number of shares burned.
+     * @param fee The fee in assets left in the vault for the remaining holders.
+     */
+    event InstantRedeem(
+        address indexed sender,
+        address indexed receiver,
+        address indexed owner,
+        uint256 assets,
+        uint256 shares,
+        uint256 fee
+    );
+
+    error InvalidTimeRange();
+
+    /**
+     * @notice FirelightVaultManagement running the functions this contract does not implement, see {fallback}.
+     */
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable management;
+
+    /**
+     * @notice Prevents the initialization of this contract's own storage.
+     * @param _management The FirelightVaultManagement to forward unknown calls to.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _management) {
+        management = _management;
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Runs the functions of the FirelightVaultManagement on the storage of the vault proxy, which reaches
+     * this contract through the fallback of FirelightVault.
+     */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        address target = management;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @notice Claims a pending withdrawal for a given period on behalf of `account`, e.g. by a keeper.
+     * The assets are always transferred to `account`, the receiver recorded by the withdrawal request.
+     * Same conditions as `claimWithdraw` apply.
+     * @param account The account whose withdrawal is claimed.
+     * @param period The period number for which to claim the withdrawal.
+     * @return assets The amount of assets transferred to `account`.
+     */
+    function claimWithdrawFor(
+        address account,
+        uint256 period
+    )
+        external
+        whenClaimsNotPaused
+        notBlocklisted(_msgSender())
+        notBlocklisted(account)
+        returns (uint256 assets)
+    {
+        return _claimWithdraw(account, period, _currentPeriod());
+    }
+
+    /**
+     * @notice Claims the pending withdrawals of the caller for several periods in a single transfer.
+     * Periods already claimed or without a withdrawal amount are skipped.
+     * Emits a `CompleteWithdraw` per claimed period.
+     * Reverts if any of the periods has not ended yet.
+     * @param periods The period numbers for which to claim the withdrawals.
+     * @return assets The total amount of assets transferred to the caller.
+     */
+    function claimWithdrawals(
+        uint256[] calldata periods
+    ) external whenClaimsNotPaused notBlocklisted(_msgSender()) returns (uint256 assets) {
+        uint256 len = periods.length;
+        if (len == 0) revert InvalidArrayLength();
+
+        uint256 current = _currentPeriod();
+        address sender = _msgSender();
+        for (uint256 i = 0; i < len; i++) {
+            if (periods[i] >= current) revert InvalidPeriod();
+            assets += _completeWithdraw(sender, periods[i]);
+        }
+
+        if (assets > 0) _payWithdrawal(sender, assets);
+    }
+
+    /**
+     * @notice Cancels the pending withdrawal of the caller for a period that is not claimable yet.
+     * The assets are returned to the vault and shares are minted back to the caller at the current rate.
+     * Like a deposit, requires the caller to be allowlisted and the assets to fit in the deposit limit.
+     * Reverts while a withdrawal capacity is set, since a cancelled request would have taken the capacity of the
+     * periods it filled from the other requests for free.
+     * @param period The period number of the withdrawal to cancel.
+     * @return shares The amount of shares minted to the caller.
+     */
+    function cancelWithdraw(
+        uint256 period
+    )
+        external
+        whenWithdrawRequestsNotPaused
+        notBlocklisted(_msgSender())
+        onlyAllowlisted(_msgSender())
+        nonReentrant
+        returns (uint256 shares)
+    {
+        if (withdrawalCapacity != 0) revert CancelWithdrawDisabled();
+        if (period < _currentPeriod()) revert InvalidPeriod();
+
+        address sender = _msgSender();
+        uint256 sharesOf = withdrawSharesOf[period][sender];
+        if (sharesOf == 0) revert NoWithdrawalAmount(period);
+
+        uint256 assets = _convertToAssetsTotals(
+            sharesOf,
+            withdrawShares[period],
+            withdrawAssets[period],
+            Math.Rounding.Floor
+        );
+        uint256 _totalSupply;
+        uint256 _totalAssets;
+        (shares, _totalSupply, _totalAssets) = _previewTotals(assets, true, Math.Rounding.Floor);
+        if (_totalAssets + assets > depositLimit) revert DepositLimitExceeded();
+
+        withdrawSharesOf[period][sender] = 0;
+        _redeemRequestSharesOf[period][sender] = 0;
+        withdrawShares[period] -= sharesOf;
+        withdrawAssets[period] -= assets;
+        pendingWithdrawAssets -= assets;
+
+        _mint(sender, shares);
+
+        _logTrace(sender, balanceOf(sender), _totalSupply + shares, _totalAssets + assets, true);
+
+        emit CancelWithdraw(sender, assets, shares, period);
+    }
+
+    /**
+     * @notice Redeems shares immediately from the idle assets above the buffer, instead of creating a withdrawal
+     * request, with blocklist, allowlist and pause checks. The fee is left in the vault for the remaining holders.
+     * Reverts if instant redemptions are disabled or the idle assets above the buffer do not cover the assets.
+     * Emits the ERC-4626 `Withdraw` event along with `InstantRedeem`.
+     * @param shares Amount of shares to redeem.
+     * @param receiver Address receiving the assets.
+     * @param owner Address whose shares are being redeemed.
+     * @return assets Amount of assets transferred to `receiver`, after the fee. See {previewInstantRedeem}.
+     */
+    function instantRedeem(
+        uint256 shares,
+        address receiver,
+        address owner
+    )
+        external
+        whenWithdrawRequestsNotPaused
+        notBlocklisted(_msgSender())
+        notBlocklisted(owner)
+        notBlocklisted(receiver)
+        onlyAllowlisted(receiver)
+        nonReentrant
+        returns (uint256 assets)
+    {
+        if (!instantRedeemEnabled) revert InstantRedeemDisabled();
+        if (shares == 0) revert InvalidAmount();
+        if (receiver == address(0)) revert InvalidAddress();
+        if (shares > balanceOf(owner)) revert InsufficientShares();
+
+        uint256 _totalSupply;
+        uint256 _totalAssets;
+        (assets, _totalSupply, _totalAssets) = _previewTotals(shares, false, Math.Rounding.Floor);
+        uint256 fee = assets.mulDiv(instantRedeemFeeBps, MAX_BPS, Math.Rounding.Ceil);
+        assets -= fee;
+        if (assets > _instantRedeemLiquidity(_totalAssets)) revert InsufficientLiquidity();
+
+        _spendSharesAllowance(owner, _msgSender(), shares);
+        _burn(owner, shares);
+        trackedAssets -= assets;
+        IERC20(asset()).safeTransfer(receiver, assets);
+
+        _logTrace(owner, balanceOf(owner), _totalSupply - shares, _totalAssets - assets, true);
+
+        emit Withdraw(_msgSender(), receiver, owner, assets, shares);
+        emit InstantRedeem(_msgSender(), receiver, owner, assets, shares, fee);
+    }
+
+    /**
+     * @notice Returns the effective total shares for `account` at a specific `timestamp`.
+     * @param account The address whose share balance is being queried.
+     * @param timestamp The point in time for which the balance is being checked.
+     * @return The shares owned by `account` at the specified time.
+     */
+    function balanceOfAt(address account, uint48 timestamp) external view returns (uint256) {
+        return _traceBalanceOf[account].upperLookupRecent(timestamp);
+    }
+
+    /**
+     * @notice Returns the total supply of shares at a specific `timestamp`.
+     * @param timestamp The point in time for which the total supply is being checked.
+     * @return The total shares in existence at the specified time.
+     */
+    function totalSupplyAt(uint48 timestamp) public view returns (uint256) {
+        return _traceTotalSupply.upperLookupRecent(timestamp);
+    }
+
+    /**
+     * @notice Returns the total underlying assets held by the vault at a specific `timestamp`, excluding any assets
+     * marked for withdrawal and the rewards not vested at that time.
+     * @param timestamp The point in time for which the total assets are being checked.
+     * @return The total underlying assets held by the vault at the specified time.
+     */
+    function totalAssetsAt(uint48 timestamp) public view returns (uint256) {
+        return _traceTotalAssets.upperLookupRecent(timestamp) - _unvestedAt(timestamp);
+    }
+
+    /**
+     * @notice Returns the amount of assets that `shares` were worth at a specific `timestamp`.
+     * @param shares The amount of shares to convert.
+     * @param timestamp The point in time for which the conversion is made.
+     * @return The assets worth `shares` at the specified time, rounded down.
+     */
+    function convertToAssetsAt(uint256 shares, uint48 timestamp) public view returns (uint256) {
+        return _convertToAssetsTotals(
+            shares,
+            totalSupplyAt(timestamp),
+            totalAssetsAt(timestamp),
+            Math.Rounding.Floor
+        );
+    }
+
+    /**
+     * @notice Returns the value of one share (`10 ** decimals()` units) at a specific `timestamp`.
+     * @param timestamp The point in time for which the share price is being checked.
+     * @return The assets worth one share at the specified time.
+     */
+    function pricePerShareAt(uint48 timestamp) external view returns (uint256) {
+        return convertToAssetsAt(10 ** decimals(), timestamp);
+    }
+
+    /**
+     * @notice Returns the average share balance of `account` over the time range [`from`, `to`), each balance
+     * weighted by how long it was held.
+     * @dev Reads the time integrals recorded with the checkpoints at `from` and `to`, so the cost does not depend on
+     * the number of checkpoints in the range. Changes at `from` are included and changes at `to` are not, as with
+     * {balanceOfAt}.
+     * @param account The address whose share balance is being averaged.
+     * @param from The start of the time range, not before {timeWeightStart}.
+     * @param to The end of the time range, after `from` and not in the future.
+     * @return The time-weighted average shares owned by `account` over the range, rounded down.
+     */
+    function timeWeightedBalanceOf(address account, uint48 from, uint48 to) external view returns (uint256) {
+        return _timeWeightedAverage(_traceBalanceOf[account], _cumulativeBalanceOf[account], from, to);
+    }
+
+    /**
+     * @notice Returns the average total supply of shares over the time range [`from`, `to`), see
+     * {timeWeightedBalanceOf}.
+     * @param from The start of the time range, not before {timeWeightStart}.
+     * @param to The end of the time range, after `from` and not in the future.
+     * @return The time-weighted average total shares over the range, rounded down.
+     */
+    function timeWeightedTotalSupply(uint48 from, uint48 to) external view returns (uint256) {
+        return _timeWeightedAverage(_traceTotalSupply, _cumulativeTotalSupply, from, to);
+    }
+
+    /**
+     * @notice Approves or revokes `operator` to request redemptions of the caller's shares without an allowance,
+     * see {FirelightVault-requestRedeem}.
+     * @param operator The operator.
+     * @param approved Whether the operator is approved.
+     * @return True, as specified by ERC-7540.
+     */
+    function setOperator(address operator, bool approved) external returns (bool) {
+        address controller = _msgSender();
+        isOperator[controller][operator] = approved;
+        emit OperatorSet(controller, operator, approved);
+        return true;
+    }
+
+    /**
+     * @notice Returns the shares of the withdrawal request of `controller` for period `requestId` that are not
+     * claimable yet, i.e. until period `requestId` has ended. A request spilled over several periods is reported
+     * per period, under the request ID of each of its parts.
+     * @param requestId The period of the request.
+     * @param controller The receiver of the request.
+     * @return pendingShares The shares burned for the pending request.
+     */
+    function pendingRedeemRequest(
+        uint256 requestId,
+        address controller
+    ) external view returns (uint256 pendingShares) {
+        if (requestId < _currentPeriod()) return 0;
+        return _redeemRequestSharesOf[requestId][controller];
+    }
+
+    /**
+     * @notice Returns the shares of the withdrawal request of `controller` for period `requestId` that can be
+     * claimed with `claimWithdraw(requestId)`, i.e. once period `requestId` has ended and until the claim.
+     * @param requestId The period of the request.
+     * @param controller The receiver of the request.
+     * @return claimableShares The shares burned for the claimable request.
+     */
+    function claimableRedeemRequest(
+        uint256 requestId,
+        address controller
+    ) external view returns (uint256 claimableShares) {
+        if (requestId >= _currentPeriod() || isWithdrawClaimed[requestId][controller]) return 0;
+        return _redeemRequestSharesOf[requestId][controller];
+    }
+
+    /**
+     * @notice Returns the last period a withdrawal request of `assets` made now would spill over into, with the
+     * requests already made and the current withdrawal capacity. Without a capacity, it is always the next period.
+     * Reverts with TooManySpilloverPeriods like the request when it would spill over more than MAX_SPILLOVER_PERIODS.
+     * @param assets The assets of the request.
+     * @return period The period from which the whole request would be claimable.
+     */
+    function previewWithdrawPeriod(uint256 assets) external view returns (uint256 period) {
+        period = _currentPeriod();
+        uint256 lastPeriod = period + MAX_SPILLOVER_PERIODS;
+        do {
+            if (period == lastPeriod) revert TooManySpilloverPeriods();
+            period++;
+            assets -= Math.min(assets, _withdrawCapacityLeft(period));
+        } while (assets != 0);
+    }
+
+    /**
+     * @notice Returns the share token, the vault itself, as specified by ERC-7575.
+     * @return The vault address.
+     */
+    function share() external view returns (address) {
+        return address(this);
+    }
+
+    /**
+     * @notice Returns the assets {FirelightVault-instantRedeem} would transfer for `shares`, after the fee, at the
+     * current share price. Like the ERC-4626 previews, it ignores the available liquidity, see {maxInstantRedeem}.
+     * @param shares The amount of shares to redeem.
+     * @return The assets after the fee.
+     */
+    function previewInstantRedeem(uint256 shares) external view returns (uint256) {
+        uint256 grossAssets = _convertToAssets(shares, Math.Rounding.Floor);
+        return grossAssets - grossAssets.mulDiv(instantRedeemFeeBps, MAX_BPS, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @notice Returns the maximum shares of `owner` that can be redeemed instantly, limited by the idle assets
+     * above the buffer. Zero while instant redemptions are disabled or paused.
+     * @param owner The owner of the shares.
+     * @return The maximum amount of shares.
+     */
+    function maxInstantRedeem(address owner) external view returns (uint256) {
+        if (!instantRedeemEnabled || paused() || withdrawRequestsPaused || isBlocklisted[owner]) return 0;
+
+        // The gross assets whose amount after the fee fits in the liquidity
+        uint256 _totalAssets = totalAssets();
+        uint256 grossAssets = _instantRedeemLiquidity(_totalAssets).mulDiv(MAX_BPS, MAX_BPS - instantRedeemFeeBps);
+        return Math.min(_convertToShares(grossAssets, Math.Rounding.Floor), balanceOf(owner));
+    }
+
+    /**
+     * @notice Variant of {balanceOfAt} that skips the search when `hint` is the abi-encoded `uint32` position of the
+     * last checkpoint of `account` at or before `timestamp`. A wrong or empty hint falls back to the search.
+     * @param account The address whose share balance is being queried.
+     * @param timestamp The point in time for which the balance is being checked.
+     * @param hint The abi-encoded position of the checkpoint, see {balanceOfCheckpointAt}.
+     * @return The shares owned by `account` at the specified time.
+     */
+    function balanceOfAt(address account, uint48 timestamp, bytes calldata hint) external view returns (uint256) {
+        return _traceBalanceOf[account].upperLookupRecent(timestamp, hint);
+    }
+
+    /**
+     * @notice Variant of {totalSupplyAt} that skips the search with a hint, see {balanceOfAt}.
+     * @param timestamp The point in time for which the total supply is being checked.
+     * @param hint The abi-encoded position of the checkpoint, see {totalSupplyCheckpointAt}.
+     * @return The total shares in existence at the specified time.
+     */
+    function totalSupplyAt(uint48 timestamp, bytes calldata hint) external view returns (uint256) {
+        return _traceTotalSupply.upperLookupRecent(timestamp, hint);
+    }
+
+    /**
+     * @notice Variant of {totalAssetsAt} that skips the search with a hint, see {balanceOfAt}.
+     * @param timestamp The point in time for which the total assets are being checked.
+     * @param hint The abi-encoded position of the checkpoint, see {totalAssetsCheckpointAt}.
+     * @return The total underlying assets held by the vault at the specified time.
+     */
+    function totalAssetsAt(uint48 timestamp, bytes calldata hint) external view returns (uint256) {
+        return _traceTotalAssets.upperLookupRecent(timestamp, hint) - _unvestedAt(timestamp);
+    }
+
+    /**
+     * @notice Returns the number of balance checkpoints of `account`.
+     * @param account The address whose checkpoints are being counted.
+     * @return The number of checkpoints.
+     */
+    function balanceOfCheckpoints(address account) external view returns (uint256) {
+        return _traceBalanceOf[account].length();
+    }
+
+    /**
+     * @notice Returns the balance checkpoint of `account` at position `pos`, oldest first.
+     * @param account The address whose checkpoint is being read.
+     * @param pos The position of the checkpoint, lower than {balanceOfCheckpoints}.
+     * @return timestamp The timestamp of the checkpoint.
+     * @return shares The shares owned by `account` from that timestamp.
+     */
+    function balanceOfCheckpointAt(
+        address account,
+        uint32 pos
+    ) external view returns (uint48 timestamp, uint256 shares) {
+        Checkpoints.Checkpoint256 memory checkpoint = _traceBalanceOf[account].at(pos);
+        return (checkpoint._key, checkpoint._value);
+    }
+
+    /**
+     * @notice Returns the number of total supply checkpoints.
+     * @return The number of checkpoints.
+     */
+    function totalSupplyCheckpoints() external view returns (uint256) {
+        return _traceTotalSupply.length();
+    }
+
+    /**
+     * @notice Returns the total supply checkpoint at position `pos`, oldest first.
+     * @param pos The position of the checkpoint, lower than {totalSupplyCheckpoints}.
+     * @return timestamp The timestamp of the checkpoint.
+     * @return shares The total shares from that timestamp.
+     */
+    function totalSupplyCheckpointAt(uint32 pos) external view returns (uint48 timestamp, uint256 shares) {
+        Checkpoints.Checkpoint256 memory checkpoint = _traceTotalSupply.at(pos);
+        return (checkpoint._key, checkpoint._value);
+    }
+
+    /**
+     * @notice Returns the number of total assets checkpoints.
+     * @return The number of checkpoints.
+     */
+    function totalAssetsCheckpoints() external view returns (uint256) {
+        return _traceTotalAssets.length();
+    }
+
+    /**
+     * @notice Returns the total assets checkpoint at position `pos`, oldest first.
+     * @param pos The position of the checkpoint, lower than {totalAssetsCheckpoints}.
+     * @return timestamp The timestamp of the checkpoint.
+     * @return assets The total assets at that timestamp, excluding the rewards not vested at that time.
+     */
+    function totalAssetsCheckpointAt(uint32 pos) external view returns (uint48 timestamp, uint256 assets) {
+        Checkpoints.Checkpoint256 memory checkpoint = _traceTotalAssets.at(pos);
+        return (checkpoint._key, checkpoint._value - _unvestedAt(checkpoint._key));
+    }
+
+    /**
+     * @notice Returns the period configuration corresponding to a given period number.
+     * @dev Return value may be unreliable if period number given is far away in the future
+     * @dev given that new period configurations can be added after nextPeriodEnd().
+     * @param periodNumber The period number to find the period configuration for.
+     * @return The period configuration corresponding to the given period number.
+     */
+    function periodConfigurationAtNumber(uint256 periodNumber) external view returns (PeriodConfiguration memory) {
+        uint256 length = periodConfigurations.length;
+        if (length == 0) revert InvalidPeriod();
+
+        PeriodConfiguration memory periodConfiguration;
+        for (uint256 i = 0; i < length; i++) {
+            if (periodNumber < periodConfigurations[i].startingPeriod)
+                break;
+            periodConfiguration = periodConfigurations[i];
+        }
+        if (periodConfiguration.epoch == 0) revert InvalidPeriod();
+        return periodConfiguration;
+    }
+
+    /**
+     * @notice Returns the start timestamp of the current period.
+     * @return Timestamp of the current period start.
+     */
+    function currentPeriodStart() external view returns (uint48) {
+        FirelightVault vault = FirelightVault(address(this));
+        return vault.currentPeriodEnd() - vault.currentPeriodConfiguration().duration;
+    }
+
+    /**
+     * @notice Returns the amount that was made withdrawable for the given period and account, whether claimed or not.
+     * @param period Period number to check.
+     * @param account Account address.
+     * @return Amount of assets claimable for that period.
+     */
+    function withdrawalsOf(uint256 period, address account) external view returns (uint256) {
+        return
+            _convertToAssetsTotals(
+                withdrawSharesOf[period][account],
+                withdrawShares[period],
+                withdrawAssets[period],
+                Math.Rounding.Floor
+            );
+    }
+
+    /**
+     * @notice Returns the length of the periodConfigurations array.
+     * @return Length of the periodConfigurations array.
+     */
+    function periodConfigurationsLength() external view returns (uint256) {
+        return periodConfigurations.length;
+    }
+
+    /**
+     * @inheritdoc ERC4626Upgradeable
+     */
+    function decimals() public view override(ERC4626Upgradeable, ERC20Upgradeable) returns (uint8) {
+        return super.decimals();
+    }
+
+    function _EIP712Name() internal view override returns (string memory) {
+        return name();
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    function _currentPeriod() private view returns (uint256) {
+        // The period logic is implemented by FirelightVault, on the same storage
+        return FirelightVault(address(this)).currentPeriod();
+    }
+
+    function _timeWeightedAverage(
+        Checkpoints.Trace256 storage trace,
+        Checkpoints.Trace256 storage integrals,
+        uint48 from,
+        uint48 to
+    ) private view returns (uint256) {
+        if (from >= to || from < timeWeightStart || to > Time.timestamp()) revert InvalidTimeRange();
+
+        return (_integralAt(trace, integrals, to) - _integralAt(trace, integrals, from)) / (to - from);
+    }
+
+    /**
+     * @dev Returns the sum of the values of `trace` held from `timeWeightStart` until `timestamp` times their
+     * duration: the integral of the last checkpoint at or before `timestamp`, plus the value held since then.
+     */
+    function _integralAt(
+        Checkpoints.Trace256 storage trace,
+        Checkpoints.Trace256 storage integrals,
+        uint48 timestamp
+    ) private view returns (uint256) {
+        (bool exists, uint48 key, uint256 integral, ) = integrals.upperLookupRecentCheckpoint(timestamp);
+        if (!exists) key = timeWeightStart;
+        return integral + trace.upperLookupRecent(timestamp) * (timestamp - key);
+    }
+
+}
@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {BeaconProxy} from "@openzeppelin/contracts/proxy/beacon/BeaconProxy.sol";
+import {UpgradeableBeacon} from "@openzeppelin/contracts/proxy/beacon/UpgradeableBeacon.sol";
+
+import {FirelightVault} from "./FirelightVault.sol";
+import {FirelightVaultManagement} from "./FirelightVaultManagement.sol";
+
+/**
+ * @title FirelightVaultFactory
+ * @notice Deploys FirelightVault beacon proxies, one per FAsset, and keeps the registry of the vaults by asset.
+ *
+ * @dev Every vault deployed by the factory is a BeaconProxy of the same UpgradeableBeacon, so upgrading the beacon
+ * upgrades all of them at once. The beacon is owned by the factory, and upgraded by the factory owner, e.g. the
+ * FirelightTimelock, with {upgradeVaults}, which also reinitializes the vaults. Vaults deployed otherwise, such as
+ * transparent proxies, can be added to the registry with {registerVault}; they keep their own proxy admin.
+ * A vault whose reinitialization reverts does not block the upgrade of the others, and can be reinitialized by its
+ * admin afterwards.
+ *
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightVaultFactory is Ownable {
+    /// @notice The beacon holding the FirelightVault implementation of the deployed vaults.
+    UpgradeableBeacon public immutable beacon;
+
+    /// @notice The registered vault of each asset.
+    mapping(address asset => address vault) public vaultOf;
+
+    /// @notice Whether a registered vault is a beacon proxy deployed by the factory.
+    mapping(address vault => bool) public isBeaconVault;
+
+    /// @notice The registered vaults, in registration order.
+    address[] internal _vaults;
+
+    /**
+     * @notice Emitted when a vault is deployed by the factory.
+     * @param asset The underlying asset of the vault.
+     * @param vault The vault proxy.
+     * @param symbol The symbol of the vault shares.
+     */
+    event VaultDeployed(address indexed asset, address indexed vault, string symbol);
+
+    /**
+     * @notice Emitted when a vault is added to the registry, whether deployed by the factory or not.
+     * @param asset The underlying asset of the vault.
+     * @param vault The vault proxy.
+     */
+    event VaultRegistered(address indexed asset, address indexed vault);
+
+    /**
+     * @notice Emitted when a vault reverts on its reinitialization by {upgradeVaults}, which skips it.
+     * @param vault The vault proxy, upgraded but not reinitialized.
+     * @param reason The revert data of the vault.
+     */
+    event VaultReinitializationFailed(address indexed vault, bytes reason);
+
+    error InvalidAddress();
+    error InvalidVault(address vault);
+    error VaultAlreadyRegistered(address asset);
+
+    /**
+     * @param implementation The FirelightVault implementation of the beacon.
+     * @param initialOwner The owner of the factory, who upgrades the beacon through it.
+     */
+    constructor(address implementation, address initialOwner) Ownable(initialOwner) {
+        beacon = new UpgradeableBeacon(implementation, address(this));
+    }
+
+    /**
+     * @notice Deploys and initializes a FirelightVault beacon proxy for `asset`, and registers it. Requires the owner.
+     * @param asset The underlying FAsset. Must not have a registered vault yet.
+     * @param name The name of the vault shares.
+     * @param symbol The symbol of the vault shares.
+     * @param initParams The abi-encoded FirelightVault.InitParams, see {FirelightVault-initialize}.
+     * @return vault The vault proxy.
+     */
+    function deployVault(
+        IERC20 asset,
+        string calldata name,
+        string calldata symbol,
+        bytes calldata initParams
+    ) external onlyOwner returns (address vault) {
+        if (address(asset) == address(0)) revert InvalidAddress();
+        if (vaultOf[address(asset)] != address(0)) revert VaultAlreadyRegistered(address(asset));
+
+        vault = address(new BeaconProxy(
+            address(beacon),
+            abi.encodeCall(FirelightVault.initialize, (asset, name, symbol, initParams))
+        ));
+        isBeaconVault[vault] = true;
+        _register(address(asset), vault);
+
+        emit VaultDeployed(address(asset), vault, symbol);
+    }
+
+    /**
+     * @notice Adds a vault deployed outside of the factory to the registry, under its asset. Requires the owner.
+     * @param vault The vault proxy. Must be an initialized FirelightVault whose asset has no registered vault yet.
+     */
+    function registerVault(address vault) external onlyOwner {
+        if (vault == address(0)) revert InvalidAddress();
+
+        address asset = _checkVault(vault);
+        if (vaultOf[asset] != address(0)) revert VaultAlreadyRegistered(asset);
+
+        _register(asset, vault);
+    }
+
+    /**
+     * @notice Upgrades the beacon, and so every vault deployed by the factory, to `implementation`, then reinitializes
+     * each of them with {FirelightVaultManagement-reinitialize}, in one transaction. Requires the owner.
+     * A vault whose reinitialization reverts is skipped with a VaultReinitializationFailed event.
+     * @param implementation The new FirelightVault implementation. Its `implementationVersion` must be above the one
+     * of the current implementation, or the reinitializations revert.
+     */
+    function upgradeVaults(address implementation) external onlyOwner {
+        beacon.upgradeTo(implementation);
+
+        uint256 length = _vaults.length;
+        for (uint256 i = 0; i < length; i++) {
+            address vault = _vaults[i];
+            if (!isBeaconVault[vault]) continue;
+
+            try FirelightVaultManagement(vault).reinitialize() {} catch (bytes memory reason) {
+                emit VaultReinitializationFailed(vault, reason);
+            }
+        }
+    }
+
+    /**
+     * @notice Returns every registered vault, in registration order.
+     * @return The vault proxies.
+     */
+    function vaults() external view returns (address[] memory) {
+        return _vaults;
+    }
+
+    /**
+     * @dev Returns the asset of `vault`, and reverts unless it is an initialized FirelightVault, since any contract
+     * with an `asset()` would be registered otherwise.
+     */
+    function _checkVault(address vault) private view returns (address) {
+        try FirelightVault(vault).contractVersion() returns (uint256 version) {
+            if (version != 0 && FirelightVault(vault).extension() != address(0)) return FirelightVault(vault).asset();
+        } catch {}
+        revert InvalidVault(vault);
+    }
+
+    function _register(address asset, address vault) private {
+        vaultOf[asset] = vault;
+        _vaults.push(vault);
+
+        emit VaultRegistered(asset, vault);
+    }
+}
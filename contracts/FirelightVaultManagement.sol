@@ -0,0 +1,520 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {ERC1967Utils} from "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Time} from "@openzeppelin/contracts/utils/types/Time.sol";
+
+import {FirelightVault} from "./FirelightVault.sol";
+import {FirelightVaultBase} from "./FirelightVaultBase.sol";
+import {Checkpoints} from "./lib/Checkpoints.sol";
+
+/**
+ * @title FirelightVaultManagement
+ * @notice Admin setters of FirelightVault, which do not fit in the contract size of the vault and of its extension.
+ *
+ * @dev FirelightVaultExtension forwards the calls it does not implement to this contract with `delegatecall`, so
+ * they run on the storage of the vault proxy like those of the extension. The calls this contract does not implement
+ * are forwarded in turn to FirelightVaultAllocation. Called directly, this contract only sees
+ * its own empty storage. The vault proxy is initialized by FirelightVault, so this contract has no initializer.
+ *
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightVaultManagement is FirelightVaultBase {
+    using Checkpoints for Checkpoints.Trace256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Emitted when a user with RESCUER_ROLE successfully rescues shares from a blocklisted address.
+     * @param from The blocklisted address.
+     * @param to The beneficiary of the rescued shares.
+     * @param rescuedShares The amount of shares rescued.
+     */
+    event SharesRescuedFromBlocklisted(address from, address to, uint256 rescuedShares);
+
+    /**
+     * @notice Emitted when a user with RESCUER_ROLE successfully rescues a pending withdrawal from blocklisted address.
+     * @param from The blocklisted address.
+     * @param to The beneficiary of the rescued withdrawals.
+     * @param periods The array of periods rescued.
+     * @param rescuedShares The array of pending shares from withdrawals rescued for each period.
+     */
+    event WithdrawRescuedFromBlocklisted(address from, address to, uint256[] periods, uint256[] rescuedShares);
+
+    /**
+     * @notice Emitted when the vault's deposit limit is updated.
+     * @param limit The new maximum amount of assets allowed in the vault.
+     */
+    event DepositLimitUpdated(uint256 limit);
+
+    /**
+     * @notice Emitted when an address is added to the blocklist.
+     * @param account The blocklisted address.
+     */
+    event AddedToBlocklist(address indexed account);
+
+    /**
+     * @notice Emitted when an address is removed from the blocklist.
+     * @param account The address removed from the blocklist.
+     */
+    event RemovedFromBlocklist(address indexed account);
+
+    /**
+     * @notice Emitted when the allowlist mode is turned on or off.
+     * @param enabled Whether the allowlist is enforced.
+     */
+    event AllowlistEnabledUpdated(bool enabled);
+
+    /**
+     * @notice Emitted when an address is added to the allowlist.
+     * @param account The allowlisted address.
+     */
+    event AddedToAllowlist(address indexed account);
+
+    /**
+     * @notice Emitted when an address is removed from the allowlist.
+     * @param account The address removed from the allowlist.
+     */
+    event RemovedFromAllowlist(address indexed account);
+
+    /**
+     * @notice Emitted when the fees are updated.
+     * @param managementFeeBps The new annual management fee in basis points.
+     * @param performanceFeeBps The new performance fee in basis points.
+     */
+    event FeesUpdated(uint16 managementFeeBps, uint16 performanceFeeBps);
+
+    /**
+     * @notice Emitted when the fee recipient is updated.
+     * @param recipient The new receiver of the fee shares.
+     */
+    event FeeRecipientUpdated(address recipient);
+
+    /**
+     * @notice Emitted when the instant redemption settings are updated.
+     * @param enabled Whether instant redemptions are enabled.
+     * @param bufferBps The share of the total assets kept idle, in basis points.
+     * @param feeBps The fee on instant redemptions in basis points.
+     */
+    event InstantRedeemUpdated(bool enabled, uint16 bufferBps, uint16 feeBps);
+
+    /**
+     * @notice Emitted when the withdrawal capacity of the periods is updated.
+     * @param capacity The new maximum assets of the withdrawal requests of a period, zero for no limit.
+     */
+    event WithdrawalCapacityUpdated(uint256 capacity);
+
+    /**
+     * @notice Emitted when deposits and mints are paused or unpaused.
+     * @param paused Whether deposits and mints are paused.
+     */
+    event DepositsPauseUpdated(bool paused);
+
+    /**
+     * @notice Emitted when share transfers are paused or unpaused.
+     * @param paused Whether share transfers are paused.
+     */
+    event TransfersPauseUpdated(bool paused);
+
+    /**
+     * @notice Emitted when withdrawal requests are paused or unpaused.
+     * @param paused Whether withdrawal requests, instant redemptions and cancellations are paused.
+     */
+    event WithdrawRequestsPauseUpdated(bool paused);
+
+    /**
+     * @notice Emitted when withdrawal claims are paused or unpaused.
+     * @param paused Whether withdrawal claims are paused.
+     */
+    event ClaimsPauseUpdated(bool paused);
+
+    /**
+     * @notice FirelightVaultAllocation running the functions this contract does not implement, see {fallback}.
+     */
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable allocation;
+
+    /**
+     * @notice Prevents the initialization of this contract's own storage.
+     * @param _allocation The FirelightVaultAllocation to forward unknown calls to.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _allocation) {
+        allocation = _allocation;
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Runs the functions of the FirelightVaultAllocation, such as the strategy functions, on the storage of
+     * the vault proxy, which reaches this contract through the fallbacks of FirelightVault and of its extension.
+     */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        address target = allocation;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @notice Bumps `contractVersion` to the version of the new implementation after an upgrade.
+     * @dev Meant to be called atomically through `ProxyAdmin.upgradeAndCall`. Runs at most once per version,
+     * and only once `implementationVersion` has been increased above the last initialized version.
+     * Vaults upgraded from version 1 start tracking their whole balance, so only later transfers vest, and start
+     * recording the time integrals of the time-weighted averages.
+     * Requires DEFAULT_ADMIN_ROLE, unless called by the proxy admin as part of the upgrade, or by the owner of the
+     * beacon of a beacon proxy, such as FirelightVaultFactory.
+     */
+    function reinitialize() external reinitializer(FirelightVault(address(this)).implementationVersion()) {
+        address sender = _msgSender();
+        address beacon = ERC1967Utils.getBeacon();
+        bool upgrader = sender == ERC1967Utils.getAdmin() ||
+            (beacon != address(0) && sender == Ownable(beacon).owner());
+        if (!upgrader && !hasRole(DEFAULT_ADMIN_ROLE, sender))
+            revert AccessControlUnauthorizedAccount(sender, DEFAULT_ADMIN_ROLE);
+
+        if (contractVersion < 2) {
+            trackedAssets = IERC20(asset()).balanceOf(address(this));
+            timeWeightStart = Time.timestamp();
+        }
+        contractVersion = _getInitializedVersion();
+    }
+
+    /**
+     * @notice Updates the maximum deposit limit for the vault. Requires DEPOSIT_LIMIT_UPDATE_ROLE.
+     * @param newLimit The new deposit limit.
+     */
+    function updateDepositLimit(uint256 newLimit) external onlyRole(DEPOSIT_LIMIT_UPDATE_ROLE) {
+        if (newLimit == 0) {
+            revert InvalidDepositLimit();
+        }
+        depositLimit = newLimit;
+        emit DepositLimitUpdated(newLimit);
+    }
+
+    /**
+     * @notice Updates the fees, accruing the management fee due at the previous rate first. Requires FEE_MANAGER_ROLE.
+     * The new management fee accrues from now on, also when the previous one was zero and left `lastFeeAccrual` behind.
+     * @param _managementFeeBps The annual management fee in basis points, at most MAX_MANAGEMENT_FEE_BPS.
+     * @param _performanceFeeBps The performance fee in basis points, at most MAX_PERFORMANCE_FEE_BPS.
+     */
+    function setFees(uint16 _managementFeeBps, uint16 _performanceFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_managementFeeBps > MAX_MANAGEMENT_FEE_BPS || _performanceFeeBps > MAX_PERFORMANCE_FEE_BPS)
+            revert InvalidFee();
+
+        _accrueFees(0);
+        lastFeeAccrual = Time.timestamp();
+        managementFeeBps = _managementFeeBps;
+        performanceFeeBps = _performanceFeeBps;
+        emit FeesUpdated(_managementFeeBps, _performanceFeeBps);
+    }
+
+    /**
+     * @notice Updates the receiver of the fee shares, accruing the fees due to the previous one first.
+     * Requires FEE_MANAGER_ROLE.
+     * @param recipient The new fee recipient.
+     */
+    function setFeeRecipient(address recipient) external onlyRole(FEE_MANAGER_ROLE) {
+        if (recipient == address(0)) revert InvalidAddress();
+
+        _accrueFees(0);
+        feeRecipient = recipient;
+        emit FeeRecipientUpdated(recipient);
+    }
+
+    /**
+     * @notice Mints the management fee accrued since the last accrual to the fee recipient.
+     * @dev Fees are also accrued on every deposit, mint, withdraw, redeem and reward vesting.
+     */
+    function accrueFees() external nonReentrant {
+        _accrueFees(0);
+    }
+
+    /**
+     * @notice Transfers `amount` of assets from the caller and vests them linearly into `totalAssets`,
+     * together with the unvested rewards and any unsolicited transfer. Requires REWARD_DISTRIBUTOR_ROLE.
+     * The schedule ends at the later of `block.timestamp + vestingDuration` and the current vesting end.
+     * A nonzero `vestingDuration` is capped at the current period duration, while zero vests until the end of the next
+     * period like `syncRewards`, which is between one and two periods away.
+     * @param amount The amount of assets to distribute.
+     * @param vestingDuration The vesting duration in seconds, or zero to vest until the end of the next period.
+     */
+    function distributeRewards(
+        uint256 amount,
+        uint48 vestingDuration
+    ) external onlyRole(REWARD_DISTRIBUTOR_ROLE) whenNotPaused nonReentrant {
+        FirelightVault vault = FirelightVault(address(this));
+        if (amount == 0) revert InvalidAmount();
+        if (vestingDuration > vault.currentPeriodConfiguration().duration) revert InvalidVestingDuration();
+
+        IERC20(asset()).safeTransferFrom(_msgSender(), address(this), amount);
+
+        _vestRewards(vestingDuration == 0 ? vault.nextPeriodEnd() : Time.timestamp() + vestingDuration);
+    }
+
+    /**
+     * @notice Vests the assets transferred to the vault outside of deposits and `distributeRewards`,
+     * until the end of the next period.
+     * @dev Vesting until the end of the current period would vest a transfer synced just before it almost at once,
+     * for anyone depositing before the sync and redeeming after it.
+     */
+    function syncRewards() external whenNotPaused nonReentrant {
+        _vestRewards(FirelightVault(address(this)).nextPeriodEnd());
+    }
+
+    /**
+     * @notice Adds an address to the blocklist. Requires BLOCKLIST_ROLE.
+     * @param account Address to blocklist. Cannot be zero address nor blocklisted.
+     */
+    function addToBlocklist(address account) external onlyRole(BLOCKLIST_ROLE) {
+        _addToBlocklist(account);
+    }
+
+    /**
+     * @notice Removes an address from the blocklist. Requires BLOCKLIST_ROLE.
+     * @param account Address to remove from blocklist. Must be blocklisted.
+     */
+    function removeFromBlocklist(address account) external onlyRole(BLOCKLIST_ROLE) {
+        _removeFromBlocklist(account);
+    }
+
+    /**
+     * @notice Adds addresses to the blocklist in one transaction. Requires BLOCKLIST_ROLE.
+     * @param accounts Addresses to blocklist. Reverts if any is the zero address or already blocklisted.
+     */
+    function batchAddToBlocklist(address[] calldata accounts) external onlyRole(BLOCKLIST_ROLE) {
+        uint256 length = accounts.length;
+        if (length == 0) revert InvalidArrayLength();
+        for (uint256 i = 0; i < length; i++) {
+            _addToBlocklist(accounts[i]);
+        }
+    }
+
+    /**
+     * @notice Removes addresses from the blocklist in one transaction. Requires BLOCKLIST_ROLE.
+     * @param accounts Addresses to remove from the blocklist. Reverts if any is not blocklisted.
+     */
+    function batchRemoveFromBlocklist(address[] calldata accounts) external onlyRole(BLOCKLIST_ROLE) {
+        uint256 length = accounts.length;
+        if (length == 0) revert InvalidArrayLength();
+        for (uint256 i = 0; i < length; i++) {
+            _removeFromBlocklist(accounts[i]);
+        }
+    }
+
+    /**
+     * @notice Rescues shares from a blocklisted address. Requires RESCUER_ROLE.
+     * @param from The blocklisted address.
+     * @param to The address to transfer the shares. Must not be blocklisted.
+     */
+    function rescueSharesFromBlocklisted(
+        address from,
+        address to
+    ) 
+        external 
+        onlyRole(RESCUER_ROLE)
+        onlyBlocklisted(from)
+        notBlocklisted(to)
+    {       
+        uint256 rescuedShares = balanceOf(from);
+        if( rescuedShares == 0) revert InsufficientShares();
+
+        _transfer(from, to, rescuedShares);
+
+        uint48 ts = Time.timestamp();
+        _pushBalance(from, ts, 0);
+        _pushBalance(to, ts, balanceOf(to));
+
+        emit SharesRescuedFromBlocklisted(from, to, rescuedShares);
+    }
+
+    /**
+    * @notice Rescues pending withdrawals from a blocklisted address. Requires RESCUER_ROLE.
+    * @param from The blocklisted address.
+    * @param to The address to transfer the shares to. Must not be blocklisted.
+    * @param periods An array of periods to rescue.
+    */
+    function rescueWithdrawFromBlocklisted(
+        address from,
+        address to,
+        uint256[] calldata periods
+    ) 
+        external
+        onlyRole(RESCUER_ROLE)
+        onlyBlocklisted(from)
+        notBlocklisted(to)
+    {
+        if (to == address(0)) revert InvalidAddress();
+
+        uint256 len = periods.length;
+        if(len == 0 ) revert InvalidArrayLength();
+
+        uint256[] memory rescuedShares = new uint256[](len);      
+        for (uint256 i = 0; i < len; i++) {
+            uint256 _withdrawOf = withdrawSharesOf[periods[i]][from];
+
+            if (isWithdrawClaimed[periods[i]][from]) revert AlreadyClaimedPeriod(periods[i]);
+            if (isWithdrawClaimed[periods[i]][to]) revert AlreadyClaimedPeriod(periods[i]);
+            if (_withdrawOf == 0) revert NoWithdrawalAmount(periods[i]);
+  
+            withdrawSharesOf[periods[i]][to] += _withdrawOf;
+            withdrawSharesOf[periods[i]][from] = 0;
+            _redeemRequestSharesOf[periods[i]][to] += _redeemRequestSharesOf[periods[i]][from];
+            _redeemRequestSharesOf[periods[i]][from] = 0;
+            isWithdrawClaimed[periods[i]][from] = true;
+            
+            rescuedShares[i] = _withdrawOf;
+        }
+
+        emit WithdrawRescuedFromBlocklisted(from, to, periods, rescuedShares);
+    }
+
+    /**
+     * @notice Turns the allowlist mode on or off. Requires DEFAULT_ADMIN_ROLE.
+     * While on, depositors, share recipients and withdrawal receivers must be allowlisted.
+     * @param enabled Whether the allowlist is enforced.
+     */
+    function setAllowlistEnabled(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        allowlistEnabled = enabled;
+        emit AllowlistEnabledUpdated(enabled);
+    }
+
+    /**
+     * @notice Adds addresses to the allowlist. Requires ALLOWLIST_ROLE.
+     * @param accounts Addresses to allowlist. Cannot be zero address.
+     */
+    function addToAllowlist(address[] calldata accounts) external onlyRole(ALLOWLIST_ROLE) {
+        uint256 length = accounts.length;
+        if (length == 0) revert InvalidArrayLength();
+        for (uint256 i = 0; i < length; i++) {
+            if (accounts[i] == address(0)) revert InvalidAddress();
+            isAllowlisted[accounts[i]] = true;
+            emit AddedToAllowlist(accounts[i]);
+        }
+    }
+
+    /**
+     * @notice Removes addresses from the allowlist. Requires ALLOWLIST_ROLE.
+     * Their shares and pending withdrawals are kept, and they can still transfer their shares
+     * to allowlisted addresses.
+     * @param accounts Addresses to remove from the allowlist.
+     */
+    function removeFromAllowlist(address[] calldata accounts) external onlyRole(ALLOWLIST_ROLE) {
+        uint256 length = accounts.length;
+        if (length == 0) revert InvalidArrayLength();
+        for (uint256 i = 0; i < length; i++) {
+            isAllowlisted[accounts[i]] = false;
+            emit RemovedFromAllowlist(accounts[i]);
+        }
+    }
+
+    /**
+     * @notice Updates the instant redemption settings. Requires DEFAULT_ADMIN_ROLE.
+     * @param enabled Whether instant redemptions are enabled.
+     * @param bufferBps The share of the total assets kept idle, in basis points, at most MAX_BPS.
+     * @param feeBps The fee on instant redemptions in basis points, at most MAX_INSTANT_REDEEM_FEE_BPS.
+     */
+    function setInstantRedeem(bool enabled, uint16 bufferBps, uint16 feeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (bufferBps > MAX_BPS) revert InvalidBufferRatio();
+        if (feeBps > MAX_INSTANT_REDEEM_FEE_BPS) revert InvalidFee();
+
+        instantRedeemEnabled = enabled;
+        instantRedeemBufferBps = bufferBps;
+        instantRedeemFeeBps = feeBps;
+
+        emit InstantRedeemUpdated(enabled, bufferBps, feeBps);
+    }
+
+    /**
+     * @notice Updates the maximum assets the withdrawal requests of a period can add up to, above which the requests
+     * spill over into the following periods. The requests already made are kept, and cannot be cancelled while a
+     * capacity is set. Requires DEFAULT_ADMIN_ROLE.
+     * @param capacity The new capacity, zero for no limit. A request that would spill over more than
+     * MAX_SPILLOVER_PERIODS reverts, so the capacity must not be small compared to the requests.
+     */
+    function setWithdrawalCapacity(uint256 capacity) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        withdrawalCapacity = capacity;
+        emit WithdrawalCapacityUpdated(capacity);
+    }
+
+    /**
+     * @notice Pauses the contract, every operation whatever its own pause flag. Requires PAUSE_ROLE.
+     */
+    function pause() external onlyRole(PAUSE_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Unpauses the contract. The operations paused with their own flag stay paused. Requires PAUSE_ROLE.
+     */
+    function unpause() external onlyRole(PAUSE_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Pauses or unpauses deposits and mints, independently of the global pause. Requires PAUSE_ROLE.
+     * @param _paused Whether deposits and mints are paused.
+     */
+    function setDepositsPaused(bool _paused) external onlyRole(PAUSE_ROLE) {
+        depositsPaused = _paused;
+        emit DepositsPauseUpdated(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses share transfers, independently of the global pause. Requires PAUSE_ROLE.
+     * @param _paused Whether share transfers are paused.
+     */
+    function setTransfersPaused(bool _paused) external onlyRole(PAUSE_ROLE) {
+        transfersPaused = _paused;
+        emit TransfersPauseUpdated(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses new withdrawal requests, instant redemptions and the cancellation of requests,
+     * independently of the global pause. Requires PAUSE_ROLE.
+     * @param _paused Whether withdrawal requests are paused.
+     */
+    function setWithdrawRequestsPaused(bool _paused) external onlyRole(PAUSE_ROLE) {
+        withdrawRequestsPaused = _paused;
+        emit WithdrawRequestsPauseUpdated(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses withdrawal claims, independently of the global pause. Requires PAUSE_ROLE.
+     * @param _paused Whether withdrawal claims are paused.
+     */
+    function setClaimsPaused(bool _paused) external onlyRole(PAUSE_ROLE) {
+        claimsPaused = _paused;
+        emit ClaimsPauseUpdated(_paused);
+    }
+
+    function _vestRewards(uint48 vestingEnd) private {
+        uint256 balance = IERC20(asset()).balanceOf(address(this));
+        uint256 idle = trackedAssets - deployedAssets;
+        if (balance <= idle) revert InvalidAmount();
+
+        _vest(balance - idle, vestingEnd);
+    }
+
+    function _addToBlocklist(address account) private {
+        if (account == address(0)) revert InvalidAddress();
+        _checkNotBlocklisted(account);
+        isBlocklisted[account] = true;
+        emit AddedToBlocklist(account);
+    }
+
+    function _removeFromBlocklist(address account) private {
+        if (!isBlocklisted[account]) revert NotBlocklistedAddress();
+        isBlocklisted[account] = false;
+        emit RemovedFromBlocklist(account);
+    }
+}
@@ -1,6 +1,7 @@
 // SPDX-License-Identifier: BUSL-1.1
 pragma solidity 0.8.28;
 
+import {IFirelightStrategy} from "./interfaces/IFirelightStrategy.sol";
 import {Checkpoints} from "./lib/Checkpoints.sol";
 
 /**
@@ -24,6 +25,36 @@ abstract contract FirelightVaultStorage {
     /// @notice Role for updating the period configurations.
     bytes32 public constant PERIOD_CONFIGURATION_UPDATE_ROLE = keccak256("PERIOD_CONFIGURATION_UPDATE_ROLE");
 
+    /// @notice Role for distributing vested rewards.
+    bytes32 public constant REWARD_DISTRIBUTOR_ROLE = keccak256("REWARD_DISTRIBUTOR_ROLE");
+
+    /// @notice Role for managing the allowlist.
+    bytes32 public constant ALLOWLIST_ROLE = keccak256("ALLOWLIST_ROLE");
+
+    /// @notice Role for managing the protocol fees.
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role for moving assets into and out of the strategies.
+    bytes32 public constant ALLOCATOR_ROLE = keccak256("ALLOCATOR_ROLE");
+
+    /// @notice Denominator of the fees in basis points.
+    uint16 public constant MAX_BPS = 10_000;
+
+    /// @notice Maximum annual management fee in basis points.
+    uint16 public constant MAX_MANAGEMENT_FEE_BPS = 200;
+
+    /// @notice Maximum performance fee in basis points.
+    uint16 public constant MAX_PERFORMANCE_FEE_BPS = 3_000;
+
+    /// @notice Maximum fee on instant redemptions in basis points.
+    uint16 public constant MAX_INSTANT_REDEEM_FEE_BPS = 1_000;
+
+    /// @notice Maximum number of strategies, which bounds the loop of `recallWithdrawals`.
+    uint256 public constant MAX_STRATEGIES = 10;
+
+    /// @notice Maximum number of periods a withdrawal request can spill over into, which bounds its loop.
+    uint256 public constant MAX_SPILLOVER_PERIODS = 52;
+
     /// @notice Minimum period duration in seconds.
     uint48 public constant SMALLEST_PERIOD_DURATION = 1 days;
 
@@ -66,5 +97,83 @@ abstract contract FirelightVaultStorage {
     Checkpoints.Trace256 internal _traceTotalSupply;
     Checkpoints.Trace256 internal _traceTotalAssets;
 
-    uint256[50] private __gap;
+    /// @notice The assets accounted by the vault, including pending withdrawals, unvested rewards and the assets
+    /// deployed to strategies. Underlying tokens held above its idle part are unsolicited transfers, not yet vested.
+    uint256 public trackedAssets;
+
+    /// @notice Reward vesting schedules keyed by their start.
+    /// Each value packs the end timestamp and the vesting amount.
+    Checkpoints.Trace256 internal _traceVesting;
+
+    /// @notice Receiver of the fee shares, no fee is charged while unset.
+    address public feeRecipient;
+
+    /// @notice Annual management fee on the total assets, in basis points.
+    uint16 public managementFeeBps;
+
+    /// @notice Performance fee on the realized rewards, in basis points.
+    uint16 public performanceFeeBps;
+
+    /// @notice Timestamp up to which the management fee has been accrued.
+    uint48 public lastFeeAccrual;
+
+    /// @notice Whether deposits, transfers and withdrawals are restricted to allowlisted addresses.
+    bool public allowlistEnabled;
+
+    /// @notice Indicates whether an account is allowlisted.
+    mapping(address account => bool) public isAllowlisted;
+
+    /// @notice Indicates whether an operator may request redemptions on behalf of a controller, as in ERC-7540.
+    mapping(address controller => mapping(address operator => bool)) public isOperator;
+
+    /// @notice Vault shares burned by the withdrawal requests of a given period and receiver, the ERC-7540 request
+    /// amounts. Reset when the withdrawal is cancelled or rescued.
+    mapping(uint256 period => mapping(address account => uint256 shares)) internal _redeemRequestSharesOf;
+
+    /// @notice Whether shares can be redeemed instantly from the idle assets above the buffer.
+    bool public instantRedeemEnabled;
+
+    /// @notice Share of the total assets, in basis points, kept idle and not available to instant redemptions.
+    uint16 public instantRedeemBufferBps;
+
+    /// @notice Fee on instant redemptions in basis points, left in the vault for the remaining holders.
+    uint16 public instantRedeemFeeBps;
+
+    /// @notice Strategies the allocator can deploy idle assets to, in the order they are recalled.
+    IFirelightStrategy[] internal _strategies;
+
+    /// @notice Assets deployed to each strategy, as of its last allocation or report.
+    mapping(address strategy => uint256 assets) public strategyAssets;
+
+    /// @notice Sum of the assets deployed to the strategies, the part of `trackedAssets` not held by the vault.
+    uint256 public deployedAssets;
+
+    /// @notice Maximum assets the withdrawal requests of a period can add up to, zero for no limit. Requests above it
+    /// spill over into the following periods.
+    uint256 public withdrawalCapacity;
+
+    /// @notice Whether deposits and mints are paused, on top of the global pause.
+    bool public depositsPaused;
+
+    /// @notice Whether share transfers are paused, on top of the global pause.
+    bool public transfersPaused;
+
+    /// @notice Whether new withdrawal requests, instant redemptions and cancellations are paused, on top of the global
+    /// pause.
+    bool public withdrawRequestsPaused;
+
+    /// @notice Whether withdrawal claims are paused, on top of the global pause.
+    bool public claimsPaused;
+
+    /// @notice Time integrals of the balance checkpoints since `timeWeightStart`, one per checkpoint, each the sum of
+    /// the balances held until its timestamp times their duration.
+    mapping(address account => Checkpoints.Trace256 integrals) internal _cumulativeBalanceOf;
+
+    /// @notice Time integrals of the total supply checkpoints since `timeWeightStart`, see `_cumulativeBalanceOf`.
+    Checkpoints.Trace256 internal _cumulativeTotalSupply;
+
+    /// @notice Timestamp from which the time integrals are recorded, the deployment or the upgrade to version 2.
+    uint48 public timeWeightStart;
+
+    uint256[33] private __gap;
 }
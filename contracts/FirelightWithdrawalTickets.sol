@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import {FirelightVault} from "./FirelightVault.sol";
+import {FirelightVaultExtension} from "./FirelightVaultExtension.sol";
+
+/**
+ * @title FirelightWithdrawalTickets
+ * @notice Optional companion of a FirelightVault that wraps withdrawal requests into transferable ERC-721 tickets.
+ *
+ * @dev The requests are made by this contract with itself as receiver, so the vault records their withdrawal shares
+ * under this contract and each ticket holds its `(period, shares)` part. Once the period has ended, the holder claims
+ * the ticket for its assets: the first claim of a period claims every ticket of the period from the vault, and each
+ * ticket pays what `withdrawalsOf` reports for its shares.
+ * Transfers and claims follow the vault blocklist, claims follow the vault pause and claims pause, and the vault
+ * RESCUER_ROLE can move the tickets of blocklisted holders. Tickets cannot be cancelled. In allowlist mode, this
+ * contract must be allowlisted on the vault.
+ *
+ * @custom:security-contact securityreport@firelight.finance
+ */
+contract FirelightWithdrawalTickets is ERC721 {
+    using SafeERC20 for IERC20;
+
+    struct Ticket {
+        uint256 period;
+        uint256 shares;
+    }
+
+    /// @notice The vault whose withdrawal requests are wrapped.
+    FirelightVault public immutable vault;
+
+    /// @notice The withdrawal period and withdrawal shares of each ticket.
+    mapping(uint256 tokenId => Ticket) public tickets;
+
+    /// @notice Identifier of the next ticket.
+    uint256 public nextTicketId;
+
+    /**
+     * @notice Emitted when a withdrawal request is wrapped into a ticket.
+     * @param tokenId The ticket.
+     * @param owner The address whose vault shares were redeemed.
+     * @param receiver The holder of the ticket.
+     * @param period The period from which the ticket is claimable.
+     * @param shares The withdrawal shares of the ticket.
+     * @param assets The assets of the ticket at the time of the request.
+     */
+    event TicketIssued(
+        uint256 indexed tokenId,
+        address indexed owner,
+        address indexed receiver,
+        uint256 period,
+        uint256 shares,
+        uint256 assets
+    );
+
+    /**
+     * @notice Emitted when a ticket is claimed and burned.
+     * @param tokenId The ticket.
+     * @param holder The holder the assets were paid to.
+     * @param assets The amount of assets paid.
+     */
+    event TicketClaimed(uint256 indexed tokenId, address indexed holder, uint256 assets);
+
+    /**
+     * @notice Emitted when a vault rescuer moves a ticket from a blocklisted holder.
+     * @param tokenId The ticket.
+     * @param from The blocklisted holder.
+     * @param to The beneficiary of the ticket.
+     */
+    event TicketRescued(uint256 indexed tokenId, address from, address to);
+
+    error InvalidAddress();
+    error BlocklistedAddress();
+    error NotBlocklistedAddress();
+    error NotRescuer();
+    error NoWithdrawalAmount();
+    error EnforcedPause();
+
+    /**
+     * @param _vault The vault whose withdrawal requests are wrapped.
+     * @param _name The ERC-721 name of the tickets.
+     * @param _symbol The ERC-721 symbol of the tickets.
+     */
+    constructor(FirelightVault _vault, string memory _name, string memory _symbol) ERC721(_name, _symbol) {
+        if (address(_vault) == address(0)) revert InvalidAddress();
+        vault = _vault;
+    }
+
+    /**
+     * @notice Redeems `shares` of the caller on the vault and mints a ticket of the request to `receiver`.
+     * This contract must be an operator of the caller on the vault, or have an allowance of `shares`.
+     * When the request spills over several periods because of the vault withdrawal capacity, one ticket is minted
+     * per period, with consecutive identifiers.
+     * @param shares The amount of vault shares to redeem.
+     * @param receiver The holder of the tickets.
+     * @return tokenId The first ticket.
+     */
+    function requestRedeem(uint256 shares, address receiver) external returns (uint256 tokenId) {
+        // Only the withdrawal shares created by this request go into the tickets, not those of other requests made
+        // to this contract, so the shares of each period the request can reach are read before and after it
+        uint256 firstPeriod = vault.currentPeriod() + 1;
+        uint256 previewPeriod = FirelightVaultExtension(address(vault)).previewWithdrawPeriod(
+            vault.previewRedeem(shares)
+        );
+        uint256 length = previewPeriod - firstPeriod + 1;
+        uint256[] memory sharesBefore = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            sharesBefore[i] = vault.withdrawSharesOf(firstPeriod + i, address(this));
+        }
+
+        uint256 lastPeriod = vault.requestRedeem(shares, address(this), _msgSender());
+
+        tokenId = nextTicketId;
+        for (uint256 period = firstPeriod; period <= lastPeriod; period++) {
+            uint256 ticketShares = vault.withdrawSharesOf(period, address(this)) - sharesBefore[period - firstPeriod];
+            if (ticketShares == 0) continue;
+
+            uint256 ticketId = nextTicketId++;
+            tickets[ticketId] = Ticket({period: period, shares: ticketShares});
+            _safeMint(receiver, ticketId);
+
+            emit TicketIssued(ticketId, _msgSender(), receiver, period, ticketShares, assetsOf(ticketId));
+        }
+        if (nextTicketId == tokenId) revert NoWithdrawalAmount();
+    }
+
+    /**
+     * @notice Burns a ticket whose period has ended and pays its assets to its holder.
+     * Can be called by the holder or an approved address, unless the vault or its claims are paused.
+     * @param tokenId The ticket.
+     * @return assets The amount of assets paid to the holder.
+     */
+    function claim(uint256 tokenId) external returns (uint256 assets) {
+        address holder = _ownerOf(tokenId);
+        _checkAuthorized(holder, _msgSender(), tokenId);
+        _checkNotBlocklisted(holder);
+        _checkNotBlocklisted(_msgSender());
+        // Only the first claim of a period goes through the vault and its pause checks
+        if (vault.paused() || vault.claimsPaused()) revert EnforcedPause();
+
+        Ticket memory ticket = tickets[tokenId];
+        assets = assetsOf(tokenId);
+        delete tickets[tokenId];
+        _burn(tokenId);
+
+        if (!vault.isWithdrawClaimed(ticket.period, address(this))) vault.claimWithdraw(ticket.period);
+        IERC20(vault.asset()).safeTransfer(holder, assets);
+
+        emit TicketClaimed(tokenId, holder, assets);
+    }
+
+    /**
+     * @notice Moves a ticket from a blocklisted holder to `to`. Requires the RESCUER_ROLE of the vault.
+     * @param tokenId The ticket.
+     * @param to The beneficiary of the ticket. Must not be blocklisted.
+     */
+    function rescueFromBlocklisted(uint256 tokenId, address to) external {
+        if (!vault.hasRole(vault.RESCUER_ROLE(), _msgSender())) revert NotRescuer();
+        if (to == address(0)) revert InvalidAddress();
+
+        address from = _requireOwned(tokenId);
+        if (!vault.isBlocklisted(from)) revert NotBlocklistedAddress();
+
+        _update(to, tokenId, address(0));
+
+        emit TicketRescued(tokenId, from, to);
+    }
+
+    /**
+     * @notice Returns the assets a ticket is worth, as `withdrawalsOf` computes them for the period.
+     * @param tokenId The ticket.
+     * @return The amount of assets paid when the ticket is claimed.
+     */
+    function assetsOf(uint256 tokenId) public view returns (uint256) {
+        Ticket memory ticket = tickets[tokenId];
+        return Math.mulDiv(
+            ticket.shares,
+            vault.withdrawAssets(ticket.period) + 1,
+            vault.withdrawShares(ticket.period) + 1
+        );
+    }
+
+    /**
+     * @dev Applies the vault blocklist to the receiver of every mint, transfer and rescue, and to the holder and the
+     * caller of the transfers, which are the updates with an `auth`.
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        _checkNotBlocklisted(to);
+        if (auth != address(0)) {
+            _checkNotBlocklisted(_ownerOf(tokenId));
+            _checkNotBlocklisted(auth);
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    function _checkNotBlocklisted(address account) private view {
+        if (account != address(0) && vault.isBlocklisted(account)) revert BlocklistedAddress();
+    }
+}
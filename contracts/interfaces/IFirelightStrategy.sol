@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity 0.8.28;
+
+/**
+ * @title IFirelightStrategy
+ * @notice Strategy a FirelightVault allocator deploys idle assets to.
+ * @dev A strategy holds the assets of a single vault, which is the only caller of `deposit` and `withdraw`.
+ * @custom:security-contact securityreport@firelight.finance
+ */
+interface IFirelightStrategy {
+    /**
+     * @notice Returns the underlying token of the strategy, which must be the asset of the vault.
+     * @return The asset address.
+     */
+    function asset() external view returns (address);
+
+    /**
+     * @notice Returns the assets the strategy holds for the vault, including its yield and losses.
+     * @return The amount of assets.
+     */
+    function totalAssets() external view returns (uint256);
+
+    /**
+     * @notice Pulls `assets` approved by the vault and deploys them.
+     * @param assets The amount of assets to deploy.
+     */
+    function deposit(uint256 assets) external;
+
+    /**
+     * @notice Transfers up to `assets` to the vault. May transfer less while the deployed assets are not liquid.
+     * @param assets The amount of assets to return.
+     */
+    function withdraw(uint256 assets) external;
+}
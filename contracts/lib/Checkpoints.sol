@@ -63,6 +63,10 @@ library Checkpoints {
         }
 
         uint32 hint = abi.decode(hint_, (uint32));
+        // An out of range hint falls back to the search
+        if (hint >= length(self)) {
+            return upperLookupRecent(self, key);
+        }
         Checkpoint208 memory checkpoint = at(self, hint);
         if (checkpoint._key == key) {
             return checkpoint._value;
@@ -124,6 +128,10 @@ library Checkpoints {
         }
 
         uint32 hint = abi.decode(hint_, (uint32));
+        // An out of range hint falls back to the search
+        if (hint >= length(self)) {
+            return upperLookupRecentCheckpoint(self, key);
+        }
         Checkpoint208 memory checkpoint = at(self, hint);
         if (checkpoint._key == key) {
             return (true, checkpoint._key, checkpoint._value, hint);
@@ -228,6 +236,10 @@ library Checkpoints {
         }
 
         uint32 hint = abi.decode(hint_, (uint32));
+        // An out of range hint falls back to the search
+        if (hint >= length(self)) {
+            return upperLookupRecent(self, key);
+        }
         Checkpoint256 memory checkpoint = at(self, hint);
         if (checkpoint._key == key) {
             return checkpoint._value;
@@ -289,6 +301,10 @@ library Checkpoints {
         }
 
         uint32 hint = abi.decode(hint_, (uint32));
+        // An out of range hint falls back to the search
+        if (hint >= length(self)) {
+            return upperLookupRecentCheckpoint(self, key);
+        }
         Checkpoint256 memory checkpoint = at(self, hint);
         if (checkpoint._key == key) {
             return (true, checkpoint._key, checkpoint._value, hint);
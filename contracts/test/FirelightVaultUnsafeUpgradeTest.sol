@@ -0,0 +1,21 @@
+/* SPDX-License-Identifier: UNLICENSED */
+
+pragma solidity 0.8.28;
+
+import {FirelightVault} from  "../FirelightVault.sol";
+
+abstract contract ShiftedStorage {
+    uint256 internal shifted;
+}
+
+/**
+ * @dev Declares a state variable ahead of FirelightVaultStorage, shifting every slot of the deployed layout.
+ */
+contract FirelightVaultUnsafeUpgradeTest is ShiftedStorage, FirelightVault {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) FirelightVault(_extension) {}
+
+    function implementationVersion() public pure override returns (uint64) {
+        return super.implementationVersion() + 1;
+    }
+}
@@ -11,7 +11,14 @@ contract FirelightVaultUpgradeTest is FirelightVault {
     using Checkpoints for Checkpoints.Trace256;
     using SafeERC20 for IERC20;
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension) FirelightVault(_extension) {}
+
     function updateVersion(uint256 version) public {
         contractVersion = version;
     }
-}
\ No newline at end of file
+
+    function implementationVersion() public pure override returns (uint64) {
+        return super.implementationVersion() + 1;
+    }
+}
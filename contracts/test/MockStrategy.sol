@@ -0,0 +1,57 @@
+/* SPDX-License-Identifier: UNLICENSED */
+
+pragma solidity 0.8.28;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import {IFirelightStrategy} from "../interfaces/IFirelightStrategy.sol";
+
+/**
+ * Strategy holding the assets as they are. Yield is simulated by minting assets to it, losses with `lose`, and
+ * illiquid deployments with `setLiquidity`.
+ */
+contract MockStrategy is IFirelightStrategy {
+    using SafeERC20 for IERC20;
+
+    address public immutable asset;
+    address public immutable vault;
+    uint256 public liquidity = type(uint256).max;
+    bool public failing;
+
+    error NotVault();
+    error Failing();
+
+    constructor(address asset_, address vault_) {
+        asset = asset_;
+        vault = vault_;
+    }
+
+    function totalAssets() external view returns (uint256) {
+        return IERC20(asset).balanceOf(address(this));
+    }
+
+    function deposit(uint256 assets) external {
+        if (msg.sender != vault) revert NotVault();
+        IERC20(asset).safeTransferFrom(vault, address(this), assets);
+    }
+
+    function withdraw(uint256 assets) external {
+        if (msg.sender != vault) revert NotVault();
+        if (failing) revert Failing();
+        IERC20(asset).safeTransfer(vault, Math.min(assets, liquidity));
+    }
+
+    function setLiquidity(uint256 liquidity_) external {
+        liquidity = liquidity_;
+    }
+
+    function setFailing(bool failing_) external {
+        failing = failing_;
+    }
+
+    function lose(uint256 assets) external {
+        IERC20(asset).safeTransfer(address(0xdead), assets);
+    }
+}
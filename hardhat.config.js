@@ -4,9 +4,11 @@ require('@nomicfoundation/hardhat-chai-matchers')
 require('@nomicfoundation/hardhat-verify')
 require('hardhat-contract-sizer')
 require('solidity-coverage')
+require('./tasks')
 const { removeConsoleLog } = require('hardhat-preprocessor')
 
-const accounts = [DEPLOYMENT_ACCOUNT_KEY, ...EXECUTION_KEYS, ...EXTRA_KEYS].map(k => `0x${ k }`)
+// The execution keys come last, so that setting them does not shift the test accounts
+const accounts = [DEPLOYMENT_ACCOUNT_KEY, ...EXTRA_KEYS, ...EXECUTION_KEYS].map(k => `0x${ k }`)
 
 const forking = {
   url: NODE_RPC_URL || 'No url'
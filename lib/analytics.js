@@ -0,0 +1,93 @@
+const { periodAtTimestamp, periodBounds, sharePriceApy } = require('./vault_client')
+
+const YEAR = 365 * 24 * 3600
+
+const latestTimestamp = async (client) => {
+  const provider = client.contract.runner.provider || client.contract.runner
+  return BigInt((await provider.getBlock('latest')).timestamp)
+}
+
+const annualize = (growth, seconds) => seconds > 0n ? growth ** (YEAR / Number(seconds)) - 1 : 0
+
+/**
+ * Resolves the `[fromPeriod, toPeriod]` range and the bounds of each period, clipping the end of the current
+ * period to the latest block.
+ */
+const periodRange = async (client, { fromPeriod, toPeriod, now } = {}) => {
+  const configurations = await client.periodConfigurations()
+  now = now === undefined ? await latestTimestamp(client) : BigInt(now)
+  const current_period = periodAtTimestamp(configurations, now)
+
+  fromPeriod = fromPeriod === undefined ? 0n : BigInt(fromPeriod)
+  toPeriod = toPeriod === undefined ? current_period : BigInt(toPeriod)
+  if (toPeriod > current_period)
+    throw new Error(`Period ${ toPeriod } has not started yet, the current period is ${ current_period }`)
+
+  const periods = []
+  for (let period = fromPeriod; period <= toPeriod; period++) {
+    const { start, end } = periodBounds(configurations, period)
+    periods.push({ period, start, end: end > now ? now : end })
+  }
+  return periods
+}
+
+/**
+ * Share price at the start and at the end of each period, read from the vault checkpoints.
+ * The current period ends at the latest block.
+ * @param options.fromPeriod First period, 0 by default.
+ * @param options.toPeriod Last period, the current one by default.
+ * @return `{ period, start, end, priceStart, priceEnd, return, apy }` per period, prices in assets per share.
+ */
+const sharePriceSeries = async (client, options) => {
+  const periods = await periodRange(client, options)
+  const prices = await Promise.all(periods.map(({ start, end }) =>
+    Promise.all([client.pricePerShareAt(start), client.pricePerShareAt(end)])
+  ))
+
+  return periods.map(({ period, start, end }, i) => {
+    const [price_start, price_end] = prices[i],
+          growth = Number(price_end) / Number(price_start)
+    return {
+      period,
+      start,
+      end,
+      priceStart: price_start,
+      priceEnd: price_end,
+      return: growth - 1,
+      apy: annualize(growth, end - start)
+    }
+  })
+}
+
+/**
+ * Realized APY of the share price between two timestamps. Fee shares dilute the share price, so it is net of fees.
+ */
+const realizedApy = async (client, from, to) => {
+  const totalsAt = (timestamp) => Promise.all([client.totalAssetsAt(timestamp), client.totalSupplyAt(timestamp)])
+  return sharePriceApy(await totalsAt(from), await totalsAt(to), BigInt(to) - BigInt(from))
+}
+
+/**
+ * Profit and loss of `account` per period: the shares it held at the start of each period, valued at the end
+ * of the period minus at its start. Shares received during a period count from the next one, and deposits,
+ * withdrawals and transfers are not profit.
+ * @return `{ periods: [{ period, start, end, shares, valueStart, valueEnd, pnl }], pnl }`, amounts in assets.
+ */
+const accountPnl = async (client, account, options) => {
+  const periods = await periodRange(client, options)
+  const rows = await Promise.all(periods.map(async ({ period, start, end }) => {
+    const shares = await client.balanceOfAt(account, start)
+    const [value_start, value_end] = await Promise.all([
+      client.convertToAssetsAt(shares, start),
+      client.convertToAssetsAt(shares, end)
+    ])
+    return { period, start, end, shares, valueStart: value_start, valueEnd: value_end, pnl: value_end - value_start }
+  }))
+  return { periods: rows, pnl: rows.reduce((total, row) => total + row.pnl, 0n) }
+}
+
+module.exports = {
+  accountPnl,
+  realizedApy,
+  sharePriceSeries
+}
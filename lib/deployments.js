@@ -0,0 +1,93 @@
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_DIRECTORY = path.resolve(__dirname, '..', 'deployments')
+
+const manifestPath = (network, directory = DEFAULT_DIRECTORY) => path.join(directory, `${ network }.json`)
+
+/**
+ * Reads the deployment manifest of a network, or an empty one if the network has no deployments yet.
+ */
+const readManifest = (network, directory = DEFAULT_DIRECTORY) => {
+  const file = manifestPath(network, directory)
+  if (!fs.existsSync(file))
+    return { network, vaults: {} }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+const writeManifest = (manifest, directory = DEFAULT_DIRECTORY) => {
+  fs.mkdirSync(directory, { recursive: true })
+  const file = manifestPath(manifest.network, directory)
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n')
+  return file
+}
+
+/**
+ * Records or replaces a vault deployment, keyed by the vault symbol.
+ */
+const saveVaultDeployment = (network, chain_id, deployment, directory = DEFAULT_DIRECTORY) => {
+  const manifest = readManifest(network, directory)
+  manifest.chainId = chain_id
+  manifest.vaults[deployment.symbol] = deployment
+  return writeManifest(manifest, directory)
+}
+
+const getVaultDeployment = (network, symbol, directory = DEFAULT_DIRECTORY) => {
+  const deployment = readManifest(network, directory).vaults[symbol]
+  if (!deployment)
+    throw new Error(`No ${ symbol } vault deployment found for network ${ network }`)
+  return deployment
+}
+
+/**
+ * Records the FirelightVaultFactory of a network, with its beacon and the implementation contracts.
+ */
+const saveFactoryDeployment = (network, chain_id, deployment, directory = DEFAULT_DIRECTORY) => {
+  const manifest = readManifest(network, directory)
+  manifest.chainId = chain_id
+  manifest.factory = deployment
+  return writeManifest(manifest, directory)
+}
+
+const getFactoryDeployment = (network, directory = DEFAULT_DIRECTORY) => {
+  const deployment = readManifest(network, directory).factory
+  if (!deployment)
+    throw new Error(`No vault factory deployment found for network ${ network }`)
+  return deployment
+}
+
+/**
+ * Deploys the contracts a FirelightVault implementation delegates to: the extension its fallback delegates to, the
+ * management the extension delegates to, and the allocation the management delegates to. They are deployed like
+ * implementations, so they are validated, and reused while their bytecode does not change.
+ * @param hre The Hardhat runtime environment, with the OpenZeppelin upgrades plugin.
+ * @param options.extension Name of the extension contract.
+ * @param options.management Name of the management contract.
+ * @param options.allocation Name of the allocation contract.
+ * @return The addresses `{ extension, management, allocation }`.
+ */
+const deployVaultDelegates = async ({ ethers, upgrades }, {
+  extension = 'FirelightVaultExtension',
+  management = 'FirelightVaultManagement',
+  allocation = 'FirelightVaultAllocation'
+} = {}) => {
+  const allocation_address = await upgrades.deployImplementation(await ethers.getContractFactory(allocation))
+  const management_address = await upgrades.deployImplementation(await ethers.getContractFactory(management), {
+    constructorArgs: [allocation_address]
+  })
+  const extension_address = await upgrades.deployImplementation(await ethers.getContractFactory(extension), {
+    constructorArgs: [management_address]
+  })
+  return { extension: extension_address, management: management_address, allocation: allocation_address }
+}
+
+module.exports = {
+  deployVaultDelegates,
+  getFactoryDeployment,
+  getVaultDeployment,
+  manifestPath,
+  readManifest,
+  saveFactoryDeployment,
+  saveVaultDeployment,
+  writeManifest
+}
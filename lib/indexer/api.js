@@ -0,0 +1,45 @@
+const http = require('http')
+const { ethers } = require('ethers')
+const { withdrawalsOf } = require('./withdrawals')
+
+const ACCOUNT_ROUTE = /^\/accounts\/(0x[0-9a-fA-F]{40})\/(events|withdrawals)$/
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Read API over an EventStore:
+ *   GET /status
+ *   GET /accounts/:address/events[?name=WithdrawRequest,CompleteWithdraw]
+ *   GET /accounts/:address/withdrawals
+ */
+const createApi = (store) => http.createServer((req, res) => {
+  if (req.method !== 'GET')
+    return send(res, 405, { error: 'Method not allowed' })
+
+  const url = new URL(req.url, 'http://localhost')
+  if (url.pathname === '/status')
+    return send(res, 200, { lastBlock: store.lastBlock, events: store.events.length })
+
+  const match = url.pathname.match(ACCOUNT_ROUTE)
+  if (!match)
+    return send(res, 404, { error: 'Not found' })
+  if (!ethers.isAddress(match[1]))
+    return send(res, 400, { error: 'Invalid address' })
+  if (!store.lastBlock)
+    return send(res, 503, { error: 'Indexer has not synced yet' })
+
+  const account = match[1]
+  if (match[2] === 'events') {
+    const names = url.searchParams.get('name')
+    const events = store.eventsOf(account).filter(event => !names || names.split(',').includes(event.name))
+    return send(res, 200, { account, events })
+  }
+  return send(res, 200, { account, ...withdrawalsOf(store.events, account, store.lastBlock.timestamp) })
+})
+
+module.exports = {
+  createApi
+}
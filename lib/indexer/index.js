@@ -0,0 +1,15 @@
+const { createApi } = require('./api')
+const { VaultIndexer } = require('./indexer')
+const { EventStore } = require('./store')
+const { periodConfigurationsFrom, replayWithdrawals, withdrawalsOf } = require('./withdrawals')
+const { timeWeightedBalances } = require('./time_weighted')
+
+module.exports = {
+  EventStore,
+  VaultIndexer,
+  createApi,
+  periodConfigurationsFrom,
+  replayWithdrawals,
+  timeWeightedBalances,
+  withdrawalsOf
+}
@@ -0,0 +1,164 @@
+const { ethers } = require('ethers')
+const { loadAbi } = require('../vault_client')
+
+const serialize = (param, value) => {
+  if (param.isTuple())
+    return Object.fromEntries(param.components.map((component, i) => [component.name, serialize(component, value[i])]))
+  if (param.isArray())
+    return Array.from(value).map(v => serialize(param.arrayChildren, v))
+  if (typeof value === 'bigint')
+    return value.toString()
+  return value
+}
+
+const addressesOf = (param, value) => {
+  if (param.type === 'address')
+    return [value.toLowerCase()]
+  if (param.isTuple())
+    return param.components.flatMap((component, i) => addressesOf(component, value[i]))
+  if (param.isArray())
+    return Array.from(value).flatMap(v => addressesOf(param.arrayChildren, v))
+  return []
+}
+
+/**
+ * Follows a JSON-RPC endpoint and stores every event emitted by a FirelightVault.
+ */
+class VaultIndexer {
+  /**
+   * @param options.provider ethers Provider of the JSON-RPC endpoint.
+   * @param options.address Vault (proxy) address.
+   * @param options.store EventStore holding the indexed events.
+   * @param options.fromBlock First block to index, usually the vault deployment block.
+   * @param options.confirmations Blocks behind the head that are left unindexed.
+   * @param options.batchSize Maximum block range of a single eth_getLogs request.
+   * @param options.reorgDepth How many blocks behind the head are checked for reorgs.
+   */
+  constructor({ provider, address, store, fromBlock = 0, confirmations = 0, batchSize = 2000, reorgDepth = 128, abi }) {
+    this.provider = provider
+    this.address = address
+    this.store = store
+    this.fromBlock = fromBlock
+    this.confirmations = confirmations
+    this.batchSize = batchSize
+    this.reorgDepth = reorgDepth
+    this.interface = new ethers.Interface(abi || loadAbi())
+    this._timer = null
+  }
+
+  /**
+   * Indexes up to the current head (minus confirmations), rolling back first if a reorg is detected.
+   * @return The last indexed block number.
+   */
+  async sync() {
+    await this._handleReorg()
+
+    const head = await this.provider.getBlockNumber(),
+          target = head - this.confirmations
+    let from = this.store.lastBlock ? this.store.lastBlock.number + 1 : this.fromBlock
+
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target)
+      const block = await this.provider.getBlock(to)
+      const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to })
+      // A reorg between the requests would store the logs of the old fork under the hash of the new one
+      if (!await this._isConsistent(block, logs))
+        throw new Error(`Reorg while indexing blocks ${ from } to ${ to }`)
+
+      this.store.commit(
+        { number: block.number, hash: block.hash, timestamp: block.timestamp },
+        await this._decode(logs)
+      )
+      from = to + 1
+    }
+
+    this.store.prune(head - this.reorgDepth)
+    this.store.save()
+    return this.store.lastBlock ? this.store.lastBlock.number : null
+  }
+
+  /**
+   * Syncs every `interval` milliseconds until stopped.
+   */
+  start(interval = 5000, on_error = console.error) {
+    const tick = async () => {
+      try {
+        await this.sync()
+      } catch (e) {
+        on_error(e)
+      }
+      if (this._timer)
+        this._timer = setTimeout(tick, interval)
+    }
+    this._timer = setTimeout(tick, 0)
+  }
+
+  stop() {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  async _handleReorg() {
+    const last = this.store.lastBlock
+    if (!last || await this._isCanonical(last))
+      return
+
+    for (const block of this.store.knownBlocks()) {
+      if (block.number < last.number && await this._isCanonical(block)) {
+        const { timestamp } = await this.provider.getBlock(block.number)
+        this.store.rollback({ ...block, timestamp })
+        return
+      }
+    }
+    throw new Error(`Reorg deeper than the indexed block hashes, last known block ${ last.number }`)
+  }
+
+  async _isCanonical({ number, hash }) {
+    const block = await this.provider.getBlock(number)
+    return !!block && block.hash === hash
+  }
+
+  async _isConsistent(block, logs) {
+    if (!await this._isCanonical(block))
+      return false
+
+    const hashes = new Map([[block.number, block.hash]])
+    for (const log of logs) {
+      if (!hashes.has(log.blockNumber))
+        hashes.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).hash)
+      if (hashes.get(log.blockNumber) !== log.blockHash)
+        return false
+    }
+    return true
+  }
+
+  async _decode(logs) {
+    const timestamps = new Map()
+    const events = []
+    for (const log of logs) {
+      const event = this.interface.parseLog(log)
+      if (!event)
+        continue
+
+      if (!timestamps.has(log.blockNumber))
+        timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp)
+
+      const inputs = event.fragment.inputs
+      events.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args: Object.fromEntries(inputs.map((param, i) => [param.name, serialize(param, event.args[i])])),
+        accounts: [...new Set(inputs.flatMap((param, i) => addressesOf(param, event.args[i])))]
+      })
+    }
+    return events
+  }
+}
+
+module.exports = {
+  VaultIndexer
+}
@@ -0,0 +1,91 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * JSON file backed store for indexed vault events.
+ * Keeps the hashes of recently indexed blocks so that the indexer can detect reorgs and roll back.
+ */
+class EventStore {
+  /**
+   * @param file Path of the JSON database. Nothing is persisted when omitted.
+   */
+  constructor(file) {
+    this.file = file
+    this.state = { lastBlock: null, blocks: [], events: [] }
+    if (file && fs.existsSync(file))
+      this.state = JSON.parse(fs.readFileSync(file, 'utf8'))
+  }
+
+  save() {
+    if (!this.file)
+      return
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    const tmp = `${ this.file }.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(this.state))
+    fs.renameSync(tmp, this.file)
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock
+  }
+
+  get events() {
+    return this.state.events
+  }
+
+  /**
+   * Records the events of a synced block range, and the hash of the last block of the range.
+   */
+  commit(last_block, events) {
+    this.state.events.push(...events)
+    for (const event of events)
+      this._rememberBlock(event.blockNumber, event.blockHash)
+    this._rememberBlock(last_block.number, last_block.hash)
+    this.state.lastBlock = last_block
+  }
+
+  /**
+   * Known block hashes, from the most recent one.
+   */
+  knownBlocks() {
+    return [...this.state.blocks].reverse()
+  }
+
+  /**
+   * Drops everything indexed after `block`, which becomes the last indexed block.
+   */
+  rollback(block) {
+    this.state.events = this.state.events.filter(event => event.blockNumber <= block.number)
+    this.state.blocks = this.state.blocks.filter(b => b.number <= block.number)
+    this.state.lastBlock = block
+  }
+
+  /**
+   * Forgets block hashes older than `block_number`, which can no longer be reorged.
+   */
+  prune(block_number) {
+    const blocks = this.state.blocks.filter(b => b.number >= block_number)
+    // Always keep a block to roll back to
+    this.state.blocks = blocks.length ? blocks : this.state.blocks.slice(-1)
+  }
+
+  eventsOf(account) {
+    account = account.toLowerCase()
+    return this.state.events.filter(event => event.accounts.includes(account))
+  }
+
+  eventsByName(...names) {
+    return this.state.events.filter(event => names.includes(event.name))
+  }
+
+  _rememberBlock(number, hash) {
+    const blocks = this.state.blocks
+    if (blocks.length && blocks[blocks.length - 1].number >= number)
+      return
+    blocks.push({ number, hash })
+  }
+}
+
+module.exports = {
+  EventStore
+}
@@ -0,0 +1,64 @@
+const { ethers } = require('ethers')
+
+const byLogOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+
+/**
+ * Replays the `Transfer` events to average every share balance and the total supply over [`from`, `to`), each
+ * value weighted by how long it was held. Reference implementation of the vault `timeWeightedBalanceOf` and
+ * `timeWeightedTotalSupply` views, for cross-checking them: changes at `from` are included, changes at `to` are
+ * not, and averages are rounded down.
+ * @param events Indexed vault events, which must cover everything up to `to`. Other events are ignored.
+ * @return `{ balances, totalSupply }`, `balances` a Map keyed by lowercase account.
+ */
+const timeWeightedBalances = (events, from, to) => {
+  from = BigInt(from)
+  to = BigInt(to)
+  if (from >= to)
+    throw new Error(`Invalid time range [${ from }, ${ to })`)
+
+  // Value held since `cursor` and the sum of the previous values times their duration, per account
+  const accumulators = new Map()
+  const accumulatorOf = (key) => {
+    if (!accumulators.has(key))
+      accumulators.set(key, { value: 0n, cursor: from, cumulative: 0n })
+    return accumulators.get(key)
+  }
+  const update = (key, delta, timestamp) => {
+    const acc = accumulatorOf(key)
+    if (timestamp > acc.cursor) {
+      acc.cumulative += acc.value * (timestamp - acc.cursor)
+      acc.cursor = timestamp
+    }
+    acc.value += delta
+  }
+
+  const SUPPLY = 'totalSupply'
+  for (const event of events.filter(e => e.name === 'Transfer').sort(byLogOrder)) {
+    const timestamp = BigInt(event.timestamp)
+    if (timestamp >= to)
+      break
+
+    const { from: sender, to: receiver } = event.args,
+          value = BigInt(event.args.value)
+    if (sender === ethers.ZeroAddress)
+      update(SUPPLY, value, timestamp)
+    else
+      update(sender.toLowerCase(), -value, timestamp)
+    if (receiver === ethers.ZeroAddress)
+      update(SUPPLY, -value, timestamp)
+    else
+      update(receiver.toLowerCase(), value, timestamp)
+  }
+
+  const average = ({ value, cursor, cumulative }) => (cumulative + value * (to - cursor)) / (to - from)
+  const supply = accumulators.get(SUPPLY)
+  accumulators.delete(SUPPLY)
+  return {
+    balances: new Map([...accumulators].map(([account, acc]) => [account, average(acc)])),
+    totalSupply: supply ? average(supply) : 0n
+  }
+}
+
+module.exports = {
+  timeWeightedBalances
+}
@@ -0,0 +1,101 @@
+const { periodAtTimestamp } = require('../vault_client')
+
+const byLogOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+
+// Mirrors FirelightVault._convertToSharesTotals / _convertToAssetsTotals, the vault has no decimals offset
+const convertToShares = (assets, total_shares, total_assets) => assets * (total_shares + 1n) / (total_assets + 1n)
+const convertToAssets = (shares, total_shares, total_assets) => shares * (total_assets + 1n) / (total_shares + 1n)
+
+/**
+ * Period configurations from the indexed `PeriodConfigurationAdded` events, in the format used by the vault client.
+ */
+const periodConfigurationsFrom = (events) => events
+  .filter(event => event.name === 'PeriodConfigurationAdded')
+  .sort(byLogOrder)
+  .map(({ args: { periodConfiguration } }) => ({
+    epoch: BigInt(periodConfiguration.epoch),
+    duration: BigInt(periodConfiguration.duration),
+    startingPeriod: BigInt(periodConfiguration.startingPeriod)
+  }))
+
+/**
+ * Replays withdrawal events to rebuild `withdrawShares`, `withdrawAssets`, `withdrawSharesOf` and `isWithdrawClaimed`.
+ */
+const replayWithdrawals = (events) => {
+  const periods = new Map()
+  const periodOf = (period) => {
+    if (!periods.has(period))
+      periods.set(period, { shares: 0n, assets: 0n, sharesOf: new Map(), claimed: new Map() })
+    return periods.get(period)
+  }
+
+  for (const event of [...events].sort(byLogOrder)) {
+    const { args } = event
+    if (event.name === 'WithdrawRequest') {
+      const p = periodOf(args.period),
+            assets = BigInt(args.assets),
+            receiver = args.receiver.toLowerCase(),
+            shares = convertToShares(assets, p.shares, p.assets)
+      p.assets += assets
+      p.shares += shares
+      p.sharesOf.set(receiver, (p.sharesOf.get(receiver) || 0n) + shares)
+    } else if (event.name === 'CancelWithdraw') {
+      const p = periodOf(args.period),
+            receiver = args.receiver.toLowerCase()
+      p.shares -= p.sharesOf.get(receiver) || 0n
+      p.assets -= BigInt(args.assets)
+      p.sharesOf.set(receiver, 0n)
+    } else if (event.name === 'WithdrawalLoss') {
+      periodOf(args.period).assets -= BigInt(args.assets)
+    } else if (event.name === 'CompleteWithdraw') {
+      periodOf(args.period).claimed.set(args.receiver.toLowerCase(), { assets: BigInt(args.assets), transactionHash: event.transactionHash, timestamp: event.timestamp })
+    } else if (event.name === 'WithdrawRescuedFromBlocklisted') {
+      const from = args.from.toLowerCase(),
+            to = args.to.toLowerCase()
+      args.periods.forEach((period, i) => {
+        const p = periodOf(period),
+              shares = BigInt(args.rescuedShares[i])
+        p.sharesOf.set(to, (p.sharesOf.get(to) || 0n) + shares)
+        p.sharesOf.set(from, 0n)
+        p.claimed.set(from, { assets: 0n, rescuedTo: args.to, transactionHash: event.transactionHash, timestamp: event.timestamp })
+      })
+    }
+  }
+  return periods
+}
+
+/**
+ * Withdrawals of `account` split into pending, claimable and claimed periods.
+ * Amounts are those `withdrawalsOf(period, account)` reports.
+ * @param events Every indexed vault event.
+ * @param timestamp Time at which a period is considered ended, usually the last indexed block timestamp.
+ */
+const withdrawalsOf = (events, account, timestamp) => {
+  account = account.toLowerCase()
+  const configurations = periodConfigurationsFrom(events),
+        current_period = configurations.length ? periodAtTimestamp(configurations, timestamp) : 0n
+  const result = { currentPeriod: current_period.toString(), pending: [], claimable: [], claimed: [] }
+
+  const periods = [...replayWithdrawals(events).entries()].sort(([a], [b]) => Number(BigInt(a) - BigInt(b)))
+  for (const [period, p] of periods) {
+    const shares = p.sharesOf.get(account) || 0n,
+          claim = p.claimed.get(account)
+    if (shares === 0n && !claim)
+      continue
+
+    const entry = { period, shares: shares.toString(), assets: convertToAssets(shares, p.shares, p.assets).toString() }
+    if (claim)
+      result.claimed.push({ ...entry, claimedAssets: claim.assets.toString(), rescuedTo: claim.rescuedTo, transactionHash: claim.transactionHash, timestamp: claim.timestamp })
+    else if (BigInt(period) < current_period)
+      result.claimable.push(entry)
+    else
+      result.pending.push(entry)
+  }
+  return result
+}
+
+module.exports = {
+  periodConfigurationsFrom,
+  replayWithdrawals,
+  withdrawalsOf
+}
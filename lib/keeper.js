@@ -0,0 +1,119 @@
+/**
+ * Claims matured withdrawals on behalf of their receivers through `claimWithdrawFor`.
+ * Requests are discovered from `WithdrawRequest` and `WithdrawRescuedFromBlocklisted` logs, and claimed once their
+ * period has ended. Receivers that claim by themselves, or are blocklisted, are dropped. Before claiming, the keeper
+ * recalls from the strategies the assets the idle assets are short of, as withdrawal requests do not.
+ */
+class WithdrawKeeper {
+  /**
+   * @param client FirelightVaultClient connected to the keeper signer.
+   * @param options.fromBlock First block to scan, usually the vault deployment block.
+   * @param options.batchSize Maximum block range of a single eth_getLogs request.
+   * @param options.logger Receives progress messages, defaults to console.
+   */
+  constructor(client, { fromBlock = 0, batchSize = 2000, logger = console } = {}) {
+    this.client = client
+    this.nextBlock = fromBlock
+    this.batchSize = batchSize
+    this.logger = logger
+    this.pending = new Map()
+    this._timer = null
+  }
+
+  /**
+   * Scans new logs and claims every matured request.
+   * @return The claims made, as decoded `CompleteWithdraw` events.
+   */
+  async poll() {
+    await this._scan()
+
+    const current_period = await this.client.currentPeriod(),
+          claims = []
+    if ([...this.pending.values()].some(({ period }) => period < current_period))
+      await this._recall()
+
+    for (const [key, { account, period }] of this.pending) {
+      if (period >= current_period)
+        continue
+
+      const [claimed, blocklisted, assets] = await Promise.all([
+        this.client.isWithdrawClaimed(period, account),
+        this.client.isBlocklisted(account),
+        this.client.withdrawalsOf(period, account)
+      ])
+      if (claimed || blocklisted || assets === 0n) {
+        this.pending.delete(key)
+        continue
+      }
+
+      try {
+        const { claim } = await this.client.claimWithdrawFor(account, period)
+        this.pending.delete(key)
+        claims.push(claim)
+        this.logger.log(`Claimed ${ await this.client.formatAmount(claim.assets) } for ${ account } in period ${ period }`)
+      } catch (e) {
+        this.logger.error(`Failed to claim period ${ period } for ${ account }: ${ e.message }`)
+      }
+    }
+    return claims
+  }
+
+  start(interval = 60000) {
+    const tick = async () => {
+      try {
+        await this.poll()
+      } catch (e) {
+        this.logger.error(e)
+      }
+      if (this._timer)
+        this._timer = setTimeout(tick, interval)
+    }
+    this._timer = setTimeout(tick, 0)
+  }
+
+  stop() {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  async _recall() {
+    const strategies = await this.client.strategies()
+    if (!strategies.some(({ assets }) => assets > 0n))
+      return
+
+    try {
+      const { failures } = await this.client.recallWithdrawals()
+      for (const { strategy, assets } of failures)
+        this.logger.error(`Strategy ${ strategy } failed to return ${ await this.client.formatAmount(assets) }`)
+    } catch (e) {
+      this.logger.error(`Failed to recall the withdrawals: ${ e.message }`)
+    }
+  }
+
+  async _scan() {
+    const contract = this.client.contract,
+          latest = await contract.runner.provider.getBlockNumber()
+
+    while (this.nextBlock <= latest) {
+      const to = Math.min(this.nextBlock + this.batchSize - 1, latest)
+      const [requests, rescues] = await Promise.all([
+        contract.queryFilter(contract.filters.WithdrawRequest(), this.nextBlock, to),
+        contract.queryFilter(contract.filters.WithdrawRescuedFromBlocklisted(), this.nextBlock, to)
+      ])
+      for (const { args } of requests)
+        this._track(args.receiver, args.period)
+      for (const { args } of rescues)
+        args.periods.forEach(period => this._track(args.to, period))
+
+      this.nextBlock = to + 1
+    }
+  }
+
+  _track(account, period) {
+    this.pending.set(`${ account.toLowerCase() }:${ period }`, { account, period })
+  }
+}
+
+module.exports = {
+  WithdrawKeeper
+}
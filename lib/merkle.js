@@ -0,0 +1,54 @@
+const { ethers } = require('ethers')
+
+const LEAF_TYPES = ['address', 'uint256']
+
+/**
+ * Leaf of an `(account, amount)` claim, double hashed as in the OpenZeppelin standard Merkle tree.
+ */
+const leafHash = (account, amount) =>
+  ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(LEAF_TYPES, [account, amount])))
+
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(BigInt(a) < BigInt(b) ? [a, b] : [b, a]))
+
+/**
+ * Builds the Merkle tree of `(account, amount)` claims, with the same layout and root as the OpenZeppelin
+ * `StandardMerkleTree`, so that the proofs verify with `MerkleProof` in FirelightMerkleDistributor.
+ * @param claims `[{ account, amount }]`, one per account.
+ * @return `{ root, proofs }`, `proofs` keyed by lowercase account.
+ */
+const buildMerkleTree = (claims) => {
+  if (!claims.length)
+    throw new Error('Cannot build a Merkle tree without claims')
+
+  const leaves = claims
+    .map(({ account, amount }) => ({ account: account.toLowerCase(), hash: leafHash(account, amount) }))
+    .sort((a, b) => BigInt(a.hash) < BigInt(b.hash) ? -1 : 1)
+  if (new Set(leaves.map(leaf => leaf.account)).size !== leaves.length)
+    throw new Error('Cannot build a Merkle tree with several claims for the same account')
+
+  // Leaves at the end of the array in reverse order, each parent at (i - 1) / 2
+  const tree = new Array(2 * leaves.length - 1)
+  leaves.forEach((leaf, i) => { tree[tree.length - 1 - i] = leaf.hash })
+  for (let i = tree.length - 1 - leaves.length; i >= 0; i--)
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2])
+
+  const proofs = {}
+  leaves.forEach((leaf, i) => {
+    const proof = []
+    for (let j = tree.length - 1 - i; j > 0; j = Math.floor((j - 1) / 2))
+      proof.push(tree[j % 2 === 0 ? j - 1 : j + 1])
+    proofs[leaf.account] = proof
+  })
+  return { root: tree[0], proofs }
+}
+
+/**
+ * Checks a proof against a root, as `MerkleProof.verify` does on-chain.
+ */
+const verifyProof = (root, account, amount, proof) => proof.reduce(hashPair, leafHash(account, amount)) === root
+
+module.exports = {
+  buildMerkleTree,
+  leafHash,
+  verifyProof
+}
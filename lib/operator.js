@@ -0,0 +1,98 @@
+const { ethers } = require('ethers')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Reads the rows of a CSV file of addresses. The first row is skipped when it is a header, i.e. when its first cell
+ * is not an address, as are empty lines and lines starting with `#`.
+ * @param columns Number of address columns of each row.
+ * @return One array of checksummed addresses per row.
+ */
+const readAddressCsv = (file, columns = 1) => {
+  const rows = fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(',').map(cell => cell.trim()))
+  if (rows.length && !ethers.isAddress(rows[0][0]))
+    rows.shift()
+
+  return rows.map((row, i) => {
+    if (row.length < columns)
+      throw new Error(`${ file }: row ${ i + 1 } has ${ row.length } columns, expected ${ columns }`)
+    return row.slice(0, columns).map(cell => {
+      if (!ethers.isAddress(cell))
+        throw new Error(`${ file }: invalid address "${ cell }" on row ${ i + 1 }`)
+      return ethers.getAddress(cell)
+    })
+  })
+}
+
+/**
+ * Splits `items` into batches of at most `size` items.
+ */
+const chunk = (items, size) => {
+  if (!(size > 0))
+    throw new Error(`Invalid batch size: ${ size }`)
+  const batches = []
+  for (let i = 0; i < items.length; i += size)
+    batches.push(items.slice(i, i + size))
+  return batches
+}
+
+/**
+ * Finds the periods of the unclaimed withdrawals of a blocklisted `account` that can be rescued to `to`, from the
+ * vault events, see FirelightVaultClient.unclaimedWithdrawals. Periods already claimed by `to` cannot be rescued to
+ * it and are returned apart.
+ * @return `{ periods, conflicts }`, both sorted.
+ */
+const rescuablePeriods = async (client, account, to, { fromBlock = 0 } = {}) => {
+  const withdrawals = await client.unclaimedWithdrawals(account, { fromBlock })
+  const claimed = await Promise.all(withdrawals.map(({ period }) => client.isWithdrawClaimed(period, to)))
+
+  return {
+    periods: withdrawals.filter((_, i) => !claimed[i]).map(({ period }) => period),
+    conflicts: withdrawals.filter((_, i) => claimed[i]).map(({ period }) => period)
+  }
+}
+
+const toJson = (value) => JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v, 2)
+
+/**
+ * Signs an operator report with `signer`, as an EIP-191 message of its JSON without `signOff`, and adds the
+ * `signOff` entry with the signer, the optional name of the person signing off and the signature.
+ */
+const signReport = async (report, signer, { signedOffBy } = {}) => {
+  const { signOff, ...body } = report
+  const signature = await signer.signMessage(toJson(body))
+  return { ...body, signOff: { signer: await signer.getAddress(), signedOffBy: signedOffBy || null, signature } }
+}
+
+/**
+ * Checks that a report, e.g. read back from its JSON file, is unchanged since it was signed off.
+ */
+const verifyReport = (report) => {
+  const { signOff, ...body } = report
+  if (!signOff)
+    return false
+  return ethers.verifyMessage(toJson(body), signOff.signature).toLowerCase() === signOff.signer.toLowerCase()
+}
+
+/**
+ * Writes a report to `<directory>/<network>-<action>-<timestamp>.json`.
+ */
+const writeReport = (report, directory) => {
+  fs.mkdirSync(directory, { recursive: true })
+  const file = path.join(directory, `${ report.network }-${ report.action }-${ report.startedAt.replace(/[:.]/g, '-') }.json`)
+  fs.writeFileSync(file, toJson(report) + '\n')
+  return file
+}
+
+module.exports = {
+  chunk,
+  readAddressCsv,
+  rescuablePeriods,
+  signReport,
+  verifyReport,
+  writeReport
+}
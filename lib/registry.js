@@ -0,0 +1,89 @@
+const { ethers } = require('ethers')
+const path = require('path')
+const { FirelightVaultClient, loadAbi } = require('./vault_client')
+
+const ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightVaultFactory.sol/FirelightVaultFactory.json')
+
+const loadFactoryAbi = () => require(ARTIFACT_PATH).abi
+
+const factoryContract = (factory, runner) =>
+  typeof factory === 'string' ? new ethers.Contract(factory, loadFactoryAbi(), runner) : factory
+
+/**
+ * Every vault registered in a FirelightVaultFactory, in registration order.
+ * @param factory Factory address, or its contract.
+ * @return `[{ asset, vault }]`
+ */
+const listVaults = async (factory, runner) => {
+  const contract = factoryContract(factory, runner),
+        vaults = await contract.vaults()
+  const assets = await Promise.all(vaults.map(vault => new ethers.Contract(vault, loadAbi(), contract.runner).asset()))
+  return vaults.map((vault, i) => ({ asset: assets[i], vault }))
+}
+
+/**
+ * The vault registered for `asset`, or null.
+ */
+const vaultForAsset = async (factory, asset, runner) => {
+  const vault = await factoryContract(factory, runner).vaultOf(asset)
+  return vault === ethers.ZeroAddress ? null : vault
+}
+
+/**
+ * Reads the limits, the current period and the TVL of a vault.
+ */
+const readVault = async (client) => {
+  const [asset, symbol, decimals, depositLimit, withdrawalCapacity, totalAssets, totalSupply, period, periodEnd, paused] =
+    await Promise.all([
+      client.contract.asset(),
+      client.contract.symbol(),
+      client.decimals(),
+      client.contract.depositLimit(),
+      client.contract.withdrawalCapacity(),
+      client.contract.totalAssets(),
+      client.contract.totalSupply(),
+      client.currentPeriod(),
+      client.currentPeriodEnd(),
+      client.contract.paused()
+    ])
+  const { start, end } = await client.periodBounds(period)
+  return {
+    vault: client.contract.target,
+    asset,
+    symbol,
+    decimals: Number(decimals),
+    depositLimit,
+    withdrawalCapacity,
+    totalAssets,
+    totalSupply,
+    currentPeriod: period,
+    currentPeriodEnd: periodEnd,
+    periodDuration: end - start,
+    paused
+  }
+}
+
+/**
+ * Reads every vault registered in a factory, see readVault.
+ * @param options.batchSize Number of vaults read concurrently.
+ * @return `[{ vault, asset, symbol, decimals, depositLimit, withdrawalCapacity, totalAssets, totalSupply,
+ * currentPeriod, currentPeriodEnd, periodDuration, paused }]`, in registration order.
+ */
+const readVaults = async (factory, runner, { batchSize = 10 } = {}) => {
+  const contract = factoryContract(factory, runner),
+        vaults = await contract.vaults(),
+        rows = []
+  for (let i = 0; i < vaults.length; i += batchSize) {
+    const batch = vaults.slice(i, i + batchSize)
+    rows.push(...await Promise.all(batch.map(vault => readVault(new FirelightVaultClient(vault, contract.runner)))))
+  }
+  return rows
+}
+
+module.exports = {
+  listVaults,
+  loadFactoryAbi,
+  readVault,
+  readVaults,
+  vaultForAsset
+}
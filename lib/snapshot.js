@@ -0,0 +1,66 @@
+const { ethers } = require('ethers')
+const { buildMerkleTree } = require('./merkle')
+
+/**
+ * Every address that ever received shares, from the `Transfer` events indexed by lib/indexer. Mints, including
+ * fee shares, are transfers from the zero address, so depositors are included.
+ */
+const holdersFromEvents = (events) => {
+  const holders = new Set()
+  for (const event of events)
+    if (event.name === 'Transfer' && event.args.to !== ethers.ZeroAddress)
+      holders.add(ethers.getAddress(event.args.to))
+  return [...holders]
+}
+
+/**
+ * Reads the share balance of every holder at `timestamp` with `balanceOfAt`, and builds the Merkle tree of the
+ * `(account, amount)` claims for FirelightMerkleDistributor.
+ * @param client FirelightVaultClient of the vault.
+ * @param holders Candidate addresses, see holdersFromEvents. Those without shares at `timestamp` are left out.
+ * @param options.reward Total reward split pro rata to the balances, rounded down. Without it, the claim amount
+ * of each holder is its balance.
+ * @param options.batchSize Number of balances read concurrently.
+ * @return `{ timestamp, totalBalance, reward, root, holders: [{ account, balance, amount, proof }] }`, holders sorted
+ * by address.
+ */
+const takeSnapshot = async (client, holders, timestamp, { reward, batchSize = 50 } = {}) => {
+  const balances = []
+  for (let i = 0; i < holders.length; i += batchSize) {
+    const batch = holders.slice(i, i + batchSize)
+    balances.push(...await Promise.all(batch.map(account => client.balanceOfAt(account, timestamp))))
+  }
+
+  const rows = holders
+    .map((account, i) => ({ account: ethers.getAddress(account), balance: balances[i] }))
+    .filter(row => row.balance > 0n)
+    .sort((a, b) => a.account.toLowerCase() < b.account.toLowerCase() ? -1 : 1)
+  if (!rows.length)
+    throw new Error(`No holder had shares at timestamp ${ timestamp }`)
+
+  const total_balance = rows.reduce((total, row) => total + row.balance, 0n)
+  for (const row of rows)
+    row.amount = reward === undefined ? row.balance : BigInt(reward) * row.balance / total_balance
+
+  const { root, proofs } = buildMerkleTree(rows)
+  return {
+    timestamp: BigInt(timestamp),
+    totalBalance: total_balance,
+    reward: reward === undefined ? null : BigInt(reward),
+    root,
+    holders: rows.map(row => ({ ...row, proof: proofs[row.account.toLowerCase()] }))
+  }
+}
+
+const formatCsv = (snapshot) =>
+  ['account,balance,amount', ...snapshot.holders.map(h => `${ h.account },${ h.balance },${ h.amount }`)].join('\n') + '\n'
+
+const formatJson = (snapshot) =>
+  JSON.stringify(snapshot, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n'
+
+module.exports = {
+  formatCsv,
+  formatJson,
+  holdersFromEvents,
+  takeSnapshot
+}
@@ -0,0 +1,110 @@
+const {
+  Manifest,
+  getStorageLayout,
+  getStorageLayoutForAddress,
+  getStorageUpgradeReport,
+  getVersion,
+  withValidationDefaults
+} = require('@openzeppelin/upgrades-core')
+const { readValidations } = require('@openzeppelin/hardhat-upgrades/dist/utils/validations')
+
+const typeLabel = (layout, type) => (layout.types[type] && layout.types[type].label) || type
+
+const itemKey = (item) => `${ item.contract }.${ item.label }`
+
+/**
+ * Storage layout of each of the compiled `factories`, by contract name.
+ */
+const getCompiledLayouts = async (hre, factories) => {
+  const validations = await readValidations(hre)
+
+  const layouts = {}
+  for (const [name, factory] of Object.entries(factories))
+    layouts[name] = getStorageLayout(validations, getVersion(factory.bytecode))
+  return layouts
+}
+
+/**
+ * Storage layout of the implementation currently behind `implementation_address`, as recorded by the upgrades plugin
+ * when it was deployed, and of each of the compiled `factories` that would replace it, by contract name.
+ */
+const getLayouts = async (hre, implementation_address, factories) => {
+  const validations = await readValidations(hre),
+        manifest = await Manifest.forNetwork(hre.network.provider)
+
+  return {
+    original: await getStorageLayoutForAddress(manifest, validations, implementation_address),
+    updated: await getCompiledLayouts(hre, factories)
+  }
+}
+
+/**
+ * Compares two storage layouts. Gaps (`__gap`) may shrink by the number of slots appended before them,
+ * and mappings such as the `Checkpoints.Trace256` traces must keep their slot and type.
+ * @return `ok` when the upgrade is storage-safe, `explanation` listing the incompatibilities otherwise,
+ * and a per-variable `diff` for the report.
+ */
+const compareLayouts = (original, updated) => {
+  const report = getStorageUpgradeReport(original, updated, withValidationDefaults({}))
+
+  const original_items = new Map(original.storage.map(item => [itemKey(item), item])),
+        updated_items = new Map(updated.storage.map(item => [itemKey(item), item]))
+
+  const diff = updated.storage.map(item => {
+    const before = original_items.get(itemKey(item)),
+          after = { slot: item.slot, type: typeLabel(updated, item.type) }
+    if (!before)
+      return { variable: itemKey(item), status: 'added', after }
+
+    const previous = { slot: before.slot, type: typeLabel(original, before.type) }
+    const unchanged = previous.slot === after.slot && previous.type === after.type
+    return { variable: itemKey(item), status: unchanged ? 'unchanged' : 'changed', before: previous, after }
+  })
+  for (const [key, item] of original_items)
+    if (!updated_items.has(key))
+      diff.push({ variable: key, status: 'removed', before: { slot: item.slot, type: typeLabel(original, item.type) } })
+
+  return { ok: report.ok, explanation: report.ok ? '' : report.explain(false), diff }
+}
+
+const formatSlot = (entry) => entry ? `${ entry.slot } \`${ entry.type }\`` : '-'
+
+/**
+ * Renders a markdown upgrade report. `delegates` are the `{ name, ok, explanation }` comparisons of the contracts the
+ * new implementation delegates to, which run on the storage of the proxy too.
+ */
+const formatUpgradeReport = ({ network, symbol, proxy, from, to, comparison, delegates = [] }) => {
+  const lines = [
+    `# ${ symbol || 'FirelightVault' } upgrade report`,
+    '',
+    `- Network: ${ network }`,
+    `- Proxy: ${ proxy }`,
+    `- Implementation: ${ from.implementation } -> ${ to.implementation || '(not deployed)' }`,
+    `- Extension: ${ to.extension || '(not deployed)' }`,
+    `- Contract version: ${ from.version } -> ${ to.version === undefined ? '(unknown)' : to.version }`,
+    `- Storage layout: ${ comparison.ok ? 'compatible' : 'INCOMPATIBLE' }`,
+    ...delegates.map(delegate => `- Storage layout of ${ delegate.name }: ${ delegate.ok ? 'compatible' : 'INCOMPATIBLE' }`),
+    '',
+    '## Storage',
+    '',
+    '| Variable | Status | Before | After |',
+    '| --- | --- | --- | --- |',
+    ...comparison.diff.map(entry => `| ${ entry.variable } | ${ entry.status } | ${ formatSlot(entry.before) } | ${ formatSlot(entry.after) } |`)
+  ]
+  if (to.scheduled) {
+    const ready_at = new Date(Number(to.scheduled.readyAt) * 1000).toISOString()
+    lines.splice(8 + delegates.length, 0, `- Scheduled on timelock ${ to.scheduled.timelock } as ${ to.scheduled.id }, executable from ${ ready_at }`)
+  }
+  if (!comparison.ok)
+    lines.push('', '## Incompatibilities', '', '```', comparison.explanation, '```')
+  for (const delegate of delegates.filter(delegate => !delegate.ok))
+    lines.push('', `## Incompatibilities of ${ delegate.name }`, '', '```', delegate.explanation, '```')
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  compareLayouts,
+  formatUpgradeReport,
+  getCompiledLayouts,
+  getLayouts
+}
@@ -0,0 +1,125 @@
+const { ethers } = require('ethers')
+const path = require('path')
+const { loadAbi } = require('./vault_client')
+
+const ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightTimelock.sol/FirelightTimelock.json')
+
+// ProxyAdmin of the transparent proxies deployed by @openzeppelin/hardhat-upgrades
+const PROXY_ADMIN_ABI = [
+  'function owner() view returns (address)',
+  'function upgradeAndCall(address proxy, address implementation, bytes data) payable',
+  'function transferOwnership(address newOwner)'
+]
+
+// FirelightVaultFactory functions of its owner
+const FACTORY_ABI = [
+  'function owner() view returns (address)',
+  'function deployVault(address asset, string name, string symbol, bytes initParams) returns (address vault)',
+  'function registerVault(address vault)',
+  'function upgradeVaults(address implementation)'
+]
+
+// TimelockController.OperationState
+const OPERATION_STATES = ['cancelled', 'waiting', 'ready', 'done']
+
+const loadTimelockAbi = () => require(ARTIFACT_PATH).abi
+
+/**
+ * Interfaces used to describe the scheduled calls: the vault, its ProxyAdmin or factory, and the timelock itself.
+ */
+const defaultInterfaces = () => [loadAbi(), PROXY_ADMIN_ABI, FACTORY_ABI, loadTimelockAbi()].map(abi => new ethers.Interface(abi))
+
+const describeCall = (interfaces, data) => {
+  for (const iface of interfaces) {
+    const call = iface.parseTransaction({ data })
+    if (call)
+      return `${ call.name }(${ call.args.map(String).join(', ') })`
+  }
+  return data.slice(0, 10)
+}
+
+const operationOf = ({ target, value = 0n, data, predecessor = ethers.ZeroHash, salt = ethers.ZeroHash }) =>
+  [target, value, data, predecessor, salt]
+
+/**
+ * Schedules a single call through the timelock, with the minimum delay unless `operation.delay` is given.
+ * The signer of `timelock` must hold the PROPOSER_ROLE.
+ * @return The operation id and the timestamp from which it can be executed.
+ */
+const scheduleCall = async (timelock, operation) => {
+  const delay = operation.delay === undefined ? await timelock.getMinDelay() : BigInt(operation.delay)
+  const id = await timelock.hashOperation(...operationOf(operation))
+
+  const receipt = await (await timelock.schedule(...operationOf(operation), delay)).wait()
+  return { id, readyAt: await timelock.getTimestamp(id), receipt }
+}
+
+/**
+ * Executes a scheduled single call. The signer of `timelock` must hold the EXECUTOR_ROLE, unless it is open.
+ */
+const executeCall = async (timelock, operation) => {
+  const tx = await timelock.execute(...operationOf(operation), { value: operation.value || 0n })
+  return { receipt: await tx.wait() }
+}
+
+/**
+ * Every operation scheduled on the timelock, rebuilt from its events, with its current state.
+ * @param options.interfaces ethers Interfaces used to describe the calls, by default the vault, ProxyAdmin, factory and timelock.
+ * @param options.labels Names of known targets, keyed by lowercase address.
+ * @return Operations sorted by the time they become executable.
+ */
+const listOperations = async (timelock, { fromBlock = 0, toBlock = 'latest', interfaces = defaultInterfaces(), labels = {} } = {}) => {
+  const query = (event) => timelock.queryFilter(timelock.filters[event](), fromBlock, toBlock)
+  const [scheduled, salts] = await Promise.all([query('CallScheduled'), query('CallSalt')])
+
+  const salt_of = new Map(salts.map(log => [log.args.id, log.args.salt]))
+  const operations = new Map()
+  for (const log of scheduled) {
+    const { id, index, target, value, data, predecessor, delay } = log.args
+    // An operation cancelled and then scheduled again keeps the same id, the last scheduling replaces the first
+    if (!operations.has(id) || operations.get(id).transactionHash !== log.transactionHash) {
+      const { timestamp } = await log.getBlock()
+      operations.set(id, {
+        id,
+        calls: [],
+        predecessor,
+        salt: salt_of.get(id) || ethers.ZeroHash,
+        scheduledAt: BigInt(timestamp),
+        readyAt: BigInt(timestamp) + delay,
+        transactionHash: log.transactionHash
+      })
+    }
+    operations.get(id).calls[Number(index)] = {
+      target,
+      label: labels[target.toLowerCase()],
+      value,
+      data,
+      description: describeCall(interfaces, data)
+    }
+  }
+
+  const result = await Promise.all([...operations.values()].map(async operation => {
+    const state = OPERATION_STATES[Number(await timelock.getOperationState(operation.id))]
+    // The timelock only keeps the timestamp of pending operations
+    if (state === 'waiting' || state === 'ready')
+      operation.readyAt = await timelock.getTimestamp(operation.id)
+    return { ...operation, state }
+  }))
+  return result.sort((a, b) => Number(a.readyAt - b.readyAt))
+}
+
+/**
+ * Operations that are neither executed nor cancelled.
+ */
+const pendingOperations = async (timelock, options) =>
+  (await listOperations(timelock, options)).filter(operation => operation.state === 'waiting' || operation.state === 'ready')
+
+module.exports = {
+  FACTORY_ABI,
+  PROXY_ADMIN_ABI,
+  executeCall,
+  listOperations,
+  loadTimelockAbi,
+  pendingOperations,
+  scheduleCall
+}
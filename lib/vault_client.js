@@ -0,0 +1,825 @@
+const { ethers } = require('ethers')
+const path = require('path')
+
+const ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightVault.sol/FirelightVault.json'),
+      EXTENSION_ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightVaultExtension.sol/FirelightVaultExtension.json'),
+      MANAGEMENT_ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightVaultManagement.sol/FirelightVaultManagement.json'),
+      ALLOCATION_ARTIFACT_PATH = path.resolve(__dirname, '..', 'artifacts/contracts/FirelightVaultAllocation.sol/FirelightVaultAllocation.json')
+
+// Field order of FirelightVault.InitParams, as decoded by initialize()
+const INIT_PARAMS = [
+  ['defaultAdmin', 'address'],
+  ['limitUpdater', 'address'],
+  ['blocklister', 'address'],
+  ['pauser', 'address'],
+  ['periodConfigurationUpdater', 'address'],
+  ['rescuer', 'address'],
+  ['rewardDistributor', 'address'],
+  ['feeManager', 'address'],
+  ['allowlister', 'address'],
+  ['allocator', 'address'],
+  ['depositLimit', 'uint256'],
+  ['periodConfigurationDuration', 'uint48']
+]
+
+// Role granted by initialize() to each InitParams address
+const INIT_PARAMS_ROLES = {
+  defaultAdmin: 'DEFAULT_ADMIN_ROLE',
+  limitUpdater: 'DEPOSIT_LIMIT_UPDATE_ROLE',
+  blocklister: 'BLOCKLIST_ROLE',
+  pauser: 'PAUSE_ROLE',
+  periodConfigurationUpdater: 'PERIOD_CONFIGURATION_UPDATE_ROLE',
+  rescuer: 'RESCUER_ROLE',
+  rewardDistributor: 'REWARD_DISTRIBUTOR_ROLE',
+  feeManager: 'FEE_MANAGER_ROLE',
+  allowlister: 'ALLOWLIST_ROLE',
+  allocator: 'ALLOCATOR_ROLE'
+}
+
+/**
+ * ABI of a vault proxy: the FirelightVault functions, and the FirelightVaultExtension, FirelightVaultManagement and
+ * FirelightVaultAllocation ones reached through the fallbacks.
+ */
+const loadAbi = () => {
+  const abi = [...require(ARTIFACT_PATH).abi],
+        known = new Set(abi.map(fragment => ethers.Fragment.from(fragment).format('json')))
+  for (const artifact_path of [EXTENSION_ARTIFACT_PATH, MANAGEMENT_ARTIFACT_PATH, ALLOCATION_ARTIFACT_PATH])
+    for (const fragment of require(artifact_path).abi) {
+      const key = fragment.type === 'constructor' ? null : ethers.Fragment.from(fragment).format('json')
+      if (key && !known.has(key)) {
+        known.add(key)
+        abi.push(fragment)
+      }
+    }
+  return abi
+}
+
+/**
+ * ABI-encodes the `InitParams` struct expected by `FirelightVault.initialize`.
+ * Missing role addresses are encoded as the zero address, which skips the grant.
+ */
+const encodeInitParams = (params) => {
+  const values = INIT_PARAMS.map(([key, type]) => {
+    const value = params[key]
+    if (type === 'address')
+      return value || ethers.ZeroAddress
+    if (value === undefined || value === null)
+      throw new Error(`Missing init param: ${ key }`)
+    return BigInt(value)
+  })
+  return ethers.AbiCoder.defaultAbiCoder().encode(INIT_PARAMS.map(([, type]) => type), values)
+}
+
+const toPeriodConfiguration = ([epoch, duration, startingPeriod]) => ({
+  epoch: BigInt(epoch),
+  duration: BigInt(duration),
+  startingPeriod: BigInt(startingPeriod)
+})
+
+/**
+ * Off-chain equivalent of `periodConfigurationAtTimestamp`.
+ * @param configurations Period configurations ordered as stored in the vault.
+ */
+const periodConfigurationAtTimestamp = (configurations, timestamp) => {
+  timestamp = BigInt(timestamp)
+  let configuration
+  for (const c of configurations) {
+    if (timestamp < c.epoch)
+      break
+    configuration = c
+  }
+  if (!configuration)
+    throw new Error(`No period configuration at timestamp ${ timestamp }`)
+  return configuration
+}
+
+/**
+ * Off-chain equivalent of `periodAtTimestamp`.
+ */
+const periodAtTimestamp = (configurations, timestamp) => {
+  const c = periodConfigurationAtTimestamp(configurations, timestamp)
+  return c.startingPeriod + (BigInt(timestamp) - c.epoch) / c.duration
+}
+
+/**
+ * Returns the `[start, end)` timestamps of a period number.
+ */
+const periodBounds = (configurations, period) => {
+  period = BigInt(period)
+  let configuration
+  for (const c of configurations) {
+    if (period < c.startingPeriod)
+      break
+    configuration = c
+  }
+  if (!configuration)
+    throw new Error(`No period configuration for period ${ period }`)
+  const start = configuration.epoch + (period - configuration.startingPeriod) * configuration.duration
+  return { start, end: start + configuration.duration }
+}
+
+/**
+ * Position of the last checkpoint with a timestamp lower or equal than `timestamp`, by binary search over
+ * `timestampAt(pos)` for `pos` below `length`, or undefined if there is none.
+ */
+const findCheckpoint = async (length, timestampAt, timestamp) => {
+  let low = 0,
+      high = Number(length)
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    if (await timestampAt(mid) > BigInt(timestamp))
+      high = mid
+    else
+      low = mid + 1
+  }
+  return high === 0 ? undefined : high - 1
+}
+
+/**
+ * Encodes a checkpoint position as the `hint` of the hinted lookups, or as an empty hint if it is undefined.
+ */
+const encodeHint = (pos) => pos === undefined ? '0x' : ethers.AbiCoder.defaultAbiCoder().encode(['uint32'], [pos])
+
+// Reads needed to sign an EIP-2612 permit on the asset, eip712Domain() being optional
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1, string, string, uint256, address, bytes32, uint256[])'
+]
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+// Permits signed by the client expire one hour after the latest block unless a deadline is given
+const PERMIT_VALIDITY = 3600
+
+/**
+ * EIP-712 typed data of an EIP-2612 permit of `owner` on `token`, the vault shares or a permit capable asset.
+ * The domain is read with the ERC-5267 `eip712Domain()` when the token has it, else built from its name and version 1.
+ * @param token ethers Contract of the token, with at least the PERMIT_ABI functions.
+ * @return `{ domain, types, message }`, as taken by `signer.signTypedData`.
+ */
+const permitTypedData = async (token, owner, spender, value, deadline) => {
+  let domain
+  try {
+    const [, name, version, chain_id, verifying_contract] = await token.eip712Domain()
+    domain = { name, version, chainId: chain_id, verifyingContract: verifying_contract }
+  } catch (e) {
+    const provider = token.runner.provider || token.runner
+    domain = { name: await token.name(), version: '1', chainId: (await provider.getNetwork()).chainId, verifyingContract: await token.getAddress() }
+  }
+  const message = { owner, spender, value: BigInt(value), nonce: await token.nonces(owner), deadline: BigInt(deadline) }
+  return { domain, types: PERMIT_TYPES, message }
+}
+
+/**
+ * Signs an EIP-2612 permit of `signer` approving `value` of `token` to `spender` until `deadline`.
+ * @return `{ deadline, v, r, s }`, the permit arguments of `depositWithPermit`, `mintWithPermit` and `redeemWithPermit`.
+ */
+const signPermit = async (signer, token, spender, value, deadline) => {
+  const { domain, types, message } = await permitTypedData(token, await signer.getAddress(), spender, value, deadline)
+  const { v, r, s } = ethers.Signature.from(await signer.signTypedData(domain, types, message))
+  return { deadline: message.deadline, v, r, s }
+}
+
+const MAX_BPS = 10000
+const YEAR = 365 * 24 * 3600
+const PRICE_SCALE = 10n ** 18n
+
+/**
+ * Net APY of the holders for a gross reward APY: the performance fee is taken from the rewards,
+ * the management fee from the assets.
+ * @param gross_apy Gross APY as a fraction, e.g. 0.05 for 5%.
+ * @param fees `{ managementFeeBps, performanceFeeBps }`, as returned by `FirelightVaultClient.fees`.
+ */
+const netApy = (gross_apy, { managementFeeBps, performanceFeeBps }) =>
+  gross_apy * (1 - Number(performanceFeeBps) / MAX_BPS) - Number(managementFeeBps) / MAX_BPS
+
+/**
+ * Annualized growth of the share price between two `[assets, supply]` totals taken `seconds` apart.
+ * Fee shares dilute the share price, so the result is net of fees.
+ */
+const sharePriceApy = ([assets_from, supply_from], [assets_to, supply_to], seconds) => {
+  // Same virtual share and asset as the vault conversions
+  const price_from = (BigInt(assets_from) + 1n) * PRICE_SCALE / (BigInt(supply_from) + 1n),
+        price_to = (BigInt(assets_to) + 1n) * PRICE_SCALE / (BigInt(supply_to) + 1n)
+  return (Number(price_to * PRICE_SCALE / price_from) / Number(PRICE_SCALE)) ** (YEAR / Number(seconds)) - 1
+}
+
+const parseLogs = (contract, receipt, event_name) => {
+  const vault_address = contract.target.toLowerCase()
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === vault_address)
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log)
+      } catch (e) {
+        return null
+      }
+    })
+    .filter(event => event && event.name === event_name)
+}
+
+/**
+ * Decodes every `WithdrawRequest` emitted by the vault in a transaction receipt.
+ */
+const parseWithdrawRequests = (contract, receipt) => parseLogs(contract, receipt, 'WithdrawRequest').map(({ args }) => ({
+  sender: args.sender,
+  receiver: args.receiver,
+  owner: args.owner,
+  period: args.period,
+  assets: args.assets,
+  shares: args.shares
+}))
+
+/**
+ * Decodes every `CompleteWithdraw` emitted by the vault in a transaction receipt.
+ */
+const parseCompleteWithdraws = (contract, receipt) => parseLogs(contract, receipt, 'CompleteWithdraw').map(({ args }) => ({
+  receiver: args.receiver,
+  assets: args.assets,
+  period: args.period
+}))
+
+/**
+ * Decodes every `CancelWithdraw` emitted by the vault in a transaction receipt.
+ */
+const parseCancelWithdraws = (contract, receipt) => parseLogs(contract, receipt, 'CancelWithdraw').map(({ args }) => ({
+  receiver: args.receiver,
+  assets: args.assets,
+  shares: args.shares,
+  period: args.period
+}))
+
+/**
+ * Thin client around a deployed FirelightVault.
+ * Amounts are returned as BigInt; write methods also accept decimal strings, parsed with the vault's decimals.
+ * Shares and assets share the same decimals since the vault has no decimals offset.
+ */
+class FirelightVaultClient {
+  /**
+   * @param address Vault (proxy) address.
+   * @param runner An ethers Signer for write methods, or a Provider for reads only.
+   * @param options.abi Vault ABI, defaults to the compiled Hardhat artifact.
+   */
+  constructor(address, runner, options = {}) {
+    this.contract = new ethers.Contract(address, options.abi || loadAbi(), runner)
+    this._decimals = null
+  }
+
+  get address() {
+    return this.contract.target
+  }
+
+  connect(runner) {
+    return new FirelightVaultClient(this.address, runner, { abi: this.contract.interface.fragments })
+  }
+
+  async decimals() {
+    if (this._decimals === null)
+      this._decimals = Number(await this.contract.decimals())
+    return this._decimals
+  }
+
+  async formatAmount(amount) {
+    return ethers.formatUnits(amount, await this.decimals())
+  }
+
+  async parseAmount(amount) {
+    if (typeof amount === 'string')
+      return ethers.parseUnits(amount, await this.decimals())
+    return BigInt(amount)
+  }
+
+  async _send(method, args) {
+    const tx = await this.contract[method](...args)
+    return await tx.wait()
+  }
+
+  // Writes
+
+  async deposit(assets, receiver) {
+    const receipt = await this._send('deposit', [await this.parseAmount(assets), receiver])
+    return { receipt, deposits: this.parseDeposits(receipt) }
+  }
+
+  async mint(shares, receiver) {
+    const receipt = await this._send('mint', [await this.parseAmount(shares), receiver])
+    return { receipt, deposits: this.parseDeposits(receipt) }
+  }
+
+  async withdraw(assets, receiver, owner) {
+    const receipt = await this._send('withdraw', [await this.parseAmount(assets), receiver, owner])
+    const requests = parseWithdrawRequests(this.contract, receipt)
+    return { receipt, request: requests[0], requests }
+  }
+
+  async redeem(shares, receiver, owner) {
+    const receipt = await this._send('redeem', [await this.parseAmount(shares), receiver, owner])
+    const requests = parseWithdrawRequests(this.contract, receipt)
+    return { receipt, request: requests[0], requests }
+  }
+
+  /**
+   * ERC-7540 redemption request, the same as redeem with `controller` as receiver.
+   * @return `requests` has one entry per period the request spills over into, the last period is the request ID.
+   */
+  async requestRedeem(shares, controller, owner) {
+    const receipt = await this._send('requestRedeem', [await this.parseAmount(shares), controller, owner])
+    const requests = parseWithdrawRequests(this.contract, receipt)
+    return { receipt, request: requests[0], requests }
+  }
+
+  /**
+   * Redeems from the idle buffer in the same transaction, for the instant redemption fee.
+   * @return `redemption` is the decoded `InstantRedeem` event.
+   */
+  async instantRedeem(shares, receiver, owner) {
+    const receipt = await this._send('instantRedeem', [await this.parseAmount(shares), receiver, owner])
+    return { receipt, redemption: this.parseInstantRedeems(receipt)[0] }
+  }
+
+  async setOperator(operator, approved) {
+    const receipt = await this._send('setOperator', [operator, approved])
+    return { receipt }
+  }
+
+  async claimWithdraw(period) {
+    const receipt = await this._send('claimWithdraw', [BigInt(period)])
+    return { receipt, claim: parseCompleteWithdraws(this.contract, receipt)[0] }
+  }
+
+  async cancelWithdraw(period) {
+    const receipt = await this._send('cancelWithdraw', [BigInt(period)])
+    return { receipt, cancellation: parseCancelWithdraws(this.contract, receipt)[0] }
+  }
+
+  async claimWithdrawFor(account, period) {
+    const receipt = await this._send('claimWithdrawFor', [account, BigInt(period)])
+    return { receipt, claim: parseCompleteWithdraws(this.contract, receipt)[0] }
+  }
+
+  async claimWithdrawals(periods) {
+    const receipt = await this._send('claimWithdrawals', [periods.map(BigInt)])
+    return { receipt, claims: parseCompleteWithdraws(this.contract, receipt) }
+  }
+
+  /**
+   * Deposits with a permit on the asset signed by the runner, without a prior `approve`. The asset must support
+   * EIP-2612 permits.
+   * @param options.deadline Permit deadline, one hour after the latest block by default.
+   */
+  async depositWithPermit(assets, receiver, { deadline } = {}) {
+    assets = await this.parseAmount(assets)
+    const permit = await signPermit(this.contract.runner, await this._assetContract(), this.address, assets, await this._permitDeadline(deadline))
+    const receipt = await this._send('depositWithPermit', [assets, receiver, permit.deadline, permit.v, permit.r, permit.s])
+    return { receipt, deposits: this.parseDeposits(receipt) }
+  }
+
+  /**
+   * Mints with a permit on the asset signed by the runner, see depositWithPermit.
+   * @param options.maxAssets Value of the permit, `previewMint(shares)` by default.
+   */
+  async mintWithPermit(shares, receiver, { maxAssets, deadline } = {}) {
+    shares = await this.parseAmount(shares)
+    maxAssets = maxAssets === undefined ? await this.contract.previewMint(shares) : await this.parseAmount(maxAssets)
+    const permit = await signPermit(this.contract.runner, await this._assetContract(), this.address, maxAssets, await this._permitDeadline(deadline))
+    const receipt = await this._send('mintWithPermit', [shares, receiver, maxAssets, permit.deadline, permit.v, permit.r, permit.s])
+    return { receipt, deposits: this.parseDeposits(receipt) }
+  }
+
+  /**
+   * Signs a permit of the runner approving `shares` of the vault to `spender`, for `spender` to call `redeemWithPermit`.
+   * @param options.deadline Permit deadline, one hour after the latest block by default.
+   * @return `{ deadline, v, r, s }`
+   */
+  async signSharePermit(spender, shares, { deadline } = {}) {
+    return signPermit(this.contract.runner, this.contract, spender, await this.parseAmount(shares), await this._permitDeadline(deadline))
+  }
+
+  /**
+   * Redeems the shares of `owner` with the permit `owner` signed to the runner, see signSharePermit.
+   */
+  async redeemWithPermit(shares, receiver, owner, { deadline, v, r, s }) {
+    const receipt = await this._send('redeemWithPermit', [await this.parseAmount(shares), receiver, owner, deadline, v, r, s])
+    const requests = parseWithdrawRequests(this.contract, receipt)
+    return { receipt, request: requests[0], requests }
+  }
+
+  async _assetContract() {
+    return new ethers.Contract(await this.contract.asset(), PERMIT_ABI, this.contract.runner)
+  }
+
+  async _permitDeadline(deadline) {
+    if (deadline !== undefined)
+      return BigInt(deadline)
+    const provider = this.contract.runner.provider || this.contract.runner
+    return BigInt((await provider.getBlock('latest')).timestamp + PERMIT_VALIDITY)
+  }
+
+  /**
+   * Distributes rewards vesting over `vestingDuration` seconds, at most the period duration, or until the end of the
+   * next period when zero, which can be up to two periods away. The vault must be approved to transfer `amount` from
+   * the signer.
+   */
+  async distributeRewards(amount, vestingDuration = 0) {
+    const receipt = await this._send('distributeRewards', [await this.parseAmount(amount), BigInt(vestingDuration)])
+    return { receipt, distribution: this.parseRewardsDistributions(receipt)[0] }
+  }
+
+  async addToAllowlist(accounts) {
+    const receipt = await this._send('addToAllowlist', [accounts])
+    return { receipt }
+  }
+
+  async removeFromAllowlist(accounts) {
+    const receipt = await this._send('removeFromAllowlist', [accounts])
+    return { receipt }
+  }
+
+  async accrueFees() {
+    const receipt = await this._send('accrueFees', [])
+    return { receipt, fees: this.parseFeesAccrued(receipt)[0] || null }
+  }
+
+  async syncRewards() {
+    const receipt = await this._send('syncRewards', [])
+    return { receipt, distribution: this.parseRewardsDistributions(receipt)[0] }
+  }
+
+  async allocate(strategy, assets) {
+    const receipt = await this._send('allocate', [strategy, await this.parseAmount(assets)])
+    return { receipt }
+  }
+
+  async deallocate(strategy, assets) {
+    const receipt = await this._send('deallocate', [strategy, await this.parseAmount(assets)])
+    return { receipt }
+  }
+
+  /**
+   * @return `report` is the decoded `StrategyReported` event, `{ strategy, assets, gain, loss }`.
+   */
+  async reportStrategy(strategy) {
+    const receipt = await this._send('reportStrategy', [strategy])
+    const [report] = parseLogs(this.contract, receipt, 'StrategyReported').map(({ args }) => ({
+      strategy: args.strategy,
+      assets: args.assets,
+      gain: args.gain,
+      loss: args.loss
+    }))
+    return { receipt, report }
+  }
+
+  /**
+   * @return `failures` are the decoded `StrategyRecallFailed` events, `[{ strategy, assets, reason }]`.
+   */
+  async recallWithdrawals() {
+    const receipt = await this._send('recallWithdrawals', [])
+    const failures = parseLogs(this.contract, receipt, 'StrategyRecallFailed').map(({ args }) => ({
+      strategy: args.strategy,
+      assets: args.assets,
+      reason: args.reason
+    }))
+    return { receipt, failures }
+  }
+
+  /**
+   * Claims every claimable withdrawal of the signer in one transaction.
+   * @return null when there is nothing to claim.
+   */
+  async claimAllWithdrawals(options = {}) {
+    const account = await this.contract.runner.getAddress(),
+          periods = (await this.unclaimedWithdrawals(account, options)).filter(w => w.claimable).map(w => w.period)
+    if (!periods.length)
+      return null
+    return await this.claimWithdrawals(periods)
+  }
+
+  // Receipt decoding
+
+  parseDeposits(receipt) {
+    return parseLogs(this.contract, receipt, 'Deposit').map(({ args }) => ({
+      sender: args.sender,
+      owner: args.owner,
+      assets: args.assets,
+      shares: args.shares
+    }))
+  }
+
+  parseWithdrawRequests(receipt) {
+    return parseWithdrawRequests(this.contract, receipt)
+  }
+
+  parseCompleteWithdraws(receipt) {
+    return parseCompleteWithdraws(this.contract, receipt)
+  }
+
+  parseCancelWithdraws(receipt) {
+    return parseCancelWithdraws(this.contract, receipt)
+  }
+
+  parseInstantRedeems(receipt) {
+    return parseLogs(this.contract, receipt, 'InstantRedeem').map(({ args }) => ({
+      sender: args.sender,
+      receiver: args.receiver,
+      owner: args.owner,
+      assets: args.assets,
+      shares: args.shares,
+      fee: args.fee
+    }))
+  }
+
+  parseFeesAccrued(receipt) {
+    return parseLogs(this.contract, receipt, 'FeesAccrued').map(({ args }) => ({
+      recipient: args.recipient,
+      managementFee: args.managementFee,
+      performanceFee: args.performanceFee,
+      shares: args.shares
+    }))
+  }
+
+  parseRewardsDistributions(receipt) {
+    return parseLogs(this.contract, receipt, 'RewardsDistributed').map(({ args }) => ({
+      sender: args.sender,
+      amount: args.amount,
+      vestingAmount: args.vestingAmount,
+      vestingEnd: args.vestingEnd
+    }))
+  }
+
+  // Reads
+
+  asset() {
+    return this.contract.asset()
+  }
+
+  totalAssets() {
+    return this.contract.totalAssets()
+  }
+
+  totalSupply() {
+    return this.contract.totalSupply()
+  }
+
+  balanceOf(account) {
+    return this.contract.balanceOf(account)
+  }
+
+  depositLimit() {
+    return this.contract.depositLimit()
+  }
+
+  pendingWithdrawAssets() {
+    return this.contract.pendingWithdrawAssets()
+  }
+
+  unvestedAssets() {
+    return this.contract.unvestedAssets()
+  }
+
+  /**
+   * Every strategy with the assets deployed to it as of its last allocation or report.
+   * @return `[{ strategy, assets }]`, in recall order.
+   */
+  async strategies() {
+    const strategies = await this.contract.strategies()
+    const assets = await Promise.all(strategies.map(strategy => this.contract.strategyAssets(strategy)))
+    return strategies.map((strategy, i) => ({ strategy, assets: assets[i] }))
+  }
+
+  async fees() {
+    const [recipient, managementFeeBps, performanceFeeBps] = await Promise.all([
+      this.contract.feeRecipient(),
+      this.contract.managementFeeBps(),
+      this.contract.performanceFeeBps()
+    ])
+    return { recipient, managementFeeBps, performanceFeeBps }
+  }
+
+  /**
+   * Pause flags of the vault. An operation is paused when `paused` or its own flag is set.
+   */
+  async pauseState() {
+    const [paused, deposits, transfers, withdrawRequests, claims] = await Promise.all([
+      this.contract.paused(),
+      this.contract.depositsPaused(),
+      this.contract.transfersPaused(),
+      this.contract.withdrawRequestsPaused(),
+      this.contract.claimsPaused()
+    ])
+    return { paused, deposits, transfers, withdrawRequests, claims }
+  }
+
+  /**
+   * Net APY of the holders for a gross reward APY, with the current fees.
+   */
+  async netApy(gross_apy) {
+    return netApy(gross_apy, await this.fees())
+  }
+
+  async vestingSchedule() {
+    const [amount, start, end] = await this.contract.vestingSchedule()
+    return { amount, start, end }
+  }
+
+  currentPeriod() {
+    return this.contract.currentPeriod()
+  }
+
+  currentPeriodStart() {
+    return this.contract.currentPeriodStart()
+  }
+
+  currentPeriodEnd() {
+    return this.contract.currentPeriodEnd()
+  }
+
+  nextPeriodEnd() {
+    return this.contract.nextPeriodEnd()
+  }
+
+  withdrawalsOf(period, account) {
+    return this.contract.withdrawalsOf(period, account)
+  }
+
+  previewInstantRedeem(shares) {
+    return this.contract.previewInstantRedeem(shares)
+  }
+
+  maxInstantRedeem(owner) {
+    return this.contract.maxInstantRedeem(owner)
+  }
+
+  /**
+   * Last period a withdrawal request of `assets` made now would spill over into, see the withdrawal capacity.
+   */
+  async previewWithdrawPeriod(assets) {
+    return this.contract.previewWithdrawPeriod(await this.parseAmount(assets))
+  }
+
+  isOperator(controller, operator) {
+    return this.contract.isOperator(controller, operator)
+  }
+
+  pendingRedeemRequest(requestId, controller) {
+    return this.contract.pendingRedeemRequest(requestId, controller)
+  }
+
+  claimableRedeemRequest(requestId, controller) {
+    return this.contract.claimableRedeemRequest(requestId, controller)
+  }
+
+  isBlocklisted(account) {
+    return this.contract.isBlocklisted(account)
+  }
+
+  allowlistEnabled() {
+    return this.contract.allowlistEnabled()
+  }
+
+  isAllowlisted(account) {
+    return this.contract.isAllowlisted(account)
+  }
+
+  isWithdrawClaimed(period, account) {
+    return this.contract.isWithdrawClaimed(period, account)
+  }
+
+  // The historical lookups take an optional hint, see balanceOfAtHint. The hinted overloads need their signature in ethers
+  balanceOfAt(account, timestamp, hint) {
+    if (hint === undefined)
+      return this.contract.balanceOfAt(account, timestamp)
+    return this.contract['balanceOfAt(address,uint48,bytes)'](account, timestamp, hint)
+  }
+
+  totalSupplyAt(timestamp, hint) {
+    if (hint === undefined)
+      return this.contract.totalSupplyAt(timestamp)
+    return this.contract['totalSupplyAt(uint48,bytes)'](timestamp, hint)
+  }
+
+  totalAssetsAt(timestamp, hint) {
+    if (hint === undefined)
+      return this.contract.totalAssetsAt(timestamp)
+    return this.contract['totalAssetsAt(uint48,bytes)'](timestamp, hint)
+  }
+
+  /**
+   * Hint for `balanceOfAt(account, timestamp, hint)`, found off-chain in about log2(checkpoints) calls. Contracts
+   * reading the balance on-chain can take it as a parameter to skip the search.
+   */
+  async balanceOfAtHint(account, timestamp) {
+    const length = await this.contract.balanceOfCheckpoints(account)
+    const pos = await findCheckpoint(length, async (i) => (await this.contract.balanceOfCheckpointAt(account, i))[0], timestamp)
+    return encodeHint(pos)
+  }
+
+  async totalSupplyAtHint(timestamp) {
+    const length = await this.contract.totalSupplyCheckpoints()
+    const pos = await findCheckpoint(length, async (i) => (await this.contract.totalSupplyCheckpointAt(i))[0], timestamp)
+    return encodeHint(pos)
+  }
+
+  async totalAssetsAtHint(timestamp) {
+    const length = await this.contract.totalAssetsCheckpoints()
+    const pos = await findCheckpoint(length, async (i) => (await this.contract.totalAssetsCheckpointAt(i))[0], timestamp)
+    return encodeHint(pos)
+  }
+
+  convertToAssetsAt(shares, timestamp) {
+    return this.contract.convertToAssetsAt(shares, timestamp)
+  }
+
+  pricePerShareAt(timestamp) {
+    return this.contract.pricePerShareAt(timestamp)
+  }
+
+  timeWeightedBalanceOf(account, from, to) {
+    return this.contract.timeWeightedBalanceOf(account, from, to)
+  }
+
+  timeWeightedTotalSupply(from, to) {
+    return this.contract.timeWeightedTotalSupply(from, to)
+  }
+
+  /**
+   * Finds the withdrawals of `account` that are not claimed yet, from the `WithdrawRequest` logs where it is the
+   * receiver and the `WithdrawRescuedFromBlocklisted` logs where it is the beneficiary.
+   * @param options.fromBlock First block to search, usually the vault deployment block.
+   * @return `{ period, assets, claimable }` sorted by period, `claimable` once the period has ended.
+   */
+  async unclaimedWithdrawals(account, { fromBlock = 0, toBlock = 'latest' } = {}) {
+    const [requests, rescues] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.WithdrawRequest(null, account), fromBlock, toBlock),
+      this.contract.queryFilter(this.contract.filters.WithdrawRescuedFromBlocklisted(), fromBlock, toBlock)
+    ])
+
+    const periods = new Set(requests.map(log => log.args.period))
+    for (const log of rescues)
+      if (log.args.to.toLowerCase() === account.toLowerCase())
+        log.args.periods.forEach(period => periods.add(period))
+
+    const current_period = await this.currentPeriod()
+    const withdrawals = await Promise.all([...periods].map(async period => {
+      const [claimed, assets] = await Promise.all([
+        this.isWithdrawClaimed(period, account),
+        this.withdrawalsOf(period, account)
+      ])
+      return { period, assets, claimable: period < current_period, claimed }
+    }))
+
+    return withdrawals
+      .filter(w => !w.claimed && w.assets > 0n)
+      .map(({ period, assets, claimable }) => ({ period, assets, claimable }))
+      .sort((a, b) => (a.period < b.period ? -1 : 1))
+  }
+
+  /**
+   * Fetches every period configuration, ordered by epoch.
+   */
+  async periodConfigurations() {
+    const length = Number(await this.contract.periodConfigurationsLength())
+    const configurations = await Promise.all(
+      Array.from({ length }, (_, i) => this.contract.periodConfigurations(i))
+    )
+    return configurations.map(toPeriodConfiguration)
+  }
+
+  /**
+   * Period number at `timestamp`, computed locally from the period configurations.
+   */
+  async periodAtTimestamp(timestamp) {
+    return periodAtTimestamp(await this.periodConfigurations(), timestamp)
+  }
+
+  async periodBounds(period) {
+    return periodBounds(await this.periodConfigurations(), period)
+  }
+}
+
+module.exports = {
+  FirelightVaultClient,
+  INIT_PARAMS_ROLES,
+  encodeHint,
+  encodeInitParams,
+  findCheckpoint,
+  loadAbi,
+  netApy,
+  parseCancelWithdraws,
+  parseCompleteWithdraws,
+  parseWithdrawRequests,
+  periodAtTimestamp,
+  periodBounds,
+  periodConfigurationAtTimestamp,
+  permitTypedData,
+  sharePriceApy,
+  signPermit
+}
@@ -0,0 +1,41 @@
+const { ethers } = require('ethers')
+const yargs = require('yargs')
+const path = require('path')
+const { EventStore, VaultIndexer, createApi } = require('../lib/indexer')
+const { getVaultDeployment } = require('../lib/deployments')
+
+const argv = yargs
+  .usage('Indexes FirelightVault events and serves them over HTTP.\n\nUsage: $0 --rpc <url> (--vault <address> | --network <name> --symbol <symbol>)')
+  .option('rpc', { type: 'string', default: 'http://127.0.0.1:8545', describe: 'JSON-RPC endpoint' })
+  .option('vault', { type: 'string', describe: 'Vault proxy address' })
+  .option('network', { type: 'string', describe: 'Network of the deployment manifest to read the vault from' })
+  .option('symbol', { type: 'string', describe: 'Vault symbol in the deployment manifest' })
+  .option('from-block', { type: 'number', describe: 'First block to index, defaults to the deployment block' })
+  .option('confirmations', { type: 'number', default: 0 })
+  .option('interval', { type: 'number', default: 5000, describe: 'Polling interval in milliseconds' })
+  .option('db', { type: 'string', describe: 'Path of the JSON database, defaults to data/indexer-<vault>.json' })
+  .option('port', { type: 'number', default: 3000 })
+  .check(args => !!(args.vault || (args.network && args.symbol)) || 'Either --vault or --network and --symbol are required')
+  .argv
+
+const main = async () => {
+  let address = argv.vault,
+      from_block = argv.fromBlock
+  if (!address) {
+    const deployment = getVaultDeployment(argv.network, argv.symbol)
+    address = deployment.proxy
+    from_block = from_block === undefined ? deployment.blockNumber : from_block
+  }
+
+  const provider = new ethers.JsonRpcProvider(argv.rpc),
+        store = new EventStore(argv.db || path.resolve(__dirname, '..', 'data', `indexer-${ address.toLowerCase() }.json`))
+  const indexer = new VaultIndexer({ provider, address, store, fromBlock: from_block || 0, confirmations: argv.confirmations })
+
+  indexer.start(argv.interval)
+  createApi(store).listen(argv.port, () => console.log(`Indexing ${ address } from ${ argv.rpc }, API on port ${ argv.port }`))
+}
+
+main().catch(e => {
+  console.error(e)
+  process.exit(1)
+})
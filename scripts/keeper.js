@@ -0,0 +1,41 @@
+const { ethers } = require('ethers')
+const yargs = require('yargs')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { WithdrawKeeper } = require('../lib/keeper')
+const { getVaultDeployment } = require('../lib/deployments')
+const { EXECUTION_KEYS } = require('../lib/env')
+
+const argv = yargs
+  .usage('Claims matured FirelightVault withdrawals on behalf of their receivers.\n\nUsage: $0 --rpc <url> (--vault <address> | --network <name> --symbol <symbol>)')
+  .option('rpc', { type: 'string', default: 'http://127.0.0.1:8545', describe: 'JSON-RPC endpoint' })
+  .option('vault', { type: 'string', describe: 'Vault proxy address' })
+  .option('network', { type: 'string', describe: 'Network of the deployment manifest to read the vault from' })
+  .option('symbol', { type: 'string', describe: 'Vault symbol in the deployment manifest' })
+  .option('from-block', { type: 'number', describe: 'First block to scan, defaults to the deployment block' })
+  .option('interval', { type: 'number', default: 60000, describe: 'Polling interval in milliseconds' })
+  .check(args => !!(args.vault || (args.network && args.symbol)) || 'Either --vault or --network and --symbol are required')
+  .argv
+
+const main = async () => {
+  let address = argv.vault,
+      from_block = argv.fromBlock
+  if (!address) {
+    const deployment = getVaultDeployment(argv.network, argv.symbol)
+    address = deployment.proxy
+    from_block = from_block === undefined ? deployment.blockNumber : from_block
+  }
+  if (!EXECUTION_KEYS.length)
+    throw new Error('EXECUTION_KEYS must hold the keeper private key')
+
+  const provider = new ethers.JsonRpcProvider(argv.rpc),
+        signer = new ethers.Wallet(`0x${ EXECUTION_KEYS[0] }`, provider),
+        keeper = new WithdrawKeeper(new FirelightVaultClient(address, signer), { fromBlock: from_block || 0 })
+
+  console.log(`Keeper ${ signer.address } watching ${ address } on ${ argv.rpc }`)
+  keeper.start(argv.interval)
+}
+
+main().catch(e => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,58 @@
+const { ethers } = require('ethers')
+const yargs = require('yargs')
+const fs = require('fs')
+const path = require('path')
+const { EventStore, VaultIndexer } = require('../lib/indexer')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { formatCsv, formatJson, holdersFromEvents, takeSnapshot } = require('../lib/snapshot')
+const { getVaultDeployment } = require('../lib/deployments')
+
+const argv = yargs
+  .usage('Exports the share balances of every FirelightVault holder at a timestamp, with the Merkle root and proofs of the claims.\n\nUsage: $0 --rpc <url> (--vault <address> | --network <name> --symbol <symbol>) [--timestamp <seconds>] [--reward <amount>]')
+  .option('rpc', { type: 'string', default: 'http://127.0.0.1:8545', describe: 'JSON-RPC endpoint' })
+  .option('vault', { type: 'string', describe: 'Vault proxy address' })
+  .option('network', { type: 'string', describe: 'Network of the deployment manifest to read the vault from' })
+  .option('symbol', { type: 'string', describe: 'Vault symbol in the deployment manifest' })
+  .option('from-block', { type: 'number', describe: 'First block to index, defaults to the deployment block' })
+  .option('db', { type: 'string', describe: 'Path of the indexer JSON database, defaults to data/indexer-<vault>.json' })
+  .option('timestamp', { type: 'number', describe: 'Snapshot timestamp, defaults to the latest block' })
+  .option('reward', { type: 'string', describe: 'Total reward in token base units, split pro rata to the balances' })
+  .option('out', { type: 'string', default: path.resolve(__dirname, '..', 'data', 'snapshots'), describe: 'Output directory' })
+  .check(args => !!(args.vault || (args.network && args.symbol)) || 'Either --vault or --network and --symbol are required')
+  .argv
+
+const main = async () => {
+  let address = argv.vault,
+      from_block = argv.fromBlock
+  if (!address) {
+    const deployment = getVaultDeployment(argv.network, argv.symbol)
+    address = deployment.proxy
+    from_block = from_block === undefined ? deployment.blockNumber : from_block
+  }
+
+  // Brings the indexer database up to date, then reads the holders from its Transfer events
+  const provider = new ethers.JsonRpcProvider(argv.rpc),
+        store = new EventStore(argv.db || path.resolve(__dirname, '..', 'data', `indexer-${ address.toLowerCase() }.json`))
+  await new VaultIndexer({ provider, address, store, fromBlock: from_block || 0 }).sync()
+
+  const timestamp = argv.timestamp === undefined ? (await provider.getBlock('latest')).timestamp : argv.timestamp
+  if (timestamp > store.lastBlock.timestamp)
+    throw new Error(`Timestamp ${ timestamp } is after the last indexed block ${ store.lastBlock.number }`)
+
+  const client = new FirelightVaultClient(address, provider),
+        holders = holdersFromEvents(store.eventsByName('Transfer'))
+  const snapshot = await takeSnapshot(client, holders, timestamp, { reward: argv.reward })
+
+  const name = `${ argv.symbol || address.toLowerCase() }-${ timestamp }`
+  fs.mkdirSync(argv.out, { recursive: true })
+  fs.writeFileSync(path.join(argv.out, `${ name }.csv`), formatCsv(snapshot))
+  fs.writeFileSync(path.join(argv.out, `${ name }.json`), formatJson({ vault: address, ...snapshot }))
+
+  console.log(`${ snapshot.holders.length } holders at ${ new Date(timestamp * 1000).toISOString() }, Merkle root ${ snapshot.root }`)
+  console.log(`Written to ${ path.join(argv.out, name) }.{csv,json}`)
+}
+
+main().catch(e => {
+  console.error(e)
+  process.exit(1)
+})
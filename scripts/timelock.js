@@ -0,0 +1,84 @@
+const { ethers } = require('ethers')
+const yargs = require('yargs')
+const { executeCall, listOperations, loadTimelockAbi, pendingOperations } = require('../lib/timelock')
+const { getVaultDeployment } = require('../lib/deployments')
+const { EXECUTION_KEYS } = require('../lib/env')
+
+const argv = yargs
+  .usage('Lists the changes scheduled on a FirelightTimelock, or executes one.\n\nUsage: $0 [pending|all|execute] --rpc <url> (--timelock <address> | --network <name> --symbol <symbol>)')
+  .command('pending', 'List the operations that are neither executed nor cancelled (default)')
+  .command('all', 'List every operation, including executed and cancelled ones')
+  .command('execute', 'Execute a ready operation, signing with the first key of EXECUTION_KEYS')
+  .option('rpc', { type: 'string', default: 'http://127.0.0.1:8545', describe: 'JSON-RPC endpoint' })
+  .option('timelock', { type: 'string', describe: 'Timelock address' })
+  .option('network', { type: 'string', describe: 'Network of the deployment manifest to read the timelock from' })
+  .option('symbol', { type: 'string', describe: 'Vault symbol in the deployment manifest' })
+  .option('from-block', { type: 'number', describe: 'First block to scan, defaults to the deployment block' })
+  .option('id', { type: 'string', describe: 'Operation id, for execute' })
+  .option('json', { type: 'boolean', default: false, describe: 'Print the operations as JSON' })
+  .check(args => !!(args.timelock || (args.network && args.symbol)) || 'Either --timelock or --network and --symbol are required')
+  .check(args => args._[0] !== 'execute' || !!args.id || '--id is required to execute an operation')
+  .argv
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toISOString()
+
+const formatOperation = (operation, now) => {
+  const eta = operation.state === 'waiting' ? ` (in ${ ((Number(operation.readyAt) - now) / 3600).toFixed(1) }h)` : ''
+  return [
+    `${ operation.id } [${ operation.state }] executable from ${ formatTime(operation.readyAt) }${ eta }`,
+    ...operation.calls.map(call => `  ${ call.label || call.target }.${ call.description }`)
+  ].join('\n')
+}
+
+const main = async () => {
+  let address = argv.timelock,
+      from_block = argv.fromBlock,
+      labels = {}
+  if (!address) {
+    const deployment = getVaultDeployment(argv.network, argv.symbol)
+    if (!deployment.timelock)
+      throw new Error(`${ argv.symbol } has no timelock in the ${ argv.network } deployment manifest`)
+    address = deployment.timelock.address
+    from_block = from_block === undefined ? deployment.blockNumber : from_block
+    // Beacon proxies have no ProxyAdmin, the timelock upgrades them through the factory
+    labels = {
+      [deployment.proxy.toLowerCase()]: argv.symbol,
+      [address.toLowerCase()]: 'FirelightTimelock'
+    }
+    if (deployment.admin)
+      labels[deployment.admin.toLowerCase()] = 'ProxyAdmin'
+    if (deployment.factory)
+      labels[deployment.factory.toLowerCase()] = 'FirelightVaultFactory'
+  }
+
+  const provider = new ethers.JsonRpcProvider(argv.rpc),
+        options = { fromBlock: from_block || 0, labels }
+
+  if (argv._[0] === 'execute') {
+    if (!EXECUTION_KEYS.length)
+      throw new Error('EXECUTION_KEYS must hold the executor private key')
+    const timelock = new ethers.Contract(address, loadTimelockAbi(), new ethers.Wallet(`0x${ EXECUTION_KEYS[0] }`, provider))
+    const operation = (await listOperations(timelock, options)).find(o => o.id === argv.id)
+    if (!operation)
+      throw new Error(`Unknown operation ${ argv.id }`)
+    if (operation.state !== 'ready' || operation.calls.length !== 1)
+      throw new Error(`Operation ${ argv.id } is ${ operation.state }${ operation.calls.length > 1 ? ' and is a batch' : '' }, it cannot be executed here`)
+
+    const { receipt } = await executeCall(timelock, { ...operation.calls[0], predecessor: operation.predecessor, salt: operation.salt })
+    console.log(`Executed ${ argv.id } in ${ receipt.hash }`)
+    return
+  }
+
+  const timelock = new ethers.Contract(address, loadTimelockAbi(), provider)
+  const operations = argv._[0] === 'all' ? await listOperations(timelock, options) : await pendingOperations(timelock, options)
+  if (argv.json)
+    return console.log(JSON.stringify(operations, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2))
+
+  const { timestamp } = await provider.getBlock('latest')
+  console.log(operations.length ? operations.map(o => formatOperation(o, timestamp)).join('\n\n') : 'No scheduled operations')
+}
+
+main().catch(e => {
+  console.error(e)
+  process.exit(1)
+})
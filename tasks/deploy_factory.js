@@ -0,0 +1,42 @@
+const { task } = require('hardhat/config')
+const { deployVaultDelegates, saveFactoryDeployment } = require('../lib/deployments')
+
+task('deploy-factory', 'Deploys a FirelightVaultFactory with the vault beacon and records it in the network deployment manifest')
+  .addOptionalParam('owner', 'Owner of the factory, which owns the beacon, defaults to the deployer', undefined)
+  .addOptionalParam('out', 'Directory where the deployment manifest is written', undefined)
+  .setAction(async (args, hre) => {
+    const { ethers, upgrades, network } = hre
+    const owner = ethers.getAddress(args.owner || (await ethers.provider.getSigner()).address)
+
+    const { extension, management, allocation } = await deployVaultDelegates(hre)
+    const implementation = await upgrades.deployImplementation(await ethers.getContractFactory('FirelightVault'), {
+      constructorArgs: [extension],
+      kind: 'beacon'
+    })
+
+    const factory = await ethers.deployContract('FirelightVaultFactory', [implementation, owner])
+    await factory.waitForDeployment()
+    const receipt = await factory.deploymentTransaction().wait()
+    // The owner upgrades every beacon proxy of the factory and deploy-vault --factory runs with it, so the factory is
+    // handed over to a timelock with transferOwnership once every vault is deployed
+    if (await factory.owner() !== owner)
+      throw new Error(`Deployment verification failed: FirelightVaultFactory is not owned by ${ owner }`)
+
+    const deployment = {
+      address: factory.target,
+      beacon: await factory.beacon(),
+      implementation,
+      extension,
+      management,
+      allocation,
+      owner,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash
+    }
+
+    const { chainId } = await ethers.provider.getNetwork()
+    const file = saveFactoryDeployment(network.name, Number(chainId), deployment, args.out)
+    console.log(`FirelightVaultFactory deployed at ${ factory.target }, manifest written to ${ file }`)
+
+    return deployment
+  })
@@ -0,0 +1,162 @@
+const { task } = require('hardhat/config')
+const fs = require('fs')
+const { encodeInitParams, INIT_PARAMS_ROLES } = require('../lib/vault_client')
+const { deployVaultDelegates, getFactoryDeployment, saveVaultDeployment } = require('../lib/deployments')
+const { PROXY_ADMIN_ABI } = require('../lib/timelock')
+
+const readConfig = (file) => {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  for (const key of ['asset', 'name', 'symbol', 'roles', 'depositLimit', 'periodConfigurationDuration'])
+    if (config[key] === undefined)
+      throw new Error(`Missing "${ key }" in ${ file }`)
+  if (!config.roles.defaultAdmin)
+    throw new Error(`Missing "roles.defaultAdmin" in ${ file }`)
+  if (config.timelock)
+    for (const key of ['minDelay', 'proposers', 'executors'])
+      if (config.timelock[key] === undefined)
+        throw new Error(`Missing "timelock.${ key }" in ${ file }`)
+  if (config.withdrawalTickets)
+    for (const key of ['name', 'symbol'])
+      if (config.withdrawalTickets[key] === undefined)
+        throw new Error(`Missing "withdrawalTickets.${ key }" in ${ file }`)
+  return config
+}
+
+// Roles set to "timelock" in the configuration are granted to the deployed FirelightTimelock
+const resolveRoles = (roles, timelock) => Object.fromEntries(Object.entries(roles).map(([key, account]) => {
+  if (account !== 'timelock')
+    return [key, account]
+  if (!timelock)
+    throw new Error(`Role "${ key }" is assigned to the timelock, but the configuration has no "timelock"`)
+  return [key, timelock]
+}))
+
+/**
+ * Reads back the deployed state and throws if it does not match the configuration.
+ */
+const verifyDeployment = async (vault, config) => {
+  const errors = []
+
+  if ((await vault.asset()).toLowerCase() !== config.asset.toLowerCase())
+    errors.push('asset mismatch')
+  if (await vault.depositLimit() !== BigInt(config.depositLimit))
+    errors.push('depositLimit mismatch')
+
+  const [, duration, starting_period] = await vault.periodConfigurations(0)
+  if (duration !== BigInt(config.periodConfigurationDuration) || starting_period !== 0n)
+    errors.push('periodConfigurations(0) mismatch')
+
+  for (const [key, role_name] of Object.entries(INIT_PARAMS_ROLES)) {
+    const account = config.roles[key]
+    if (account && !(await vault.hasRole(await vault[role_name](), account)))
+      errors.push(`${ role_name } not granted to ${ account }`)
+  }
+
+  if (errors.length)
+    throw new Error(`Deployment verification failed: ${ errors.join(', ') }`)
+}
+
+task('deploy-vault', 'Deploys a FirelightVault proxy and records it in the network deployment manifest')
+  .addParam('vaultConfig', 'Path to the vault configuration JSON file (see config/vault.sample.json)')
+  .addOptionalParam('out', 'Directory where the deployment manifest is written', undefined)
+  .addFlag('factory', 'Deploy a beacon proxy with the FirelightVaultFactory of the manifest, see deploy-factory')
+  .setAction(async (args, hre) => {
+    const { ethers, upgrades, network } = hre
+    const config = readConfig(args.vaultConfig)
+
+    let timelock
+    if (config.timelock) {
+      const { minDelay, proposers, executors } = config.timelock
+      timelock = await ethers.deployContract('FirelightTimelock', [minDelay, proposers, executors, ethers.ZeroAddress])
+      await timelock.waitForDeployment()
+      console.log(`FirelightTimelock deployed at ${ timelock.target } with a ${ minDelay }s minimum delay`)
+    }
+    config.roles = resolveRoles(config.roles, timelock && timelock.target)
+
+    const init_params = encodeInitParams({
+      ...config.roles,
+      depositLimit: config.depositLimit,
+      periodConfigurationDuration: config.periodConfigurationDuration
+    })
+
+    let vault, proxy, receipt, factory, extension, management, allocation
+    if (args.factory) {
+      // The deployer must own the factory, which registers the vault under its asset. The factory is shared by the
+      // vaults, so its ownership is set by deploy-factory and a vault timelock does not take it over. A factory
+      // owned by a timelock is not supported here: it stays with an account until every vault is deployed.
+      factory = getFactoryDeployment(network.name, args.out)
+      ;({ extension, management, allocation } = factory)
+      const factory_contract = await ethers.getContractAt('FirelightVaultFactory', factory.address),
+            factory_owner = await factory_contract.owner()
+      if (factory_owner !== (await ethers.provider.getSigner()).address)
+        throw new Error(`FirelightVaultFactory is owned by ${ factory_owner }, deploy the vault through its owner`)
+      receipt = await (await factory_contract.deployVault(config.asset, config.name, config.symbol, init_params)).wait()
+      proxy = await factory_contract.vaultOf(config.asset)
+      vault = await ethers.getContractAt('FirelightVault', proxy)
+    } else {
+      ({ extension, management, allocation } = await deployVaultDelegates(hre))
+
+      const FirelightVaultFactory = await ethers.getContractFactory('FirelightVault')
+      vault = await upgrades.deployProxy(
+        FirelightVaultFactory,
+        [config.asset, config.name, config.symbol, init_params],
+        { constructorArgs: [extension], ...(timelock ? { initialOwner: timelock.target } : {}) }
+      )
+      await vault.waitForDeployment()
+
+      proxy = await vault.getAddress()
+      receipt = await vault.deploymentTransaction().wait()
+    }
+
+    await verifyDeployment(vault, config)
+
+    // Optional companion wrapping the withdrawal requests into transferable ERC-721 tickets
+    let withdrawal_tickets
+    if (config.withdrawalTickets) {
+      const { name, symbol } = config.withdrawalTickets
+      withdrawal_tickets = await ethers.deployContract('FirelightWithdrawalTickets', [proxy, name, symbol])
+      await withdrawal_tickets.waitForDeployment()
+      console.log(`FirelightWithdrawalTickets deployed at ${ withdrawal_tickets.target }`)
+    }
+
+    // Beacon proxies are upgraded by the factory owner through the factory, and have no ProxyAdmin
+    const admin = factory ? null : await upgrades.erc1967.getAdminAddress(proxy)
+    if (timelock && admin && await (await ethers.getContractAt(PROXY_ADMIN_ABI, admin)).owner() !== timelock.target)
+      throw new Error('Deployment verification failed: ProxyAdmin is not owned by the timelock')
+
+    const deployment = {
+      symbol: config.symbol,
+      name: config.name,
+      asset: config.asset,
+      proxy,
+      implementation: factory
+        ? await upgrades.beacon.getImplementationAddress(factory.beacon)
+        : await upgrades.erc1967.getImplementationAddress(proxy),
+      extension,
+      management,
+      allocation,
+      admin,
+      roles: config.roles,
+      depositLimit: config.depositLimit.toString(),
+      periodConfigurationDuration: Number(config.periodConfigurationDuration),
+      contractVersion: Number(await vault.contractVersion()),
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash
+    }
+    if (factory)
+      deployment.factory = factory.address
+    if (timelock)
+      deployment.timelock = { address: timelock.target, ...config.timelock }
+    if (withdrawal_tickets)
+      deployment.withdrawalTickets = withdrawal_tickets.target
+
+    const { chainId } = await ethers.provider.getNetwork()
+    const file = saveVaultDeployment(network.name, Number(chainId), deployment, args.out)
+    console.log(`${ config.symbol } vault deployed at ${ proxy }, manifest written to ${ file }`)
+
+    return deployment
+  })
+
+module.exports = {
+  verifyDeployment
+}
@@ -0,0 +1,4 @@
+require('./deploy_factory')
+require('./deploy_vault')
+require('./operator')
+require('./upgrade_vault')
@@ -0,0 +1,200 @@
+const { task, types } = require('hardhat/config')
+const path = require('path')
+const { FirelightVaultClient, loadAbi } = require('../lib/vault_client')
+const { getVaultDeployment, manifestPath } = require('../lib/deployments')
+const { chunk, readAddressCsv, rescuablePeriods, signReport, writeReport } = require('../lib/operator')
+
+/**
+ * Resolves the vault from `--vault`, or from `--symbol` in the network deployment manifest, with its deployment
+ * block when known.
+ */
+const resolveVault = (args, network) => {
+  if (args.vault)
+    return { address: args.vault, blockNumber: 0 }
+  if (!args.symbol)
+    throw new Error('Either --vault or --symbol is required')
+  const { proxy, blockNumber } = getVaultDeployment(network.name, args.symbol, args.out)
+  return { address: proxy, blockNumber: blockNumber || 0 }
+}
+
+const errorMessage = (e) => e.revert ? `${ e.revert.name }(${ e.revert.args.join(', ') })` : e.shortMessage || e.message
+
+/**
+ * Simulates the call in a dry run, sends it otherwise.
+ * @return `{ status, transactionHash, blockNumber }`, or `{ status: 'failed', error }`.
+ */
+const execute = async (contract, method, params, dry_run) => {
+  try {
+    if (dry_run) {
+      await contract[method].staticCall(...params)
+      return { status: 'simulated' }
+    }
+    const receipt = await (await contract[method](...params)).wait()
+    return { status: 'done', transactionHash: receipt.hash, blockNumber: receipt.blockNumber }
+  } catch (e) {
+    return { status: 'failed', error: errorMessage(e) }
+  }
+}
+
+/**
+ * Signs off and writes the report, then throws if any call failed, so that a partial run is recorded.
+ */
+const finish = async (report, signer, args, network) => {
+  const signed = await signReport({ ...report, finishedAt: new Date().toISOString() }, signer, { signedOffBy: args.signedOffBy })
+  const file = writeReport(signed, args.reportDir || path.join(path.dirname(manifestPath(network.name, args.out)), 'reports'))
+  console.log(`${ report.dryRun ? 'Dry run report' : 'Report' } written to ${ file }`)
+
+  const failed = report.entries.filter(entry => entry.status === 'failed')
+  if (failed.length)
+    throw new Error(`${ failed.length } call(s) failed, see ${ file }`)
+  return { ...signed, file }
+}
+
+const operatorTask = (name, description) => task(name, description)
+  .addOptionalParam('vault', 'Vault proxy address', undefined)
+  .addOptionalParam('symbol', 'Symbol of the vault in the network deployment manifest', undefined)
+  .addOptionalParam('out', 'Directory holding the deployment manifests', undefined)
+  .addOptionalParam('reportDir', 'Directory where the report is written, defaults to the reports of the manifests', undefined)
+  .addOptionalParam('signedOffBy', 'Name of the operator signing off the report', undefined)
+  .addFlag('dryRun', 'Only simulate the calls with the operator account')
+
+operatorTask('blocklist', 'Adds or removes addresses from the blocklist of a vault in batches, and writes a signed-off report')
+  .addPositionalParam('action', '"add" or "remove"')
+  .addOptionalParam('csv', 'CSV file with one address per row', undefined)
+  .addOptionalParam('accounts', 'Comma-separated addresses, in addition to the CSV', undefined)
+  .addOptionalParam('batchSize', 'Maximum addresses per transaction', 100, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre
+    if (!['add', 'remove'].includes(args.action))
+      throw new Error(`Unknown action "${ args.action }", expected "add" or "remove"`)
+
+    const accounts = [
+      ...(args.csv ? readAddressCsv(args.csv).map(([account]) => account) : []),
+      ...(args.accounts ? args.accounts.split(',').map(account => ethers.getAddress(account.trim())) : [])
+    ]
+    if (!accounts.length)
+      throw new Error('No addresses given, use --csv or --accounts')
+
+    const [signer] = await ethers.getSigners(),
+          { address } = resolveVault(args, network),
+          vault = new ethers.Contract(address, loadAbi(), signer),
+          target = args.action === 'add'
+
+    const report = {
+      network: network.name,
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
+      vault: address,
+      action: `blocklist-${ args.action }`,
+      dryRun: args.dryRun,
+      operator: signer.address,
+      startedAt: new Date().toISOString(),
+      entries: []
+    }
+
+    // Accounts already in the requested state are skipped, since the batch functions revert on them
+    const unique = [...new Set(accounts)],
+          blocklisted = await Promise.all(unique.map(account => vault.isBlocklisted(account))),
+          pending = []
+    unique.forEach((account, i) => {
+      if (blocklisted[i] === target)
+        report.entries.push({ account, status: 'skipped', reason: target ? 'already blocklisted' : 'not blocklisted' })
+      else
+        pending.push(account)
+    })
+
+    // After a failed batch, the following ones are not sent but are recorded as skipped
+    const method = target ? 'batchAddToBlocklist' : 'batchRemoveFromBlocklist',
+          batches = chunk(pending, args.batchSize)
+    for (const [i, batch] of batches.entries()) {
+      const result = await execute(vault, method, [batch], args.dryRun)
+      report.entries.push(...batch.map(account => ({ account, ...result })))
+      console.log(`${ method } of ${ batch.length } address(es): ${ result.status }`)
+      if (result.status === 'failed' && !args.dryRun) {
+        const unsent = batches.slice(i + 1).flat()
+        report.entries.push(...unsent.map(account => ({ account, status: 'skipped', reason: 'not sent after a failed batch' })))
+        break
+      }
+    }
+
+    return finish(report, signer, args, network)
+  })
+
+operatorTask('rescue', 'Rescues the shares and unclaimed withdrawals of blocklisted accounts, and writes a signed-off report')
+  .addOptionalParam('from', 'Blocklisted account', undefined)
+  .addOptionalParam('to', 'Beneficiary of the rescue', undefined)
+  .addOptionalParam('csv', 'CSV file with one "from,to" pair per row', undefined)
+  .addOptionalParam('fromBlock', 'First block searched for withdrawals, defaults to the deployment block', undefined, types.int)
+  .addOptionalParam('batchSize', 'Maximum periods per withdrawal rescue transaction', 50, types.int)
+  .addFlag('skipShares', 'Do not rescue the shares')
+  .addFlag('skipWithdrawals', 'Do not rescue the unclaimed withdrawals')
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre
+
+    const pairs = args.csv ? readAddressCsv(args.csv, 2) : []
+    if (args.from || args.to) {
+      if (!args.from || !args.to)
+        throw new Error('Both --from and --to are required')
+      pairs.push([ethers.getAddress(args.from), ethers.getAddress(args.to)])
+    }
+    if (!pairs.length)
+      throw new Error('No accounts given, use --csv or --from and --to')
+
+    const [signer] = await ethers.getSigners(),
+          { address, blockNumber } = resolveVault(args, network),
+          client = new FirelightVaultClient(address, signer),
+          vault = client.contract,
+          from_block = args.fromBlock === undefined ? blockNumber : args.fromBlock
+
+    const report = {
+      network: network.name,
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
+      vault: address,
+      action: 'rescue',
+      dryRun: args.dryRun,
+      operator: signer.address,
+      fromBlock: from_block,
+      startedAt: new Date().toISOString(),
+      entries: []
+    }
+
+    for (const [from, to] of pairs) {
+      if (!await vault.isBlocklisted(from)) {
+        report.entries.push({ from, to, status: 'skipped', reason: 'not blocklisted' })
+        console.log(`${ from } -> ${ to }: skipped, not blocklisted`)
+        continue
+      }
+
+      if (!args.skipShares) {
+        const shares = await vault.balanceOf(from)
+        if (shares === 0n)
+          report.entries.push({ from, to, kind: 'shares', status: 'skipped', reason: 'no shares' })
+        else
+          report.entries.push({ from, to, kind: 'shares', shares, ...await execute(vault, 'rescueSharesFromBlocklisted', [from, to], args.dryRun) })
+      }
+
+      if (!args.skipWithdrawals) {
+        const { periods, conflicts } = await rescuablePeriods(client, from, to, { fromBlock: from_block })
+        if (conflicts.length)
+          report.entries.push({ from, to, kind: 'withdrawals', periods: conflicts, status: 'skipped', reason: 'periods already claimed by the beneficiary' })
+        if (!periods.length && !conflicts.length)
+          report.entries.push({ from, to, kind: 'withdrawals', status: 'skipped', reason: 'no unclaimed withdrawals' })
+
+        for (const batch of chunk(periods, args.batchSize)) {
+          const shares = await Promise.all(batch.map(period => vault.withdrawSharesOf(period, from)))
+          report.entries.push({
+            from,
+            to,
+            kind: 'withdrawals',
+            periods: batch,
+            shares,
+            ...await execute(vault, 'rescueWithdrawFromBlocklisted', [from, to, batch], args.dryRun)
+          })
+        }
+      }
+
+      const statuses = report.entries.filter(entry => entry.from === from).map(entry => entry.status)
+      console.log(`${ from } -> ${ to }: ${ statuses.join(', ') }`)
+    }
+
+    return finish(report, signer, args, network)
+  })
@@ -0,0 +1,130 @@
+const { task } = require('hardhat/config')
+const fs = require('fs')
+const path = require('path')
+const { deployVaultDelegates, getVaultDeployment, manifestPath, saveVaultDeployment } = require('../lib/deployments')
+const { compareLayouts, formatUpgradeReport, getLayouts } = require('../lib/storage_layout')
+const { PROXY_ADMIN_ABI, executeCall, scheduleCall } = require('../lib/timelock')
+const { loadAbi } = require('../lib/vault_client')
+
+const writeReport = (report, directory, network, symbol, version) => {
+  const reports_directory = path.join(directory, 'reports')
+  fs.mkdirSync(reports_directory, { recursive: true })
+  const file = path.join(reports_directory, `${ network }-${ symbol }-v${ version }.md`)
+  fs.writeFileSync(file, report)
+  return file
+}
+
+task('upgrade-vault', 'Upgrades a FirelightVault proxy after checking its storage layout, and bumps contractVersion')
+  .addParam('symbol', 'Symbol of the vault in the network deployment manifest')
+  .addOptionalParam('contract', 'Name of the new implementation contract', 'FirelightVault')
+  .addOptionalParam('extension', 'Name of the extension contract the new implementation delegates to', 'FirelightVaultExtension')
+  .addOptionalParam('management', 'Name of the management contract the extension delegates to', 'FirelightVaultManagement')
+  .addOptionalParam('allocation', 'Name of the allocation contract the management delegates to', 'FirelightVaultAllocation')
+  .addOptionalParam('out', 'Directory holding the deployment manifests', undefined)
+  .addFlag('dryRun', 'Only compare the storage layouts and write the report')
+  .setAction(async (args, hre) => {
+    const { ethers, upgrades, network } = hre
+    const directory = args.out || path.dirname(manifestPath(network.name))
+    const deployment = getVaultDeployment(network.name, args.symbol, directory),
+          proxy = deployment.proxy
+    if (deployment.factory)
+      throw new Error(`${ args.symbol } is a beacon proxy of the factory ${ deployment.factory }, upgrade it with upgradeVaults on the factory instead`)
+
+    const vault = await ethers.getContractAt('FirelightVault', proxy),
+          factory = await ethers.getContractFactory(args.contract)
+
+    // The contracts the implementation delegates to run on the storage of the proxy too, so they are validated and
+    // their layout is compared like that of the implementation. They are only deployed past the dry run, and the
+    // addresses they forward to do not change the validation.
+    const factories = { [args.contract]: factory }
+    for (const name of [args.extension, args.management, args.allocation])
+      factories[name] = await ethers.getContractFactory(name)
+    for (const name in factories)
+      await upgrades.validateImplementation(factories[name], {
+        constructorArgs: name === args.allocation ? [] : [ethers.ZeroAddress]
+      })
+
+    const from = {
+      implementation: await upgrades.erc1967.getImplementationAddress(proxy),
+      version: await vault.contractVersion()
+    }
+    const { original, updated } = await getLayouts(hre, from.implementation, factories),
+          comparison = compareLayouts(original, updated[args.contract]),
+          delegates = [args.extension, args.management, args.allocation]
+            .map(name => ({ name, ...compareLayouts(original, updated[name]) })),
+          to = {}
+
+    const finish = (error) => {
+      const report = formatUpgradeReport({ network: network.name, symbol: args.symbol, proxy, from, to, comparison, delegates }),
+            file = writeReport(report, directory, network.name, args.symbol, to.version === undefined ? 'next' : to.version)
+      console.log(`Upgrade report written to ${ file }`)
+      if (error)
+        throw new Error(`${ error } See ${ file }`)
+      return { ...to, report: file, comparison, delegates }
+    }
+
+    if (!comparison.ok)
+      return finish(`Refusing to upgrade ${ args.symbol }: incompatible storage layout.`)
+    const incompatible = delegates.filter(delegate => !delegate.ok).map(delegate => delegate.name)
+    if (incompatible.length)
+      return finish(`Refusing to upgrade ${ args.symbol }: incompatible storage layout of ${ incompatible.join(', ') }.`)
+    if (args.dryRun)
+      return finish()
+
+    // All are reused when their bytecode is unchanged, so a run executing a scheduled upgrade finds the same addresses
+    Object.assign(to, await deployVaultDelegates(hre, args))
+    const options = { constructorArgs: [to.extension] }
+
+    to.implementation = await upgrades.prepareUpgrade(proxy, factory, options)
+    to.version = await factory.attach(to.implementation).implementationVersion()
+    if (to.version <= from.version)
+      return finish(`Refusing to upgrade ${ args.symbol }: implementationVersion ${ to.version } is not above contractVersion ${ from.version }.`)
+
+    // reinitialize() is implemented by the management, so it is encoded with the ABI of the proxy
+    const upgrade_and_call = [proxy, to.implementation, new ethers.Interface(loadAbi()).encodeFunctionData('reinitialize')]
+    if (deployment.timelock) {
+      // The ProxyAdmin is owned by the timelock: the first run schedules the upgrade, a run once it is ready executes it
+      const timelock = await ethers.getContractAt('FirelightTimelock', deployment.timelock.address)
+      const operation = {
+        target: await upgrades.erc1967.getAdminAddress(proxy),
+        data: new ethers.Interface(PROXY_ADMIN_ABI).encodeFunctionData('upgradeAndCall', upgrade_and_call)
+      }
+      const id = await timelock.hashOperation(operation.target, 0, operation.data, ethers.ZeroHash, ethers.ZeroHash)
+
+      if (!await timelock.isOperation(id)) {
+        const { readyAt } = await scheduleCall(timelock, operation)
+        to.scheduled = { timelock: timelock.target, id, readyAt }
+        console.log(`Upgrade of ${ args.symbol } scheduled as ${ id }, run upgrade-vault again after ${ new Date(Number(readyAt) * 1000).toISOString() }`)
+        return finish()
+      }
+      if (!await timelock.isOperationReady(id)) {
+        const ready_at = new Date(Number(await timelock.getTimestamp(id)) * 1000).toISOString()
+        return finish(`Upgrade of ${ args.symbol } is scheduled as ${ id }, it cannot be executed before ${ ready_at }.`)
+      }
+      await executeCall(timelock, operation)
+    } else {
+      const admin = await ethers.getContractAt(PROXY_ADMIN_ABI, await upgrades.erc1967.getAdminAddress(proxy))
+      await (await admin.upgradeAndCall(...upgrade_and_call)).wait()
+    }
+
+    if (await vault.contractVersion() !== to.version)
+      return finish(`Upgrade of ${ args.symbol } did not bump contractVersion to ${ to.version }.`)
+
+    const { chainId } = await ethers.provider.getNetwork()
+    saveVaultDeployment(network.name, Number(chainId), {
+      ...deployment,
+      implementation: to.implementation,
+      extension: to.extension,
+      management: to.management,
+      allocation: to.allocation,
+      contractVersion: Number(to.version),
+      upgrades: [...(deployment.upgrades || []), {
+        from: from.implementation,
+        to: to.implementation,
+        contractVersion: Number(to.version),
+        blockNumber: await ethers.provider.getBlockNumber()
+      }]
+    }, directory)
+
+    return finish()
+  })
@@ -0,0 +1,117 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Allowlist test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let client
+
+  before(async () => {
+    ({ firelight_vault, deployer, allowlister, blocklister, rescuer, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT / 2n, users[0].address)
+    client = new FirelightVaultClient(firelight_vault.target, allowlister)
+  })
+
+  it('reverts if the caller is not the admin when toggling the allowlist', async () => {
+    const toggle_attempt = firelight_vault.connect(allowlister).setAllowlistEnabled(true)
+    await expect(toggle_attempt).to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+  })
+
+  it('reverts if the caller is not granted ALLOWLIST_ROLE', async () => {
+    const allowlist_attempt = firelight_vault.connect(deployer).addToAllowlist([users[0].address])
+    await expect(allowlist_attempt).to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+  })
+
+  it('reverts on empty batches and the zero address', async () => {
+    await expect(firelight_vault.connect(allowlister).addToAllowlist([]))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidArrayLength')
+    await expect(firelight_vault.connect(allowlister).removeFromAllowlist([]))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidArrayLength')
+    await expect(firelight_vault.connect(allowlister).addToAllowlist([users[0].address, ethers.ZeroAddress]))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidAddress')
+  })
+
+  it('does not restrict anything while the allowlist is off', async () => {
+    expect(await client.allowlistEnabled()).to.equal(false)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT / 2n, users[1].address)
+    expect(await firelight_vault.maxDeposit(users[2].address)).to.be.greaterThan(0)
+  })
+
+  it('adds and removes addresses in batches', async () => {
+    const add_tx = firelight_vault.connect(allowlister).addToAllowlist([users[0].address, users[2].address])
+    await expect(add_tx).to.emit(firelight_vault, 'AddedToAllowlist').withArgs(users[0].address)
+    await expect(add_tx).to.emit(firelight_vault, 'AddedToAllowlist').withArgs(users[2].address)
+
+    await client.removeFromAllowlist([users[2].address])
+    expect(await client.isAllowlisted(users[0].address)).to.equal(true)
+    expect(await client.isAllowlisted(users[2].address)).to.equal(false)
+
+    const toggle_tx = firelight_vault.connect(deployer).setAllowlistEnabled(true)
+    await expect(toggle_tx).to.emit(firelight_vault, 'AllowlistEnabledUpdated').withArgs(true)
+  })
+
+  it('reverts deposits and mints from or to addresses that are not allowlisted', async () => {
+    await expect(firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT / 2n, users[1].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+    await expect(firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT / 2n, users[1].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+    await expect(firelight_vault.connect(users[1]).mint(DEPOSIT_AMOUNT / 2n, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+
+    expect(await firelight_vault.maxDeposit(users[1].address)).to.equal(0)
+    expect(await firelight_vault.maxMint(users[1].address)).to.equal(0)
+  })
+
+  it('allows deposits and mints between allowlisted addresses', async () => {
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT / 4n, users[0].address)
+    await firelight_vault.connect(users[0]).mint(DEPOSIT_AMOUNT / 4n, users[0].address)
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('reverts transfers to addresses that are not allowlisted', async () => {
+    await expect(firelight_vault.connect(users[0]).transfer(users[1].address, 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+
+    await firelight_vault.connect(users[0]).approve(users[2].address, 1n)
+    await expect(firelight_vault.connect(users[2]).transferFrom(users[0].address, users[1].address, 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+  })
+
+  it('lets an address removed from the allowlist transfer its shares to an allowlisted one', async () => {
+    await expect(firelight_vault.connect(users[1]).transfer(users[0].address, 1n)).not.to.be.reverted
+  })
+
+  it('reverts withdrawals to receivers that are not allowlisted', async () => {
+    await expect(firelight_vault.connect(users[0]).withdraw(1n, users[1].address, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+    await expect(firelight_vault.connect(users[1]).redeem(1n, users[1].address, users[1].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+
+    await expect(firelight_vault.connect(users[0]).redeem(1n, users[0].address, users[0].address))
+      .to.emit(firelight_vault, 'WithdrawRequest')
+  })
+
+  it('keeps the blocklist and rescue behavior', async () => {
+    await firelight_vault.connect(blocklister).addToBlocklist(users[0].address)
+    await expect(firelight_vault.connect(users[0]).deposit(1n, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'BlocklistedAddress')
+
+    // Rescued shares may go to an address that is not allowlisted
+    const shares = await firelight_vault.balanceOf(users[0].address)
+    await firelight_vault.connect(rescuer).rescueSharesFromBlocklisted(users[0].address, users[1].address)
+    expect(await firelight_vault.balanceOf(users[1].address)).to.be.greaterThanOrEqual(shares)
+  })
+
+  it('lifts every restriction once the allowlist is turned off', async () => {
+    await firelight_vault.connect(deployer).setAllowlistEnabled(false)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT / 4n, users[1].address)
+  })
+})
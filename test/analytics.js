@@ -0,0 +1,100 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { accountPnl, realizedApy, sharePriceSeries } = require('../lib/analytics')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Analytics test', function() {
+  const DECIMALS = 6,
+        ONE_SHARE = 10n ** BigInt(DECIMALS),
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REWARD_AMOUNT = ethers.parseUnits('100', DECIMALS)
+
+  let client, first_period, reward_period, reward_bounds
+
+  before(async () => {
+    ({ token_contract, firelight_vault, reward_distributor, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await token_contract.mintTo(reward_distributor.address, REWARD_AMOUNT)
+    await token_contract.connect(reward_distributor).approve(firelight_vault.target, REWARD_AMOUNT)
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+
+    first_period = await firelight_vault.currentPeriod()
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+
+    // Rewards vest until the end of the period, so that none is left for the shares of users[1], who only deposits
+    // halfway through it
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    reward_period = await firelight_vault.currentPeriod()
+    reward_bounds = await client.periodBounds(reward_period)
+    await firelight_vault.connect(reward_distributor).distributeRewards(REWARD_AMOUNT, reward_bounds.end - BigInt(await time.latest()) - 1n)
+    expect((await firelight_vault.vestingSchedule()).end).to.equal(reward_bounds.end)
+
+    await time.increaseTo(reward_bounds.start + (reward_bounds.end - reward_bounds.start) / 2n)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address)
+    await time.increaseTo(reward_bounds.end + 10n)
+  })
+
+  it('reads the historical share price', async () => {
+    const { start, end } = reward_bounds,
+          supply = await firelight_vault.totalSupplyAt(end),
+          assets = await firelight_vault.totalAssetsAt(end)
+
+    expect(await firelight_vault.pricePerShareAt(start)).to.equal(ONE_SHARE)
+    expect(await firelight_vault.pricePerShareAt(end)).to.equal(ONE_SHARE * (assets + 1n) / (supply + 1n))
+    expect(await firelight_vault.convertToAssetsAt(DEPOSIT_AMOUNT, end)).to.equal(DEPOSIT_AMOUNT * (assets + 1n) / (supply + 1n))
+  })
+
+  it('builds the share price series aligned to the periods', async () => {
+    const series = await sharePriceSeries(client, { fromPeriod: first_period })
+    const [first, rewarded, current] = series
+
+    expect(series.map(row => row.period)).to.deep.equal([first_period, reward_period, reward_period + 1n])
+    expect(first.priceStart).to.equal(ONE_SHARE)
+    expect(first.return).to.equal(0)
+    expect(rewarded.start).to.equal(reward_bounds.start)
+    expect(rewarded.end).to.equal(reward_bounds.end)
+    expect(rewarded.priceEnd).to.equal(await firelight_vault.pricePerShareAt(reward_bounds.end))
+    expect(rewarded.return).to.be.closeTo(Number(rewarded.priceEnd) / Number(ONE_SHARE) - 1, 1e-12)
+    expect(rewarded.apy).to.be.greaterThan(rewarded.return)
+    // The current period ends at the latest block
+    expect(current.end).to.equal(BigInt(await time.latest()))
+  })
+
+  it('computes the realized APY between two timestamps', async () => {
+    const { start, end } = reward_bounds
+    const expected = (Number(await firelight_vault.pricePerShareAt(end)) / Number(ONE_SHARE)) ** (365 * 24 * 3600 / Number(end - start)) - 1
+
+    expect(await realizedApy(client, start, end)).to.be.closeTo(expected, expected * 1e-4)
+  })
+
+  it('computes the profit of an account per period', async () => {
+    const { periods, pnl } = await accountPnl(client, users[0].address, { fromPeriod: first_period, toPeriod: reward_period })
+    const [first, rewarded] = periods
+
+    // Shares deposited during the first period only count from the next one
+    expect(first.shares).to.equal(0n)
+    expect(first.pnl).to.equal(0n)
+    expect(rewarded.shares).to.equal(DEPOSIT_AMOUNT)
+    expect(rewarded.valueStart).to.equal(DEPOSIT_AMOUNT)
+    expect(rewarded.valueEnd).to.equal(await firelight_vault.convertToAssetsAt(DEPOSIT_AMOUNT, reward_bounds.end))
+    expect(pnl).to.equal(rewarded.valueEnd - rewarded.valueStart)
+    // users[0] earned all of the first half of the vesting, and shares the second half with users[1]
+    expect(pnl).to.be.greaterThan(REWARD_AMOUNT / 2n)
+    expect(pnl).to.be.lessThan(REWARD_AMOUNT)
+  })
+
+  it('does not count a deposit as profit', async () => {
+    const { pnl } = await accountPnl(client, users[1].address, { fromPeriod: reward_period })
+    expect(pnl).to.equal(0n)
+  })
+
+  it('reverts for a period that has not started', async () => {
+    const current_period = await firelight_vault.currentPeriod()
+    await expect(sharePriceSeries(client, { toPeriod: current_period + 1n })).to.be.rejectedWith('has not started yet')
+  })
+})
@@ -0,0 +1,96 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Cancel withdraw test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('3000', DECIMALS),
+        WITHDRAW_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        VESTING_DURATION = 86400
+
+  let client, period
+
+  before(async () => {
+    ({ token_contract, firelight_vault, deployer, limit_updater, reward_distributor, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[0])
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[1])
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address)
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+  })
+
+  it('reverts when there is nothing to cancel', async () => {
+    const next_period = (await firelight_vault.currentPeriod()) + 1n
+    const cancel_attempt = firelight_vault.connect(users[0]).cancelWithdraw(next_period)
+    await expect(cancel_attempt).to.be.revertedWithCustomError(firelight_vault, 'NoWithdrawalAmount')
+  })
+
+  it('cancels a pending request and mints the shares back at the current rate', async () => {
+    ({ request: { period } } = await client.withdraw(WITHDRAW_AMOUNT, users[0].address, users[0].address))
+    await firelight_vault.connect(users[1]).withdraw(WITHDRAW_AMOUNT, users[1].address, users[1].address)
+
+    // Rewards vested while the request was pending belong to the vault, not to the cancelled request
+    await token_contract.mintTo(reward_distributor.address, WITHDRAW_AMOUNT)
+    await token_contract.connect(reward_distributor).approve(firelight_vault.target, WITHDRAW_AMOUNT)
+    await firelight_vault.connect(reward_distributor).distributeRewards(WITHDRAW_AMOUNT, VESTING_DURATION)
+    await time.increase(VESTING_DURATION)
+    const shares = await firelight_vault.convertToShares(WITHDRAW_AMOUNT),
+          balance_before = await firelight_vault.balanceOf(users[0].address)
+
+    const cancel_tx = firelight_vault.connect(users[0]).cancelWithdraw(period)
+    await expect(cancel_tx).to.emit(firelight_vault, 'CancelWithdraw').withArgs(users[0].address, WITHDRAW_AMOUNT, shares, period)
+    await expect(cancel_tx).to.changeTokenBalance(token_contract, users[0], 0)
+
+    expect(shares).to.be.lessThan(WITHDRAW_AMOUNT)
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(balance_before + shares)
+    expect(await firelight_vault.withdrawalsOf(period, users[0].address)).to.equal(0)
+    expect(await firelight_vault.withdrawalsOf(period, users[1].address)).to.equal(WITHDRAW_AMOUNT)
+    expect(await firelight_vault.withdrawAssets(period)).to.equal(WITHDRAW_AMOUNT)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(WITHDRAW_AMOUNT)
+  })
+
+  it('updates the balance, supply and assets checkpoints', async () => {
+    const timestamp = await time.latest()
+
+    expect(await firelight_vault.balanceOfAt(users[0].address, timestamp)).to.equal(await firelight_vault.balanceOf(users[0].address))
+    expect(await firelight_vault.totalSupplyAt(timestamp)).to.equal(await firelight_vault.totalSupply())
+    expect(await firelight_vault.totalAssetsAt(timestamp)).to.equal(await firelight_vault.totalAssets())
+  })
+
+  it('cannot cancel twice nor claim a cancelled request', async () => {
+    const cancel_attempt = firelight_vault.connect(users[0]).cancelWithdraw(period)
+    await expect(cancel_attempt).to.be.revertedWithCustomError(firelight_vault, 'NoWithdrawalAmount')
+
+    await time.increase(config.period_configuration_duration * 2)
+    const claim_attempt = firelight_vault.connect(users[0]).claimWithdraw(period)
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'NoWithdrawalAmount')
+    expect(await client.unclaimedWithdrawals(users[0].address)).to.be.empty
+  })
+
+  it('reverts once the period has ended', async () => {
+    const cancel_attempt = firelight_vault.connect(users[1]).cancelWithdraw(period)
+    await expect(cancel_attempt).to.be.revertedWithCustomError(firelight_vault, 'InvalidPeriod')
+  })
+
+  it('applies the allowlist and the deposit limit to the shares minted back', async () => {
+    await firelight_vault.connect(users[1]).withdraw(WITHDRAW_AMOUNT, users[1].address, users[1].address)
+    const request_period = (await firelight_vault.currentPeriod()) + 1n
+
+    await firelight_vault.connect(deployer).setAllowlistEnabled(true)
+    await expect(firelight_vault.connect(users[1]).cancelWithdraw(request_period))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotAllowlistedAddress')
+    await firelight_vault.connect(deployer).setAllowlistEnabled(false)
+
+    await firelight_vault.connect(limit_updater).updateDepositLimit(await firelight_vault.totalAssets())
+    await expect(firelight_vault.connect(users[1]).cancelWithdraw(request_period))
+      .to.be.revertedWithCustomError(firelight_vault, 'DepositLimitExceeded')
+
+    await firelight_vault.connect(limit_updater).updateDepositLimit(config.initial_deposit_limit)
+    await expect(firelight_vault.connect(users[1]).cancelWithdraw(request_period)).to.emit(firelight_vault, 'CancelWithdraw')
+  })
+})
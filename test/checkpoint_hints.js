@@ -0,0 +1,85 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient, encodeHint } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Checkpoint hints test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1', DECIMALS),
+        DEPOSITS = 128
+
+  let client, timestamps
+
+  before(async () => {
+    ({ firelight_vault, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    // Every deposit is mined in its own block, so each one adds a balance, supply and assets checkpoint
+    await utils.mintAndApprove(DEPOSIT_AMOUNT * BigInt(DEPOSITS), users[0])
+    timestamps = []
+    for (let i = 0; i < DEPOSITS; i++) {
+      const receipt = await (await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)).wait()
+      timestamps.push((await ethers.provider.getBlock(receipt.blockNumber)).timestamp)
+    }
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+  })
+
+  it('exposes the number of checkpoints and each checkpoint', async () => {
+    expect(await firelight_vault.balanceOfCheckpoints(users[0].address)).to.equal(DEPOSITS)
+    expect(await firelight_vault.balanceOfCheckpoints(users[1].address)).to.equal(0)
+    expect(await firelight_vault.totalSupplyCheckpoints()).to.equal(DEPOSITS)
+    expect(await firelight_vault.totalAssetsCheckpoints()).to.equal(DEPOSITS)
+
+    expect(await firelight_vault.balanceOfCheckpointAt(users[0].address, 9)).to.deep.equal([timestamps[9], DEPOSIT_AMOUNT * 10n])
+    expect(await firelight_vault.totalSupplyCheckpointAt(9)).to.deep.equal([timestamps[9], DEPOSIT_AMOUNT * 10n])
+    expect(await firelight_vault.totalAssetsCheckpointAt(DEPOSITS - 1)).to.deep.equal([timestamps[DEPOSITS - 1], DEPOSIT_AMOUNT * BigInt(DEPOSITS)])
+  })
+
+  it('computes the hint off-chain', async () => {
+    expect(await client.balanceOfAtHint(users[0].address, timestamps[0] - 1)).to.equal('0x')
+    expect(await client.balanceOfAtHint(users[0].address, timestamps[0])).to.equal(encodeHint(0))
+    expect(await client.balanceOfAtHint(users[0].address, timestamps[40])).to.equal(encodeHint(40))
+    expect(await client.totalSupplyAtHint(timestamps[DEPOSITS - 1] + 100)).to.equal(encodeHint(DEPOSITS - 1))
+    expect(await client.totalAssetsAtHint(timestamps[7])).to.equal(encodeHint(7))
+    expect(await client.balanceOfAtHint(users[1].address, timestamps[7])).to.equal('0x')
+  })
+
+  it('returns the same values with and without a hint', async () => {
+    for (const timestamp of [timestamps[0] - 1, timestamps[0], timestamps[50], timestamps[DEPOSITS - 1] + 100]) {
+      const balance_hint = await client.balanceOfAtHint(users[0].address, timestamp),
+            supply_hint = await client.totalSupplyAtHint(timestamp),
+            assets_hint = await client.totalAssetsAtHint(timestamp)
+
+      expect(await client.balanceOfAt(users[0].address, timestamp, balance_hint)).to.equal(await client.balanceOfAt(users[0].address, timestamp))
+      expect(await client.totalSupplyAt(timestamp, supply_hint)).to.equal(await client.totalSupplyAt(timestamp))
+      expect(await client.totalAssetsAt(timestamp, assets_hint)).to.equal(await client.totalAssetsAt(timestamp))
+    }
+  })
+
+  it('falls back to the search with a wrong or out of range hint', async () => {
+    const expected = await firelight_vault.balanceOfAt(users[0].address, timestamps[50])
+
+    expect(await firelight_vault['balanceOfAt(address,uint48,bytes)'](users[0].address, timestamps[50], encodeHint(3))).to.equal(expected)
+    expect(await firelight_vault['balanceOfAt(address,uint48,bytes)'](users[0].address, timestamps[50], encodeHint(90))).to.equal(expected)
+    expect(await firelight_vault['balanceOfAt(address,uint48,bytes)'](users[0].address, timestamps[50], encodeHint(DEPOSITS + 5))).to.equal(expected)
+    expect(await firelight_vault['totalSupplyAt(uint48,bytes)'](timestamps[50], encodeHint(2 ** 32 - 1))).to.equal(expected)
+  })
+
+  it('costs less gas with a hint on a long trace', async () => {
+    const timestamp = timestamps[10],
+          estimate = (signature, ...args) => firelight_vault[signature].estimateGas(...args)
+
+    const balance_gas = await estimate('balanceOfAt(address,uint48)', users[0].address, timestamp),
+          balance_hinted_gas = await estimate('balanceOfAt(address,uint48,bytes)', users[0].address, timestamp, encodeHint(10)),
+          supply_gas = await estimate('totalSupplyAt(uint48)', timestamp),
+          supply_hinted_gas = await estimate('totalSupplyAt(uint48,bytes)', timestamp, encodeHint(10)),
+          assets_gas = await estimate('totalAssetsAt(uint48)', timestamp),
+          assets_hinted_gas = await estimate('totalAssetsAt(uint48,bytes)', timestamp, encodeHint(10))
+
+    expect(balance_hinted_gas).to.be.lessThan(balance_gas)
+    expect(supply_hinted_gas).to.be.lessThan(supply_gas)
+    expect(assets_hinted_gas).to.be.lessThan(assets_gas)
+  })
+})
@@ -0,0 +1,75 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Claim withdrawals test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('3000', DECIMALS),
+        WITHDRAW_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let client, periods = []
+
+  before(async () => {
+    ({ token_contract, firelight_vault, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[0])
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+
+    // Three withdraw requests, each in a different period
+    for (let i = 0; i < 3; i++) {
+      const { request } = await client.withdraw(WITHDRAW_AMOUNT, users[0].address, users[0].address)
+      periods.push(request.period)
+      await time.increase(config.period_configuration_duration)
+    }
+  })
+
+  it('finds the unclaimed withdrawals from WithdrawRequest logs', async () => {
+    const unclaimed = await client.unclaimedWithdrawals(users[0].address)
+
+    expect(unclaimed.map(w => w.period)).to.deep.equal(periods)
+    expect(unclaimed.map(w => w.assets)).to.deep.equal([WITHDRAW_AMOUNT, WITHDRAW_AMOUNT, WITHDRAW_AMOUNT])
+    expect(unclaimed.map(w => w.claimable)).to.deep.equal([true, true, false])
+  })
+
+  it('reverts when the batch is empty', async () => {
+    const claim_attempt = firelight_vault.connect(users[0]).claimWithdrawals([])
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'InvalidArrayLength')
+  })
+
+  it('reverts when the batch includes a period that has not ended', async () => {
+    const claim_attempt = firelight_vault.connect(users[0]).claimWithdrawals([periods[0], periods[2]])
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'InvalidPeriod')
+  })
+
+  it('claims several periods in one transfer, skipping claimed and empty periods', async () => {
+    await firelight_vault.connect(users[0]).claimWithdraw(periods[0])
+
+    const claim_tx = firelight_vault.connect(users[0]).claimWithdrawals([periods[0], 0, periods[1], periods[1]])
+    await expect(claim_tx).to.emit(firelight_vault, 'CompleteWithdraw').withArgs(users[0].address, WITHDRAW_AMOUNT, periods[1])
+    await expect(claim_tx).to.changeTokenBalance(token_contract, users[0], WITHDRAW_AMOUNT)
+
+    expect(await token_contract.balanceOf(users[0].address)).to.equal(WITHDRAW_AMOUNT * 2n)
+    expect(await firelight_vault.isWithdrawClaimed(periods[1], users[0].address)).to.equal(true)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(WITHDRAW_AMOUNT)
+  })
+
+  it('does not transfer anything when every period is skipped', async () => {
+    const claim_tx = firelight_vault.connect(users[0]).claimWithdrawals([periods[0], periods[1]])
+    await expect(claim_tx).not.to.emit(firelight_vault, 'CompleteWithdraw')
+    await expect(claim_tx).to.changeTokenBalance(token_contract, users[0], 0)
+  })
+
+  it('claims every claimable withdrawal through the client', async () => {
+    await time.increase(config.period_configuration_duration)
+
+    const { claims } = await client.claimAllWithdrawals()
+    expect(claims).to.deep.equal([{ receiver: users[0].address, assets: WITHDRAW_AMOUNT, period: periods[2] }])
+    expect(await client.unclaimedWithdrawals(users[0].address)).to.be.empty
+    expect(await client.claimAllWithdrawals()).to.equal(null)
+  })
+})
@@ -0,0 +1,105 @@
+const { deployFAsset } = require('../lib/utils_test')
+const { readManifest } = require('../lib/deployments')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('Deploy vault task test', function() {
+  let config, config_file, out_dir, deployment
+
+  before(async () => {
+    const { token_contract } = await deployFAsset(['fXRP', 'fXRP', 'Ripple', 'XRP', 6])
+    const [deployer, rescuer, blocklister, pauser, limit_updater, period_configuration_updater] = await ethers.getSigners()
+
+    config = {
+      asset: token_contract.target,
+      name: 'stfXRP',
+      symbol: 'stfXRP',
+      roles: {
+        defaultAdmin: deployer.address,
+        limitUpdater: limit_updater.address,
+        blocklister: blocklister.address,
+        pauser: pauser.address,
+        periodConfigurationUpdater: period_configuration_updater.address,
+        rescuer: rescuer.address
+      },
+      depositLimit: '50000000000',
+      periodConfigurationDuration: 604800
+    }
+
+    out_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firelight-deployments-'))
+    config_file = path.join(out_dir, 'vault.json')
+    fs.writeFileSync(config_file, JSON.stringify(config))
+  })
+
+  after(() => {
+    fs.rmSync(out_dir, { recursive: true, force: true })
+  })
+
+  it('deploys the vault proxy with the configured parameters', async () => {
+    deployment = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir })
+
+    const vault = await ethers.getContractAt('FirelightVault', deployment.proxy)
+    expect(await vault.asset()).to.equal(config.asset)
+    expect(await vault.depositLimit()).to.equal(BigInt(config.depositLimit))
+    expect(await vault.hasRole(await vault.RESCUER_ROLE(), config.roles.rescuer)).to.equal(true)
+  })
+
+  it('writes the deployment manifest for the network', async () => {
+    const manifest = readManifest('hardhat', out_dir)
+
+    expect(manifest.chainId).to.equal(Number((await ethers.provider.getNetwork()).chainId))
+    expect(manifest.vaults.stfXRP).to.deep.equal(deployment)
+    expect(deployment.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(deployment.proxy))
+    expect(deployment.admin).to.equal(await upgrades.erc1967.getAdminAddress(deployment.proxy))
+    expect(deployment.extension).to.equal(await (await ethers.getContractAt('FirelightVault', deployment.proxy)).extension())
+    expect(deployment.management).to.equal(await (await ethers.getContractAt('FirelightVaultExtension', deployment.proxy)).management())
+    expect(deployment.allocation).to.equal(await (await ethers.getContractAt('FirelightVaultManagement', deployment.proxy)).allocation())
+    expect(deployment.blockNumber).to.be.greaterThan(0)
+    expect(deployment.roles).to.deep.equal(config.roles)
+  })
+
+  it('deploys the optional withdrawal tickets', async () => {
+    fs.writeFileSync(config_file, JSON.stringify({ ...config, symbol: 'stfXRP2', withdrawalTickets: { name: 'stfXRP Withdrawal', symbol: 'stfXRP-W' } }))
+    const { proxy, withdrawalTickets } = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir })
+
+    const tickets = await ethers.getContractAt('FirelightWithdrawalTickets', withdrawalTickets)
+    expect(await tickets.vault()).to.equal(proxy)
+    expect(await tickets.symbol()).to.equal('stfXRP-W')
+    expect(readManifest('hardhat', out_dir).vaults.stfXRP2.withdrawalTickets).to.equal(withdrawalTickets)
+  })
+
+  it('deploys a beacon proxy through the vault factory', async () => {
+    const factory = await hre.run('deploy-factory', { out: out_dir })
+    expect(readManifest('hardhat', out_dir).factory).to.deep.equal(factory)
+
+    fs.writeFileSync(config_file, JSON.stringify({ ...config, symbol: 'stfXRP3' }))
+    const { proxy, implementation, admin } = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir, factory: true })
+
+    const factory_contract = await ethers.getContractAt('FirelightVaultFactory', factory.address)
+    expect(await factory_contract.vaultOf(config.asset)).to.equal(proxy)
+    expect(implementation).to.equal(await upgrades.beacon.getImplementationAddress(factory.beacon))
+    expect(admin).to.equal(null)
+    expect(await (await ethers.getContractAt('FirelightVault', proxy)).symbol()).to.equal('stfXRP3')
+    await expect(hre.run('upgrade-vault', { symbol: 'stfXRP3', out: out_dir })).to.be.rejectedWith('upgradeVaults')
+  })
+
+  it('leaves the factory to the owner set by deploy-factory', async () => {
+    const [, owner] = await ethers.getSigners()
+    const factory = await hre.run('deploy-factory', { owner: owner.address, out: out_dir })
+    expect(factory.owner).to.equal(owner.address)
+    expect(await (await ethers.getContractAt('FirelightVaultFactory', factory.address)).owner()).to.equal(owner.address)
+
+    // The vault deployments do not take the factory over, and run with its owner
+    fs.writeFileSync(config_file, JSON.stringify({ ...config, symbol: 'stfXRP4' }))
+    await expect(hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir, factory: true }))
+      .to.be.rejectedWith('deploy the vault through its owner')
+  })
+
+  it('reverts when the configuration lacks a default admin', async () => {
+    fs.writeFileSync(config_file, JSON.stringify({ ...config, roles: { ...config.roles, defaultAdmin: undefined } }))
+    await expect(hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir })).to.be.rejectedWith('roles.defaultAdmin')
+  })
+})
@@ -1,4 +1,4 @@
-const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers')
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
 const { deployVault } = require('./setup/fixtures.js')
 const { expect } = require('chai')
 
@@ -35,15 +35,24 @@ describe('Donations test', function() {
   })
 
   it('should allow the depositor to withdraw', async () => {
-    // NOTE: This problem will be mitigated by making a deposit to the vault during deployment
- 
-    // The depositor lost its tokens
-    expect(await firelight_vault.balanceOf(users[1].address)).to.be.eq(0)
-    expect(await firelight_vault.maxWithdraw(users[1].address)).to.be.eq(0)
-    expect(await firelight_vault.maxRedeem(users[1].address)).to.be.eq(0)
-
-    // The depositor cannot withdraw 1 wei
-    const withdraw_request = firelight_vault.connect(users[1]).withdraw(1, users[1].address, users[1].address)
-    expect(withdraw_request).to.be.revertedWithCustomError(firelight_vault, 'InsufficientShares')
+    // The donation is not part of totalAssets until it is synced, so the depositor got its shares at 1:1
+    const deposit_amount = ethers.parseUnits('10', DECIMALS)
+    expect(await firelight_vault.balanceOf(users[1].address)).to.be.eq(deposit_amount)
+    expect(await firelight_vault.maxWithdraw(users[1].address)).to.be.eq(deposit_amount)
+    expect(await firelight_vault.maxRedeem(users[1].address)).to.be.eq(deposit_amount)
+
+    const withdraw_request = firelight_vault.connect(users[1]).withdraw(deposit_amount, users[1].address, users[1].address)
+    await expect(withdraw_request).to.emit(firelight_vault, 'WithdrawRequest')
   })
-})
\ No newline at end of file
+
+  it('vests the donation into totalAssets once synced', async () => {
+    await firelight_vault.connect(users[2]).deposit(DEPOSIT_AMOUNT, users[2].address)
+    expect(await firelight_vault.totalAssets()).to.be.eq(DEPOSIT_AMOUNT)
+
+    await firelight_vault.syncRewards()
+    expect(await firelight_vault.unvestedAssets()).to.be.eq(ethers.parseUnits('10', DECIMALS))
+
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+    expect(await firelight_vault.totalAssets()).to.be.eq(DEPOSIT_AMOUNT + ethers.parseUnits('10', DECIMALS))
+  })
+})
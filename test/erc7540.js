@@ -0,0 +1,125 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+// Conformance with the ERC-7540 asynchronous redemption and operator interfaces
+describe('ERC-7540 test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REDEEM_AMOUNT = ethers.parseUnits('400', DECIMALS)
+
+  const interfaceId = (signatures) => ethers.toBeHex(
+    signatures.map(signature => BigInt(ethers.id(signature).slice(0, 10))).reduce((a, b) => a ^ b, 0n), 4
+  )
+
+  let controller, owner, operator
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, utils, blocklister, rescuer } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    ;[owner, controller, operator] = users
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, owner)
+    await firelight_vault.connect(owner).deposit(DEPOSIT_AMOUNT, owner.address)
+  })
+
+  it('supports the ERC-165 operator interface of ERC-7540 only', async () => {
+    const redeem_id = interfaceId([
+      'requestRedeem(uint256,address,address)',
+      'pendingRedeemRequest(uint256,address)',
+      'claimableRedeemRequest(uint256,address)'
+    ])
+    const operator_id = interfaceId(['isOperator(address,address)', 'setOperator(address,bool)'])
+
+    expect(redeem_id).to.equal('0x620ee8e4')
+    expect(operator_id).to.equal('0xe3bc4e65')
+    for (const id of [operator_id, '0x01ffc9a7', '0x7965db0b'])
+      expect(await firelight_vault.supportsInterface(id)).to.equal(true)
+    // The redemption flow does not follow the ERC-7540 and ERC-7575 semantics
+    for (const id of [redeem_id, '0x2f0a18c5', '0xe3bc4e66'])
+      expect(await firelight_vault.supportsInterface(id)).to.equal(false)
+    expect(await firelight_vault.share()).to.equal(firelight_vault.target)
+  })
+
+  it('requests a redemption with the claimable period as request ID', async () => {
+    const request_id = (await firelight_vault.currentPeriod()) + 1n
+    expect(await firelight_vault.connect(owner).requestRedeem.staticCall(REDEEM_AMOUNT, controller.address, owner.address))
+      .to.equal(request_id)
+
+    const request = firelight_vault.connect(owner).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address)
+    await expect(request).to.emit(firelight_vault, 'RedeemRequest')
+      .withArgs(controller.address, owner.address, request_id, owner.address, REDEEM_AMOUNT)
+    await expect(request).to.emit(firelight_vault, 'WithdrawRequest')
+      .withArgs(owner.address, controller.address, owner.address, request_id, REDEEM_AMOUNT, REDEEM_AMOUNT)
+    expect(await firelight_vault.balanceOf(owner.address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT)
+
+    // Requests of the same period add up
+    await firelight_vault.connect(owner).redeem(REDEEM_AMOUNT / 2n, controller.address, owner.address)
+    expect(await firelight_vault.pendingRedeemRequest(request_id, controller.address)).to.equal(REDEEM_AMOUNT * 3n / 2n)
+    expect(await firelight_vault.claimableRedeemRequest(request_id, controller.address)).to.equal(0)
+    expect(await firelight_vault.pendingRedeemRequest(request_id, owner.address)).to.equal(0)
+  })
+
+  it('moves a request from pending to claimable to claimed with the periods', async () => {
+    const request_id = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(owner).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address)
+
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    expect(await firelight_vault.pendingRedeemRequest(request_id, controller.address)).to.equal(REDEEM_AMOUNT)
+    expect(await firelight_vault.claimableRedeemRequest(request_id, controller.address)).to.equal(0)
+
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    expect(await firelight_vault.pendingRedeemRequest(request_id, controller.address)).to.equal(0)
+    expect(await firelight_vault.claimableRedeemRequest(request_id, controller.address)).to.equal(REDEEM_AMOUNT)
+
+    await expect(firelight_vault.connect(controller).claimWithdraw(request_id))
+      .to.changeTokenBalance(token_contract, controller, REDEEM_AMOUNT)
+    expect(await firelight_vault.claimableRedeemRequest(request_id, controller.address)).to.equal(0)
+  })
+
+  it('lets operators request redemptions without an allowance', async () => {
+    await expect(firelight_vault.connect(operator).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC20InsufficientAllowance')
+
+    await expect(firelight_vault.connect(owner).setOperator(operator.address, true))
+      .to.emit(firelight_vault, 'OperatorSet').withArgs(owner.address, operator.address, true)
+    expect(await firelight_vault.connect(owner).setOperator.staticCall(operator.address, true)).to.equal(true)
+    expect(await firelight_vault.isOperator(owner.address, operator.address)).to.equal(true)
+
+    await expect(firelight_vault.connect(operator).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address))
+      .to.emit(firelight_vault, 'RedeemRequest')
+      .withArgs(controller.address, owner.address, (await firelight_vault.currentPeriod()) + 1n, operator.address, REDEEM_AMOUNT)
+
+    await firelight_vault.connect(owner).setOperator(operator.address, false)
+    await expect(firelight_vault.connect(operator).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC20InsufficientAllowance')
+  })
+
+  it('lets approved spenders request redemptions', async () => {
+    await firelight_vault.connect(owner).approve(operator.address, REDEEM_AMOUNT)
+    await firelight_vault.connect(operator).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address)
+
+    expect(await firelight_vault.allowance(owner.address, operator.address)).to.equal(0)
+    expect(await firelight_vault.pendingRedeemRequest((await firelight_vault.currentPeriod()) + 1n, controller.address))
+      .to.equal(REDEEM_AMOUNT)
+  })
+
+  it('clears the request when cancelled and moves it when rescued', async () => {
+    const request_id = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(owner).requestRedeem(REDEEM_AMOUNT, owner.address, owner.address)
+    await firelight_vault.connect(owner).cancelWithdraw(request_id)
+    expect(await firelight_vault.pendingRedeemRequest(request_id, owner.address)).to.equal(0)
+
+    await firelight_vault.connect(owner).requestRedeem(REDEEM_AMOUNT, controller.address, owner.address)
+    await firelight_vault.connect(blocklister).addToBlocklist(controller.address)
+    await firelight_vault.connect(rescuer).rescueWithdrawFromBlocklisted(controller.address, operator.address, [request_id])
+    expect(await firelight_vault.pendingRedeemRequest(request_id, controller.address)).to.equal(0)
+    expect(await firelight_vault.pendingRedeemRequest(request_id, operator.address)).to.equal(REDEEM_AMOUNT)
+
+    await time.increaseTo((await firelight_vault.currentPeriodEnd()) + BigInt(7 * 24 * 3600))
+    expect(await firelight_vault.claimableRedeemRequest(request_id, controller.address)).to.equal(0)
+    expect(await firelight_vault.claimableRedeemRequest(request_id, operator.address)).to.equal(REDEEM_AMOUNT)
+  })
+})
@@ -0,0 +1,161 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient, netApy } = require('../lib/vault_client')
+const { realizedApy } = require('../lib/analytics')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Fees test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REWARD_AMOUNT = ethers.parseUnits('100', DECIMALS),
+        YEAR = 365 * 24 * 3600
+
+  let client, fee_recipient
+
+  before(async () => {
+    ({ token_contract, firelight_vault, reward_distributor, fee_manager, deployer: fee_recipient, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[0])
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+
+    await token_contract.mintTo(reward_distributor.address, REWARD_AMOUNT)
+    await token_contract.connect(reward_distributor).approve(firelight_vault.target, REWARD_AMOUNT)
+    client = new FirelightVaultClient(firelight_vault.target, users[1])
+  })
+
+  it('reverts when the caller is not a fee manager', async () => {
+    await expect(firelight_vault.connect(users[0]).setFees(100, 1000))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await expect(firelight_vault.connect(users[0]).setFeeRecipient(users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+  })
+
+  it('reverts when a fee is above its cap', async () => {
+    const max_management = await firelight_vault.MAX_MANAGEMENT_FEE_BPS(),
+          max_performance = await firelight_vault.MAX_PERFORMANCE_FEE_BPS()
+
+    await expect(firelight_vault.connect(fee_manager).setFees(max_management + 1n, 0))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidFee')
+    await expect(firelight_vault.connect(fee_manager).setFees(0, max_performance + 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidFee')
+  })
+
+  it('reverts when the fee recipient is the zero address', async () => {
+    await expect(firelight_vault.connect(fee_manager).setFeeRecipient(ethers.ZeroAddress))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidAddress')
+  })
+
+  it('does not charge fees without a fee recipient', async () => {
+    await firelight_vault.connect(fee_manager).setFees(100, 1000)
+    await time.increase(YEAR)
+
+    const { fees } = await client.accrueFees()
+    expect(fees).to.equal(null)
+    expect(await firelight_vault.totalSupply()).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('mints the management fee to the fee recipient', async () => {
+    const set_tx = firelight_vault.connect(fee_manager).setFeeRecipient(fee_recipient.address)
+    await expect(set_tx).to.emit(firelight_vault, 'FeeRecipientUpdated').withArgs(fee_recipient.address)
+    await time.increase(YEAR - 1)
+
+    const { fees, receipt } = await client.accrueFees()
+    const timestamp = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp,
+          shares = await firelight_vault.balanceOf(fee_recipient.address)
+
+    // 1% of the total assets over a year
+    expect(fees).to.deep.equal({ recipient: fee_recipient.address, managementFee: DEPOSIT_AMOUNT / 100n, performanceFee: 0n, shares })
+    expect(await firelight_vault.convertToAssets(shares)).to.be.closeTo(DEPOSIT_AMOUNT / 100n, 1n)
+    expect(await firelight_vault.balanceOfAt(fee_recipient.address, timestamp)).to.equal(shares)
+    expect(await firelight_vault.totalSupplyAt(timestamp)).to.equal(DEPOSIT_AMOUNT + shares)
+    expect(await firelight_vault.totalAssetsAt(timestamp)).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('accrues the management fee before a deposit', async () => {
+    await time.increase(YEAR / 2)
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[1])
+    await client.deposit(DEPOSIT_AMOUNT, users[1].address)
+
+    expect(await firelight_vault.lastFeeAccrual()).to.equal(await time.latest())
+    // The depositor is not charged for the time before its deposit
+    expect(await firelight_vault.maxWithdraw(users[1].address)).to.be.closeTo(DEPOSIT_AMOUNT, 1n)
+  })
+
+  it('previews the conversions net of the management fee accrued since the last accrual', async () => {
+    const assets = ethers.parseUnits('10', DECIMALS),
+          shares = await firelight_vault.balanceOf(users[0].address)
+    await time.increase(YEAR / 2)
+
+    // Half a year at 1% mints 0.5% more shares for the same assets
+    const stale = assets * (await firelight_vault.totalSupply() + 1n) / (await firelight_vault.totalAssets() + 1n),
+          preview = await firelight_vault.previewDeposit(assets),
+          assets_of = await firelight_vault.convertToAssets(shares)
+    expect(preview).to.be.closeTo(stale * 1005n / 1000n, stale / 10000n)
+
+    await utils.mintAndApprove(assets, users[2])
+    await firelight_vault.connect(users[2]).deposit(assets, users[2].address)
+    expect(await firelight_vault.balanceOf(users[2].address)).to.be.closeTo(preview, 1n)
+    expect(await firelight_vault.convertToAssets(shares)).to.be.closeTo(assets_of, 1n)
+  })
+
+  it('takes the performance fee out of the distributed rewards at once', async () => {
+    await firelight_vault.connect(fee_manager).setFees(0, 1000)
+    const shares_before = await firelight_vault.balanceOf(fee_recipient.address),
+          assets_before = await firelight_vault.totalAssets()
+
+    const distribute_tx = firelight_vault.connect(reward_distributor).distributeRewards(REWARD_AMOUNT, 0)
+    await expect(distribute_tx).to.emit(firelight_vault, 'FeesAccrued')
+
+    const fee_shares = (await firelight_vault.balanceOf(fee_recipient.address)) - shares_before
+    expect(await firelight_vault.unvestedAssets()).to.equal(REWARD_AMOUNT * 9n / 10n)
+    expect(await firelight_vault.totalAssets()).to.equal(assets_before + REWARD_AMOUNT / 10n)
+    expect(await firelight_vault.convertToAssets(fee_shares)).to.be.closeTo(REWARD_AMOUNT / 10n, 1n)
+  })
+
+  it('keeps accruing a management fee too small to mint a share', async () => {
+    // Without a management fee, the operations leave lastFeeAccrual as it is
+    const last_accrual = await firelight_vault.lastFeeAccrual()
+    await time.increase(3600)
+    await client.accrueFees()
+    expect(await firelight_vault.lastFeeAccrual()).to.equal(last_accrual)
+
+    // The new management fee accrues from the update, not from lastFeeAccrual
+    await firelight_vault.connect(fee_manager).setFees(100, 1000)
+    const set_at = BigInt(await time.latest())
+    expect(await firelight_vault.lastFeeAccrual()).to.equal(set_at)
+
+    // A second of fee is below one share, so nothing is minted and it is not dropped either
+    const { fees } = await client.accrueFees()
+    expect(fees).to.equal(null)
+    expect(await firelight_vault.lastFeeAccrual()).to.equal(set_at)
+
+    await time.increase(YEAR / 2)
+    const total_assets = await firelight_vault.totalAssets(),
+          { fees: accrued } = await client.accrueFees(),
+          elapsed = BigInt(await time.latest()) - set_at
+    expect(accrued.managementFee).to.equal(total_assets * 100n * elapsed / (10000n * BigInt(YEAR)))
+    expect(await firelight_vault.lastFeeAccrual()).to.equal(await time.latest())
+    await firelight_vault.connect(fee_manager).setFees(0, 1000)
+  })
+
+  it('computes the net APY after fees', async () => {
+    expect(netApy(0.05, { managementFeeBps: 100n, performanceFeeBps: 1000n })).to.be.closeTo(0.035, 1e-12)
+    expect(await client.netApy(0.05)).to.be.closeTo(0.045, 1e-12)
+    expect(await client.fees()).to.deep.equal({ recipient: fee_recipient.address, managementFeeBps: 0n, performanceFeeBps: 1000n })
+  })
+
+  it('computes the realized APY from the share price checkpoints', async () => {
+    const from = await time.latest()
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    await client.accrueFees()
+    const to = await time.latest()
+
+    const assets_from = await firelight_vault.totalAssetsAt(from),
+          assets_to = await firelight_vault.totalAssetsAt(to)
+    const expected = (Number(assets_to) / Number(assets_from)) ** (YEAR / (to - from)) - 1
+    expect(await realizedApy(client, from, to)).to.be.closeTo(expected, expected * 1e-6)
+  })
+})
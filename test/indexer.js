@@ -0,0 +1,161 @@
+const { loadFixture, time, mine, takeSnapshot } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { EventStore, VaultIndexer, createApi } = require('../lib/indexer')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Indexer test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let store, indexer, server, base_url, first_period
+
+  const get = async (route) => (await fetch(`${ base_url }${ route }`)).json()
+
+  before(async () => {
+    ({ token_contract, firelight_vault, deployer, blocklister, rescuer, allocator, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address)
+
+    store = new EventStore()
+    indexer = new VaultIndexer({ provider: ethers.provider, address: firelight_vault.target, store, batchSize: 5 })
+
+    server = createApi(store)
+    await new Promise(resolve => server.listen(0, resolve))
+    base_url = `http://127.0.0.1:${ server.address().port }`
+  })
+
+  after(() => {
+    server.close()
+  })
+
+  it('indexes deposits and transfers per account', async () => {
+    await firelight_vault.connect(users[0]).transfer(users[2].address, DEPOSIT_AMOUNT / 4n)
+    await indexer.sync()
+
+    const { events } = await get(`/accounts/${ users[0].address }/events`)
+    expect(events.map(e => e.name)).to.include.members(['Deposit', 'Transfer'])
+
+    const { events: transfers } = await get(`/accounts/${ users[2].address }/events?name=Transfer`)
+    expect(transfers).to.have.length(1)
+    expect(transfers[0].args.value).to.equal((DEPOSIT_AMOUNT / 4n).toString())
+  })
+
+  it('reports pending withdrawals with the amounts of withdrawalsOf', async () => {
+    first_period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[0]).withdraw(DEPOSIT_AMOUNT / 4n, users[0].address, users[0].address)
+    await firelight_vault.connect(users[1]).redeem(DEPOSIT_AMOUNT / 3n, users[0].address, users[1].address)
+    await indexer.sync()
+
+    const { pending, claimable, claimed } = await get(`/accounts/${ users[0].address }/withdrawals`)
+    expect(claimable).to.be.empty
+    expect(claimed).to.be.empty
+    expect(pending).to.have.length(1)
+    expect(pending[0].period).to.equal(first_period.toString())
+    expect(pending[0].assets).to.equal((await firelight_vault.withdrawalsOf(first_period, users[0].address)).toString())
+  })
+
+  it('moves withdrawals to claimable once the period ends, then to claimed', async () => {
+    await time.increase(config.period_configuration_duration * 2)
+    await mine()
+    await indexer.sync()
+
+    let withdrawals = await get(`/accounts/${ users[0].address }/withdrawals`)
+    expect(withdrawals.pending).to.be.empty
+    expect(withdrawals.claimable).to.have.length(1)
+
+    await firelight_vault.connect(users[0]).claimWithdraw(first_period)
+    await indexer.sync()
+
+    withdrawals = await get(`/accounts/${ users[0].address }/withdrawals`)
+    expect(withdrawals.claimable).to.be.empty
+    expect(withdrawals.claimed).to.have.length(1)
+    expect(withdrawals.claimed[0].claimedAssets).to.equal(withdrawals.claimed[0].assets)
+  })
+
+  it('tracks withdrawals rescued from blocklisted accounts', async () => {
+    const period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[1]).withdraw(DEPOSIT_AMOUNT / 4n, users[1].address, users[1].address)
+    await firelight_vault.connect(blocklister).addToBlocklist(users[1].address)
+    await firelight_vault.connect(rescuer).rescueWithdrawFromBlocklisted(users[1].address, users[2].address, [period])
+    await indexer.sync()
+
+    const from = await get(`/accounts/${ users[1].address }/withdrawals`),
+          to = await get(`/accounts/${ users[2].address }/withdrawals`)
+    expect(from.pending).to.be.empty
+    expect(from.claimed[0].rescuedTo).to.equal(users[2].address)
+    expect(to.pending[0].assets).to.equal((await firelight_vault.withdrawalsOf(period, users[2].address)).toString())
+
+    const { events } = await get(`/accounts/${ users[2].address }/events?name=WithdrawRescuedFromBlocklisted`)
+    expect(events).to.have.length(1)
+  })
+
+  it('drops cancelled withdrawals', async () => {
+    const period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[0]).withdraw(DEPOSIT_AMOUNT / 4n, users[0].address, users[0].address)
+    await indexer.sync()
+    expect((await get(`/accounts/${ users[0].address }/withdrawals`)).pending).to.have.length(1)
+
+    await firelight_vault.connect(users[0]).cancelWithdraw(period)
+    await indexer.sync()
+    expect((await get(`/accounts/${ users[0].address }/withdrawals`)).pending).to.be.empty
+  })
+
+  it('applies the strategy losses taken out of the pending withdrawals', async () => {
+    const strategy = await ethers.deployContract('MockStrategy', [token_contract.target, firelight_vault.target])
+    await firelight_vault.connect(deployer).addStrategy(strategy.target)
+    const idle = (await token_contract.balanceOf(firelight_vault.target)) - (await firelight_vault.pendingWithdrawAssets())
+    await firelight_vault.connect(allocator).allocate(strategy.target, idle)
+
+    const period = (await firelight_vault.currentPeriod()) + 1n
+    // users[1] is blocklisted by the rescue test
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT / 4n, users[0].address, users[0].address)
+    await strategy.lose(idle)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.emit(firelight_vault, 'WithdrawalLoss')
+    await indexer.sync()
+
+    const { pending } = await get(`/accounts/${ users[0].address }/withdrawals`)
+    const withdrawal = pending.find(w => w.period === period.toString())
+    expect(withdrawal.assets).to.equal((await firelight_vault.withdrawalsOf(period, users[0].address)).toString())
+    expect(BigInt(withdrawal.assets)).to.be.lessThan(DEPOSIT_AMOUNT / 4n)
+  })
+
+  it('rolls back events of reorged blocks', async () => {
+    const snapshot = await takeSnapshot(),
+          events_before = store.events.length
+
+    await firelight_vault.connect(users[2]).transfer(users[0].address, 1n)
+    await indexer.sync()
+    expect(store.events.length).to.be.greaterThan(events_before)
+
+    await snapshot.restore()
+    await mine(3)
+    await indexer.sync()
+
+    expect(store.events.length).to.equal(events_before)
+    expect(store.lastBlock.hash).to.equal((await ethers.provider.getBlock('latest')).hash)
+  })
+
+  it('does not commit logs of a fork replaced while they are read', async () => {
+    const last_block = store.lastBlock
+    // The logs are served from a fork whose blocks are no longer canonical
+    const provider = {
+      getBlockNumber: () => ethers.provider.getBlockNumber(),
+      getBlock: (number) => ethers.provider.getBlock(number),
+      getLogs: async (filter) => (await ethers.provider.getLogs(filter)).map(log => ({ ...log, blockHash: ethers.ZeroHash }))
+    }
+    const stale_indexer = new VaultIndexer({ provider, address: firelight_vault.target, store, batchSize: 5 })
+
+    await firelight_vault.connect(users[2]).transfer(users[0].address, 1n)
+    await expect(stale_indexer.sync()).to.be.rejectedWith('Reorg while indexing blocks')
+    expect(store.lastBlock).to.deep.equal(last_block)
+
+    await indexer.sync()
+    expect(store.lastBlock.hash).to.equal((await ethers.provider.getBlock('latest')).hash)
+  })
+})
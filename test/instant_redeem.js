@@ -0,0 +1,102 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Instant redeem test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REDEEM_AMOUNT = ethers.parseUnits('100', DECIMALS),
+        BUFFER_BPS = 2000,
+        FEE_BPS = 50
+
+  let deployer
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, utils, deployer } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    for (const account of users.slice(0, 2)) {
+      await utils.mintAndApprove(DEPOSIT_AMOUNT, account)
+      await firelight_vault.connect(account).deposit(DEPOSIT_AMOUNT, account.address)
+    }
+  })
+
+  it('is disabled by default', async () => {
+    expect(await firelight_vault.instantRedeemEnabled()).to.equal(false)
+    expect(await firelight_vault.maxInstantRedeem(users[0].address)).to.equal(0)
+    await expect(firelight_vault.connect(users[0]).instantRedeem(REDEEM_AMOUNT, users[0].address, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'InstantRedeemDisabled')
+  })
+
+  it('lets the admin update the buffer and the fee', async () => {
+    await expect(firelight_vault.connect(users[0]).setInstantRedeem(true, BUFFER_BPS, FEE_BPS))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await expect(firelight_vault.setInstantRedeem(true, 10001, FEE_BPS))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidBufferRatio')
+    await expect(firelight_vault.setInstantRedeem(true, BUFFER_BPS, 1001))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidFee')
+
+    await expect(firelight_vault.connect(deployer).setInstantRedeem(true, BUFFER_BPS, FEE_BPS))
+      .to.emit(firelight_vault, 'InstantRedeemUpdated').withArgs(true, BUFFER_BPS, FEE_BPS)
+    expect(await firelight_vault.instantRedeemBufferBps()).to.equal(BUFFER_BPS)
+    expect(await firelight_vault.instantRedeemFeeBps()).to.equal(FEE_BPS)
+  })
+
+  it('redeems immediately and leaves the fee to the remaining holders', async () => {
+    await firelight_vault.setInstantRedeem(true, BUFFER_BPS, FEE_BPS)
+    const fee = REDEEM_AMOUNT * BigInt(FEE_BPS) / 10000n,
+          assets = REDEEM_AMOUNT - fee
+    expect(await firelight_vault.previewInstantRedeem(REDEEM_AMOUNT)).to.equal(assets)
+
+    const redeem = firelight_vault.connect(users[0]).instantRedeem(REDEEM_AMOUNT, users[2].address, users[0].address)
+    await expect(redeem).to.emit(firelight_vault, 'InstantRedeem')
+      .withArgs(users[0].address, users[2].address, users[0].address, assets, REDEEM_AMOUNT, fee)
+    await expect(redeem).to.emit(firelight_vault, 'Withdraw')
+      .withArgs(users[0].address, users[2].address, users[0].address, assets, REDEEM_AMOUNT)
+    await expect(redeem).to.changeTokenBalance(token_contract, users[2], assets)
+
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n - assets)
+    expect(await firelight_vault.convertToAssets(DEPOSIT_AMOUNT)).to.be.greaterThan(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(0)
+
+    const timestamp = await time.latest()
+    expect(await firelight_vault.balanceOfAt(users[0].address, timestamp)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT)
+    expect(await firelight_vault.totalSupplyAt(timestamp)).to.equal(DEPOSIT_AMOUNT * 2n - REDEEM_AMOUNT)
+    expect(await firelight_vault.totalAssetsAt(timestamp)).to.equal(DEPOSIT_AMOUNT * 2n - assets)
+  })
+
+  it('only uses the idle assets above the buffer and the pending withdrawals', async () => {
+    await firelight_vault.setInstantRedeem(true, 5000, 0)
+
+    // 1000 of the 2000 assets are above the 50% buffer
+    expect(await firelight_vault.maxInstantRedeem(users[0].address)).to.equal(DEPOSIT_AMOUNT)
+    await firelight_vault.connect(users[1]).redeem(DEPOSIT_AMOUNT / 2n, users[1].address, users[1].address)
+
+    // 500 of the 2000 assets are reserved for the withdrawal request, and 750 for the buffer
+    const max = await firelight_vault.maxInstantRedeem(users[0].address)
+    expect(max).to.equal(ethers.parseUnits('750', DECIMALS))
+    await expect(firelight_vault.connect(users[0]).instantRedeem(max + 1n, users[0].address, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'InsufficientLiquidity')
+    await firelight_vault.connect(users[0]).instantRedeem(max, users[0].address, users[0].address)
+
+    // The buffer follows the total assets down to 375, which leaves room for the rest of the balance
+    expect(await firelight_vault.maxInstantRedeem(users[0].address)).to.equal(ethers.parseUnits('250', DECIMALS))
+
+    // The withdrawal request is still covered
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+    await expect(firelight_vault.connect(users[1]).claimWithdraw((await firelight_vault.currentPeriod()) - 1n))
+      .to.changeTokenBalance(token_contract, users[1], DEPOSIT_AMOUNT / 2n)
+  })
+
+  it('requires an allowance or operator approval to redeem for another owner', async () => {
+    await firelight_vault.setInstantRedeem(true, BUFFER_BPS, FEE_BPS)
+
+    await expect(firelight_vault.connect(users[1]).instantRedeem(REDEEM_AMOUNT, users[1].address, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC20InsufficientAllowance')
+    await firelight_vault.connect(users[0]).setOperator(users[1].address, true)
+    await firelight_vault.connect(users[1]).instantRedeem(REDEEM_AMOUNT, users[1].address, users[0].address)
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT)
+  })
+})
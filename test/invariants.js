@@ -0,0 +1,390 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+// Every run is a random sequence of vault operations drawn from its seed, with the invariants checked after each step.
+// A failing run is replayed with the seed and step given in the error, e.g.
+// `FUZZ_SEED=7 FUZZ_RUNS=1 npx hardhat test test/invariants.js`
+const SEED = Number(process.env.FUZZ_SEED || 1),
+      RUNS = Number(process.env.FUZZ_RUNS || 5),
+      STEPS = Number(process.env.FUZZ_STEPS || 100)
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so that a run does not depend on anything but its seed.
+ */
+const random = (seed) => {
+  let state = seed >>> 0
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = Math.imul(state ^ (state >>> 15), state | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  return {
+    chance: (p) => next() < p,
+    int: (n) => Math.floor(next() * n),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // Between 1 and `max`, both included, for a positive `max`
+    amount: (max) => {
+      const amount = max * BigInt(Math.floor(next() * 1_000_000) + 1) / 1_000_000n
+      return amount > 0n ? amount : 1n
+    }
+  }
+}
+
+describe('Invariant test', function() {
+  const DECIMALS = 6,
+        ONE = ethers.parseUnits('1', DECIMALS),
+        // Six funded accounts stay below the 50k deposit limit, together with the donations
+        FUNDING = ethers.parseUnits('5000', DECIMALS),
+        MAX_DONATION = ethers.parseUnits('200', DECIMALS),
+        DAY = 86400,
+        PAUSES = ['paused', 'depositsPaused', 'transfersPaused', 'withdrawRequestsPaused', 'claimsPaused']
+
+  // Relative likelihood of each action
+  const WEIGHTS = {
+    deposit: 4,
+    mint: 2,
+    withdraw: 3,
+    redeem: 3,
+    claim: 4,
+    transfer: 2,
+    donation: 1,
+    blocklist: 1,
+    rescue: 1,
+    pause: 1,
+    periodConfiguration: 1,
+    timeJump: 4
+  }
+
+  /**
+   * Runs `steps` random actions from `seed` on a fresh vault, and checks the invariants after each of them.
+   * @return The description of each step and the final state, equal for equal seeds.
+   */
+  const run = async (seed, steps) => {
+    const fixture = await loadFixture(deployVault.bind(null, { decimals: DECIMALS }))
+    const { token_contract, firelight_vault, blocklister, rescuer, pauser, period_configuration_updater } = fixture
+    const actors = [...fixture.users, ...(await ethers.getSigners()).slice(13, 16)],
+          names = new Map(actors.map((actor, i) => [actor.address, `actor${ i }`])),
+          rng = random(seed),
+          trace = []
+
+    // Each transaction is mined one second after the previous one, so that block times do not follow the wall clock
+    let clock = await time.latest()
+    const send = async (tx) => {
+      await time.setNextBlockTimestamp(clock += 1)
+      return tx()
+    }
+
+    // Succeeds, or reverts with `error`, and returns the receipt of a success
+    const execute = async (tx, error) => {
+      if (error) {
+        await expect(send(tx)).to.be.revertedWithCustomError(firelight_vault, error)
+        return null
+      }
+      return (await send(tx)).wait()
+    }
+
+    const pauseState = async () => {
+      const flags = await Promise.all(PAUSES.map(flag => firelight_vault[flag]()))
+      return Object.fromEntries(PAUSES.map((flag, i) => [flag, flags[i]]))
+    }
+
+    // Reverts come from the pause modifiers first, then from the blocklist checks of the accounts, in order
+    const expectedError = async (flag, ...accounts) => {
+      const state = await pauseState()
+      if (state.paused || state[flag])
+        return 'EnforcedPause'
+      for (const account of accounts)
+        if (await firelight_vault.isBlocklisted(account.address || account))
+          return 'BlocklistedAddress'
+    }
+
+    // The unclaimed withdrawal requests, by receiver and period
+    const requests = new Map()
+    const addRequest = (account, period) => requests.set(`${ account }-${ period }`, { account, period })
+    const recordRequests = (receipt) => {
+      for (const log of receipt.logs) {
+        const event = firelight_vault.interface.parseLog(log)
+        if (event && event.name === 'WithdrawRequest')
+          addRequest(event.args.receiver, event.args.period)
+      }
+    }
+
+    const outcome = (error) => error || 'ok'
+    const units = (amount) => ethers.formatUnits(amount, DECIMALS)
+
+    const actions = {
+      deposit: async () => {
+        const sender = rng.pick(actors), receiver = rng.pick(actors),
+              balance = await token_contract.balanceOf(sender.address)
+        if (balance === 0n)
+          return 'deposit skipped'
+        const assets = rng.amount(balance),
+              error = await expectedError('depositsPaused', sender, receiver)
+        await execute(() => firelight_vault.connect(sender).deposit(assets, receiver.address), error)
+        return `deposit ${ names.get(sender.address) } ${ units(assets) } to ${ names.get(receiver.address) }: ${ outcome(error) }`
+      },
+
+      mint: async () => {
+        const sender = rng.pick(actors), receiver = rng.pick(actors),
+              max_shares = await firelight_vault.convertToShares(await token_contract.balanceOf(sender.address))
+        if (max_shares <= 1n)
+          return 'mint skipped'
+        // One share less than the balance covers, since minting rounds the assets up
+        const shares = rng.amount(max_shares - 1n),
+              error = await expectedError('depositsPaused', sender, receiver)
+        await execute(() => firelight_vault.connect(sender).mint(shares, receiver.address), error)
+        return `mint ${ names.get(sender.address) } ${ units(shares) } to ${ names.get(receiver.address) }: ${ outcome(error) }`
+      },
+
+      withdraw: async () => {
+        const owner = rng.pick(actors), receiver = rng.pick(actors),
+              max_assets = await firelight_vault.convertToAssets(await firelight_vault.balanceOf(owner.address))
+        if (max_assets === 0n)
+          return 'withdraw skipped'
+        const assets = rng.amount(max_assets),
+              error = await expectedError('withdrawRequestsPaused', owner, receiver)
+        const receipt = await execute(
+          () => firelight_vault.connect(owner).withdraw(assets, receiver.address, owner.address),
+          error
+        )
+        if (receipt)
+          recordRequests(receipt)
+        return `withdraw ${ names.get(owner.address) } ${ units(assets) } to ${ names.get(receiver.address) }: ${ outcome(error) }`
+      },
+
+      redeem: async () => {
+        const owner = rng.pick(actors), receiver = rng.pick(actors),
+              balance = await firelight_vault.balanceOf(owner.address)
+        if (balance === 0n)
+          return 'redeem skipped'
+        const shares = rng.amount(balance),
+              error = await expectedError('withdrawRequestsPaused', owner, receiver)
+        const receipt = await execute(
+          () => firelight_vault.connect(owner).redeem(shares, receiver.address, owner.address),
+          error
+        )
+        if (receipt)
+          recordRequests(receipt)
+        return `redeem ${ names.get(owner.address) } ${ units(shares) } to ${ names.get(receiver.address) }: ${ outcome(error) }`
+      },
+
+      claim: async () => {
+        const current_period = await firelight_vault.currentPeriod(),
+              claimable = [...requests.values()].filter(request => request.period < current_period)
+        if (!claimable.length)
+          return 'claim skipped'
+        const { account, period } = rng.pick(claimable),
+              signer = actors.find(actor => actor.address === account),
+              assets = await firelight_vault.withdrawalsOf(period, account)
+        let error = await expectedError('claimsPaused', account)
+        if (!error && assets === 0n)
+          error = 'NoWithdrawalAmount'
+
+        const balance = await token_contract.balanceOf(account)
+        await execute(() => firelight_vault.connect(signer).claimWithdraw(period), error)
+        if (!error) {
+          expect(await token_contract.balanceOf(account)).to.equal(balance + assets)
+          requests.delete(`${ account }-${ period }`)
+        } else if (error === 'NoWithdrawalAmount') {
+          requests.delete(`${ account }-${ period }`)
+        }
+        return `claim ${ names.get(account) } period ${ period } ${ units(assets) }: ${ outcome(error) }`
+      },
+
+      transfer: async () => {
+        const from = rng.pick(actors), to = rng.pick(actors),
+              balance = await firelight_vault.balanceOf(from.address)
+        if (balance === 0n)
+          return 'transfer skipped'
+        const shares = rng.amount(balance),
+              error = await expectedError('transfersPaused', from, to)
+        await execute(() => firelight_vault.connect(from).transfer(to.address, shares), error)
+        return `transfer ${ names.get(from.address) } ${ units(shares) } to ${ names.get(to.address) }: ${ outcome(error) }`
+      },
+
+      // An unsolicited transfer to the vault, vested by syncRewards or left out of the total assets
+      donation: async () => {
+        const assets = rng.amount(MAX_DONATION)
+        await send(() => token_contract.mintTo(firelight_vault.target, assets))
+        if (!rng.chance(0.5))
+          return `donation ${ units(assets) }`
+
+        const error = (await firelight_vault.paused()) ? 'EnforcedPause' : undefined
+        await execute(() => firelight_vault.connect(rng.pick(actors)).syncRewards(), error)
+        return `donation ${ units(assets) } and sync: ${ outcome(error) }`
+      },
+
+      // Like the pauses, the blocklisted accounts are removed more often than added
+      blocklist: async () => {
+        const blocklisted = await Promise.all(actors.map(actor => firelight_vault.isBlocklisted(actor.address))),
+              listed = actors.filter((_, i) => blocklisted[i]),
+              unlisted = actors.filter((_, i) => !blocklisted[i])
+        if (listed.length && (!unlisted.length || rng.chance(0.6))) {
+          const account = rng.pick(listed).address
+          await execute(() => firelight_vault.connect(blocklister).removeFromBlocklist(account))
+          return `unblocklist ${ names.get(account) }`
+        }
+        const account = rng.pick(unlisted).address
+        await execute(() => firelight_vault.connect(blocklister).addToBlocklist(account))
+        return `blocklist ${ names.get(account) }`
+      },
+
+      rescue: async () => {
+        const blocklisted = await Promise.all(actors.map(actor => firelight_vault.isBlocklisted(actor.address))),
+              from = actors.filter((_, i) => blocklisted[i]),
+              to = actors.filter((_, i) => !blocklisted[i])
+        if (!from.length || !to.length)
+          return 'rescue skipped'
+        const source = rng.pick(from).address, beneficiary = rng.pick(to).address,
+              done = []
+
+        if (await firelight_vault.balanceOf(source) > 0n) {
+          await execute(() => firelight_vault.connect(rescuer).rescueSharesFromBlocklisted(source, beneficiary))
+          done.push('shares')
+        }
+
+        const periods = []
+        for (const { account, period } of requests.values()) {
+          if (account !== source || await firelight_vault.isWithdrawClaimed(period, beneficiary))
+            continue
+          if (await firelight_vault.withdrawSharesOf(period, source) > 0n)
+            periods.push(period)
+        }
+        if (periods.length) {
+          await execute(() => firelight_vault.connect(rescuer).rescueWithdrawFromBlocklisted(source, beneficiary, periods))
+          for (const period of periods) {
+            requests.delete(`${ source }-${ period }`)
+            addRequest(beneficiary, period)
+          }
+          done.push(`periods ${ periods.join(',') }`)
+        }
+        return `rescue ${ names.get(source) } to ${ names.get(beneficiary) }: ${ done.join(', ') || 'nothing' }`
+      },
+
+      // Pauses an operation, or more often lifts one of the pauses, so that the vault is mostly running
+      pause: async () => {
+        const state = await pauseState(),
+              active = PAUSES.filter(flag => state[flag]),
+              inactive = PAUSES.filter(flag => !state[flag])
+        const lift = active.length && (!inactive.length || rng.chance(0.7)),
+              flag = rng.pick(lift ? active : inactive),
+              vault = firelight_vault.connect(pauser)
+
+        if (flag === 'paused')
+          await execute(() => lift ? vault.unpause() : vault.pause())
+        else
+          await execute(() => vault[`set${ flag[0].toUpperCase() }${ flag.slice(1) }`](!lift))
+        return `${ lift ? 'unpause' : 'pause' } ${ flag }`
+      },
+
+      // A new configuration starts at the end of the next period or later, once the last one has started
+      periodConfiguration: async () => {
+        const length = await firelight_vault.periodConfigurationsLength(),
+              last = await firelight_vault.periodConfigurations(length - 1n),
+              current = await firelight_vault.currentPeriodConfiguration(),
+              epoch = (await firelight_vault.nextPeriodEnd()) + BigInt(rng.int(3)) * current.duration,
+              duration = BigInt(DAY * (1 + rng.int(14))),
+              error = current.epoch !== last.epoch ? 'CurrentPeriodConfigurationNotLast' : undefined
+        await execute(
+          () => firelight_vault.connect(period_configuration_updater).addPeriodConfiguration(epoch, duration),
+          error
+        )
+        return `period configuration at ${ epoch } of ${ duration / BigInt(DAY) } days: ${ outcome(error) }`
+      },
+
+      // Lands either on a period end, or at least an hour before the next one, so that the few seconds taken by the
+      // following steps never cross a period end between the reads of a step and its transaction
+      timeJump: async () => {
+        const start = clock
+        const target = rng.chance(0.3)
+          ? Number(await firelight_vault.currentPeriodEnd())
+          : clock + rng.pick([60, 3600, DAY, 3 * DAY, 10 * DAY])
+        await time.increaseTo(target)
+        const period_end = Number(await firelight_vault.currentPeriodEnd())
+        clock = period_end - target < 3600 ? period_end : target
+        if (clock !== target)
+          await time.increaseTo(clock)
+        return `time jump of ${ clock - start } seconds`
+      }
+    }
+
+    let last_price = 0n
+    const checkInvariants = async () => {
+      const [balance, tracked_assets, total_assets, pending_assets, total_supply, price] = await Promise.all([
+        token_contract.balanceOf(firelight_vault.target),
+        firelight_vault.trackedAssets(),
+        firelight_vault.totalAssets(),
+        firelight_vault.pendingWithdrawAssets(),
+        firelight_vault.totalSupply(),
+        firelight_vault.convertToAssets(ONE)
+      ])
+      // The donations not synced yet are held but not tracked
+      expect(balance, 'asset balance').to.be.gte(tracked_assets)
+      expect(balance, 'asset balance').to.be.gte(total_assets + pending_assets)
+      expect(tracked_assets, 'tracked assets').to.be.gte(total_assets + pending_assets)
+
+      const ts = await time.latest(),
+            shares = await Promise.all(actors.map(actor => firelight_vault.balanceOf(actor.address))),
+            checkpoints = await Promise.all(actors.map(actor => firelight_vault.balanceOfAt(actor.address, ts)))
+      expect(shares.reduce((a, b) => a + b, 0n), 'sum of the balances').to.equal(total_supply)
+      actors.forEach((actor, i) => expect(checkpoints[i], `balanceOfAt of ${ names.get(actor.address) }`).to.equal(shares[i]))
+      expect(await firelight_vault.totalSupplyAt(ts), 'totalSupplyAt').to.equal(total_supply)
+      expect(await firelight_vault.totalAssetsAt(ts), 'totalAssetsAt').to.equal(total_assets)
+
+      let unclaimed = 0n
+      for (const { account, period } of requests.values())
+        if (!await firelight_vault.isWithdrawClaimed(period, account))
+          unclaimed += await firelight_vault.withdrawalsOf(period, account)
+      expect(unclaimed, 'unclaimed withdrawals').to.be.lte(pending_assets)
+
+      // Rounding always favours the vault, and rewards only vest in, so the share price never goes down
+      expect(price, 'share price').to.be.gte(last_price)
+      last_price = price
+    }
+
+    for (const actor of actors) {
+      await send(() => token_contract.mintTo(actor.address, FUNDING))
+      await send(() => token_contract.connect(actor).approve(firelight_vault.target, ethers.MaxUint256))
+    }
+
+    const total_weight = Object.values(WEIGHTS).reduce((a, b) => a + b, 0)
+    for (let step = 0; step < steps; step++) {
+      let pick = rng.int(total_weight)
+      const action = Object.keys(WEIGHTS).find(name => (pick -= WEIGHTS[name]) < 0)
+
+      let description = action
+      try {
+        description = await actions[action]()
+        await checkInvariants()
+      } catch (e) {
+        e.message = `seed ${ seed }, step ${ step } (${ description }): ${ e.message }`
+        throw e
+      }
+      trace.push(description)
+    }
+
+    return {
+      trace,
+      totalAssets: await firelight_vault.totalAssets(),
+      totalSupply: await firelight_vault.totalSupply(),
+      balances: await Promise.all(actors.map(actor => firelight_vault.balanceOf(actor.address)))
+    }
+  }
+
+  for (let i = 0; i < RUNS; i++) {
+    it(`keeps the invariants over ${ STEPS } random steps with seed ${ SEED + i }`, async function() {
+      this.timeout(0)
+      await run(SEED + i, STEPS)
+    })
+  }
+
+  it('replays the same run from the same seed', async function() {
+    this.timeout(0)
+    const first = await run(SEED, 20),
+          second = await run(SEED, 20)
+    expect(second).to.deep.equal(first)
+  })
+})
@@ -0,0 +1,111 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { WithdrawKeeper } = require('../lib/keeper')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const silent = { log: () => {}, error: () => {} }
+
+describe('Claim on behalf and keeper test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let keeper, keeper_signer, period
+
+  before(async () => {
+    ({ token_contract, firelight_vault, deployer: keeper_signer, blocklister, allocator, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await Promise.all(users.map(account => firelight_vault.connect(account).deposit(DEPOSIT_AMOUNT, account.address)))
+
+    keeper = new WithdrawKeeper(new FirelightVaultClient(firelight_vault.target, keeper_signer), { logger: silent })
+  })
+
+  it('reverts when claiming on behalf of an account before the period ends', async () => {
+    period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[0]).withdraw(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+
+    const claim_attempt = firelight_vault.connect(keeper_signer).claimWithdrawFor(users[0].address, period)
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'InvalidPeriod')
+  })
+
+  it('does not claim requests whose period has not ended', async () => {
+    expect(await keeper.poll()).to.be.empty
+    expect(keeper.pending.size).to.equal(1)
+  })
+
+  it('claims on behalf of an account and pays the recorded receiver', async () => {
+    await time.increase(config.period_configuration_duration * 2)
+
+    const claim_tx = firelight_vault.connect(keeper_signer).claimWithdrawFor(users[0].address, period)
+    await expect(claim_tx).to.emit(firelight_vault, 'CompleteWithdraw').withArgs(users[0].address, DEPOSIT_AMOUNT, period)
+    await expect(claim_tx).to.changeTokenBalances(token_contract, [users[0], keeper_signer], [DEPOSIT_AMOUNT, 0])
+  })
+
+  it('reverts when claiming on behalf of an account twice', async () => {
+    const claim_attempt = firelight_vault.connect(keeper_signer).claimWithdrawFor(users[0].address, period)
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'AlreadyClaimedPeriod')
+  })
+
+  it('reverts when claiming on behalf of a blocklisted account', async () => {
+    period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[2]).redeem(DEPOSIT_AMOUNT, users[2].address, users[2].address)
+    await firelight_vault.connect(blocklister).addToBlocklist(users[2].address)
+    await time.increase(config.period_configuration_duration * 2)
+
+    const claim_attempt = firelight_vault.connect(keeper_signer).claimWithdrawFor(users[2].address, period)
+    await expect(claim_attempt).to.be.revertedWithCustomError(firelight_vault, 'BlocklistedAddress')
+  })
+
+  it('keeper claims matured requests to their receivers, and drops claimed and blocklisted ones', async () => {
+    period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[1]).withdraw(DEPOSIT_AMOUNT / 2n, users[1].address, users[1].address)
+    await firelight_vault.connect(users[1]).withdraw(DEPOSIT_AMOUNT / 4n, users[0].address, users[1].address)
+    await time.increase(config.period_configuration_duration * 2)
+
+    const claims = await keeper.poll()
+
+    expect(claims).to.have.deep.members([
+      { receiver: users[1].address, assets: DEPOSIT_AMOUNT / 2n, period },
+      { receiver: users[0].address, assets: DEPOSIT_AMOUNT / 4n, period }
+    ])
+    expect(await token_contract.balanceOf(users[1].address)).to.equal(DEPOSIT_AMOUNT / 2n)
+    expect(keeper.pending.size).to.equal(0)
+    expect(await keeper.poll()).to.be.empty
+  })
+
+  it('keeper recalls the assets deployed to strategies before claiming', async () => {
+    const strategy = await ethers.deployContract('MockStrategy', [token_contract.target, firelight_vault.target])
+    await firelight_vault.connect(keeper_signer).addStrategy(strategy.target)
+    await firelight_vault.connect(allocator).allocate(strategy.target, DEPOSIT_AMOUNT / 4n)
+
+    period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[1]).withdraw(DEPOSIT_AMOUNT / 4n, users[1].address, users[1].address)
+    await time.increase(config.period_configuration_duration * 2)
+
+    expect(await keeper.poll()).to.deep.equal([{ receiver: users[1].address, assets: DEPOSIT_AMOUNT / 4n, period }])
+    expect(await firelight_vault.strategyAssets(strategy.target)).to.equal(0)
+  })
+
+  it('keeper pages the scanned block range', async () => {
+    const client = new FirelightVaultClient(firelight_vault.target, keeper_signer),
+          contract = client.contract,
+          ranges = []
+    // Records the block range of every log request
+    client.contract = Object.create(contract)
+    client.contract.queryFilter = (filter, from, to) => {
+      ranges.push([from, to])
+      return contract.queryFilter(filter, from, to)
+    }
+    const paged_keeper = new WithdrawKeeper(client, { batchSize: 3, logger: silent })
+
+    expect(await paged_keeper.poll()).to.be.empty
+    const latest = await ethers.provider.getBlockNumber()
+    expect(paged_keeper.nextBlock).to.equal(latest + 1)
+    expect(ranges.every(([from, to]) => to - from < 3)).to.be.true
+    expect(Math.max(...ranges.map(([, to]) => to))).to.equal(latest)
+  })
+})
@@ -0,0 +1,146 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { readAddressCsv, verifyReport } = require('../lib/operator')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('Operator tasks test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REDEEM_AMOUNT = ethers.parseUnits('100', DECIMALS)
+
+  let deployer, out_dir, csv_file, accounts
+
+  const run = (name, args) => hre.run(name, { vault: firelight_vault.target, reportDir: out_dir, signedOffBy: 'Compliance', ...args })
+
+  before(() => {
+    out_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firelight-operator-'))
+    csv_file = path.join(out_dir, 'accounts.csv')
+  })
+
+  after(() => {
+    fs.rmSync(out_dir, { recursive: true, force: true })
+  })
+
+  beforeEach(async () => {
+    ({ firelight_vault, deployer, users, utils } = await loadFixture(deployVault.bind(null, { decimals: DECIMALS })))
+    // The tasks run with the first signer
+    await firelight_vault.grantRole(await firelight_vault.BLOCKLIST_ROLE(), deployer.address)
+    await firelight_vault.grantRole(await firelight_vault.RESCUER_ROLE(), deployer.address)
+    accounts = users.map(user => user.address)
+  })
+
+  it('blocklists and unblocklists addresses in batches on-chain', async () => {
+    await expect(firelight_vault.connect(users[0]).batchAddToBlocklist(accounts))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await expect(firelight_vault.batchAddToBlocklist([]))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidArrayLength')
+
+    const added = firelight_vault.batchAddToBlocklist(accounts)
+    for (const account of accounts)
+      await expect(added).to.emit(firelight_vault, 'AddedToBlocklist').withArgs(account)
+    await expect(firelight_vault.batchAddToBlocklist([accounts[0]]))
+      .to.be.revertedWithCustomError(firelight_vault, 'BlocklistedAddress')
+
+    await expect(firelight_vault.batchRemoveFromBlocklist(accounts.slice(0, 2)))
+      .to.emit(firelight_vault, 'RemovedFromBlocklist').withArgs(accounts[1])
+    expect(await firelight_vault.isBlocklisted(accounts[0])).to.equal(false)
+    expect(await firelight_vault.isBlocklisted(accounts[2])).to.equal(true)
+    await expect(firelight_vault.batchRemoveFromBlocklist([accounts[0]]))
+      .to.be.revertedWithCustomError(firelight_vault, 'NotBlocklistedAddress')
+  })
+
+  it('reads the addresses of a CSV file with a header', async () => {
+    fs.writeFileSync(csv_file, `account\n${ accounts[0].toLowerCase() }\n\n# comment\n${ accounts[1] }\n`)
+    expect(readAddressCsv(csv_file)).to.deep.equal([[accounts[0]], [accounts[1]]])
+
+    fs.writeFileSync(csv_file, `${ accounts[0] },${ accounts[1] }\n${ accounts[2] },0x1234\n`)
+    expect(() => readAddressCsv(csv_file, 2)).to.throw('invalid address "0x1234" on row 2')
+  })
+
+  it('simulates a blocklist import in a dry run without changing the blocklist', async () => {
+    fs.writeFileSync(csv_file, ['account', ...accounts].join('\n'))
+    const report = await run('blocklist', { action: 'add', csv: csv_file, dryRun: true, batchSize: 2 })
+
+    expect(report.entries.map(entry => entry.status)).to.deep.equal(['simulated', 'simulated', 'simulated'])
+    expect(await firelight_vault.isBlocklisted(accounts[0])).to.equal(false)
+    expect(verifyReport(JSON.parse(fs.readFileSync(report.file, 'utf8')))).to.equal(true)
+  })
+
+  it('imports a blocklist in batches, skips the addresses already blocklisted and signs off the report', async () => {
+    await firelight_vault.addToBlocklist(accounts[1])
+    fs.writeFileSync(csv_file, accounts.join('\n'))
+    const report = await run('blocklist', { action: 'add', csv: csv_file, batchSize: 1 })
+
+    for (const account of accounts)
+      expect(await firelight_vault.isBlocklisted(account)).to.equal(true)
+    expect(report.entries.find(entry => entry.account === accounts[1])).to.deep.include({ status: 'skipped', reason: 'already blocklisted' })
+    expect(report.entries.filter(entry => entry.status === 'done').map(entry => entry.transactionHash)).to.have.lengthOf(2)
+    expect(report.signOff).to.deep.include({ signer: deployer.address, signedOffBy: 'Compliance' })
+
+    // Tampering with the written report breaks the sign-off
+    const written = JSON.parse(fs.readFileSync(report.file, 'utf8'))
+    expect(verifyReport(written)).to.equal(true)
+    expect(verifyReport({ ...written, entries: written.entries.slice(1) })).to.equal(false)
+
+    await run('blocklist', { action: 'remove', accounts: accounts.slice(0, 2).join(',') })
+    expect(await firelight_vault.isBlocklisted(accounts[0])).to.equal(false)
+  })
+
+  it('rescues the shares and every unclaimed withdrawal found from the events', async () => {
+    const [holder, beneficiary] = users
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, holder)
+    await firelight_vault.connect(holder).deposit(DEPOSIT_AMOUNT, holder.address)
+    const first_period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(holder).redeem(REDEEM_AMOUNT, holder.address, holder.address)
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    await firelight_vault.connect(holder).redeem(REDEEM_AMOUNT, holder.address, holder.address)
+    await firelight_vault.addToBlocklist(holder.address)
+
+    const dry_run = await run('rescue', { from: holder.address, to: beneficiary.address, dryRun: true })
+    expect(dry_run.entries.map(entry => entry.status)).to.deep.equal(['simulated', 'simulated'])
+    expect(await firelight_vault.balanceOf(holder.address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT * 2n)
+
+    fs.writeFileSync(csv_file, `from,to\n${ holder.address },${ beneficiary.address }\n${ users[2].address },${ beneficiary.address }\n`)
+    const report = await run('rescue', { csv: csv_file, batchSize: 1 })
+
+    expect(await firelight_vault.balanceOf(beneficiary.address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT * 2n)
+    for (const period of [first_period, first_period + 1n])
+      expect(await firelight_vault.withdrawalsOf(period, beneficiary.address)).to.equal(REDEEM_AMOUNT)
+    expect(report.entries.filter(entry => entry.kind === 'withdrawals').map(entry => entry.periods))
+      .to.deep.equal([[first_period], [first_period + 1n]])
+    expect(report.entries.find(entry => entry.from === users[2].address)).to.deep.include({ status: 'skipped', reason: 'not blocklisted' })
+
+    // Nothing is left to rescue
+    const again = await run('rescue', { from: holder.address, to: beneficiary.address })
+    expect(again.entries.map(entry => entry.reason)).to.deep.equal(['no shares', 'no unclaimed withdrawals'])
+  })
+
+  it('records the failed calls in the report before throwing', async () => {
+    await firelight_vault.revokeRole(await firelight_vault.BLOCKLIST_ROLE(), deployer.address)
+    await expect(run('blocklist', { action: 'add', accounts: accounts[0], dryRun: true })).to.be.rejectedWith('1 call(s) failed')
+
+    const [file] = fs.readdirSync(out_dir).filter(name => name.includes('blocklist-add')).sort().slice(-1)
+    const report = JSON.parse(fs.readFileSync(path.join(out_dir, file), 'utf8'))
+    expect(report.entries[0].error).to.match(/AccessControlUnauthorizedAccount/)
+  })
+
+  it('records the addresses of the batches after a failed one as skipped', async () => {
+    const listed = [accounts[0], ethers.ZeroAddress, accounts[1], accounts[2]]
+    await expect(run('blocklist', { action: 'add', accounts: listed.join(','), batchSize: 1 })).to.be.rejectedWith('1 call(s) failed')
+
+    const [file] = fs.readdirSync(out_dir).filter(name => name.includes('blocklist-add')).sort().slice(-1)
+    const report = JSON.parse(fs.readFileSync(path.join(out_dir, file), 'utf8'))
+    expect(report.entries.map(({ account, status }) => [account, status])).to.deep.equal([
+      [accounts[0], 'done'],
+      [ethers.ZeroAddress, 'failed'],
+      [accounts[1], 'skipped'],
+      [accounts[2], 'skipped']
+    ])
+    expect(report.entries[3].reason).to.equal('not sent after a failed batch')
+    expect(await firelight_vault.isBlocklisted(accounts[1])).to.equal(false)
+  })
+})
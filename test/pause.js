@@ -1,5 +1,6 @@
 const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
 const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
 const { expect } = require('chai')
 const { ethers } = require('hardhat')
 
@@ -78,4 +79,90 @@ describe('Pause test', function() {
     expect(shares.toString()).to.equal(DEPOSIT_AMOUNT / 4n)
     expect(tokens.toString()).to.equal(DEPOSIT_AMOUNT / 4n * 3n)  
   })
-})
\ No newline at end of file
+})
+describe('Operation pause test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REQUEST_AMOUNT = ethers.parseUnits('100', DECIMALS)
+
+  const OPERATIONS = {
+    deposits: { label: 'deposits', setter: 'setDepositsPaused', event: 'DepositsPauseUpdated' },
+    transfers: { label: 'transfers', setter: 'setTransfersPaused', event: 'TransfersPauseUpdated' },
+    withdrawRequests: { label: 'withdrawal requests', setter: 'setWithdrawRequestsPaused', event: 'WithdrawRequestsPauseUpdated' },
+    claims: { label: 'claims', setter: 'setClaimsPaused', event: 'ClaimsPauseUpdated' }
+  }
+
+  let claimable_period
+
+  // One call of each operation, with a claimable withdrawal to claim
+  const ATTEMPTS = {
+    deposits: () => firelight_vault.connect(users[0]).deposit(REQUEST_AMOUNT, users[0].address),
+    transfers: () => firelight_vault.connect(users[0]).transfer(users[1].address, REQUEST_AMOUNT),
+    withdrawRequests: () => firelight_vault.connect(users[0]).redeem(REQUEST_AMOUNT, users[0].address, users[0].address),
+    claims: () => firelight_vault.connect(users[0]).claimWithdraw(claimable_period)
+  }
+
+  beforeEach(async () => {
+    ({ firelight_vault, pauser, users, utils } = await loadFixture(deployVault.bind(null, { decimals: DECIMALS })))
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[0])
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT / 2n, users[0].address)
+    await firelight_vault.connect(users[0]).redeem(REQUEST_AMOUNT, users[0].address, users[0].address)
+    claimable_period = (await firelight_vault.currentPeriod()) + 1n
+    for (let i = 0; i < 2; i++)
+      await time.increaseTo(await firelight_vault.currentPeriodEnd())
+  })
+
+  it('lets only the pauser set the operation flags', async () => {
+    for (const [name, { setter, event }] of Object.entries(OPERATIONS)) {
+      await expect(firelight_vault.connect(users[0])[setter](true))
+        .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+      await expect(firelight_vault.connect(pauser)[setter](true)).to.emit(firelight_vault, event).withArgs(true)
+      expect(await firelight_vault[`${ name }Paused`]()).to.equal(true)
+      await expect(firelight_vault.connect(pauser)[setter](false)).to.emit(firelight_vault, event).withArgs(false)
+      expect(await firelight_vault[`${ name }Paused`]()).to.equal(false)
+    }
+  })
+
+  for (const [paused_name, { label, setter }] of Object.entries(OPERATIONS))
+    it(`pauses only the ${ label } with their flag`, async () => {
+      await firelight_vault.connect(pauser)[setter](true)
+
+      for (const [name, attempt] of Object.entries(ATTEMPTS)) {
+        if (name === paused_name)
+          await expect(attempt()).to.be.revertedWithCustomError(firelight_vault, 'EnforcedPause')
+        else
+          await expect(attempt()).not.to.be.reverted
+      }
+
+      await firelight_vault.connect(pauser)[setter](false)
+      await expect(ATTEMPTS[paused_name]()).not.to.be.reverted
+    })
+
+  it('keeps the global pause as master switch', async () => {
+    await firelight_vault.connect(pauser).setClaimsPaused(true)
+    await firelight_vault.connect(pauser).pause()
+    for (const attempt of Object.values(ATTEMPTS))
+      await expect(attempt()).to.be.revertedWithCustomError(firelight_vault, 'EnforcedPause')
+
+    // Unpausing the vault leaves the claims paused
+    await firelight_vault.connect(pauser).unpause()
+    await expect(ATTEMPTS.deposits()).not.to.be.reverted
+    await expect(ATTEMPTS.claims()).to.be.revertedWithCustomError(firelight_vault, 'EnforcedPause')
+  })
+
+  it('returns zero for maxDeposit, maxMint, maxWithdraw and maxRedeem of paused operations', async () => {
+    await firelight_vault.connect(pauser).setDepositsPaused(true)
+    expect(await firelight_vault.maxDeposit(users[0].address)).to.equal(0)
+    expect(await firelight_vault.maxMint(users[0].address)).to.equal(0)
+    expect(await firelight_vault.maxRedeem(users[0].address)).to.equal(DEPOSIT_AMOUNT / 2n - REQUEST_AMOUNT)
+
+    await firelight_vault.connect(pauser).setWithdrawRequestsPaused(true)
+    expect(await firelight_vault.maxWithdraw(users[0].address)).to.equal(0)
+    expect(await firelight_vault.maxRedeem(users[0].address)).to.equal(0)
+
+    const client = new FirelightVaultClient(firelight_vault.target, users[0])
+    expect(await client.pauseState())
+      .to.deep.equal({ paused: false, deposits: true, transfers: false, withdrawRequests: true, claims: false })
+  })
+})
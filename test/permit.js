@@ -0,0 +1,88 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient, permitTypedData, signPermit } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Permit test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let client, deadline
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS, permit_asset: true })
+    ))
+    await Promise.all(users.map(account => token_contract.mintTo(account.address, DEPOSIT_AMOUNT)))
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+    deadline = (await time.latest()) + 3600
+  })
+
+  it('supports EIP-2612 permits on the shares', async () => {
+    const { domain } = await permitTypedData(firelight_vault, users[0].address, users[1].address, 1n, deadline)
+    expect(domain.name).to.equal(config.lst)
+    expect(domain.verifyingContract).to.equal(firelight_vault.target)
+    expect(await firelight_vault.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain))
+
+    const { v, r, s } = await signPermit(users[0], firelight_vault, users[1].address, DEPOSIT_AMOUNT, deadline)
+    await firelight_vault.permit(users[0].address, users[1].address, DEPOSIT_AMOUNT, deadline, v, r, s)
+    expect(await firelight_vault.allowance(users[0].address, users[1].address)).to.equal(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.nonces(users[0].address)).to.equal(1)
+
+    // Replayed with a used nonce
+    await expect(firelight_vault.permit(users[0].address, users[1].address, DEPOSIT_AMOUNT, deadline, v, r, s))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC2612InvalidSigner')
+
+    const expired = await signPermit(users[0], firelight_vault, users[1].address, DEPOSIT_AMOUNT, deadline)
+    await time.increaseTo(deadline + 1)
+    await expect(firelight_vault.permit(users[0].address, users[1].address, DEPOSIT_AMOUNT, deadline, expired.v, expired.r, expired.s))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC2612ExpiredSignature')
+  })
+
+  it('deposits with a permit on the asset in one transaction', async () => {
+    const { deposits } = await client.depositWithPermit(DEPOSIT_AMOUNT, users[1].address)
+
+    expect(deposits[0].assets).to.equal(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.balanceOf(users[1].address)).to.equal(DEPOSIT_AMOUNT)
+    expect(await token_contract.allowance(users[0].address, firelight_vault.target)).to.equal(0)
+  })
+
+  it('mints with a permit on the asset in one transaction', async () => {
+    const { deposits } = await client.mintWithPermit(DEPOSIT_AMOUNT / 2n, users[0].address)
+
+    expect(deposits[0].shares).to.equal(DEPOSIT_AMOUNT / 2n)
+    expect(await token_contract.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT / 2n)
+  })
+
+  it('still deposits when the permit was front-run', async () => {
+    const { v, r, s } = await signPermit(users[0], token_contract, firelight_vault.target, DEPOSIT_AMOUNT, deadline)
+    await token_contract.connect(users[1]).permit(users[0].address, firelight_vault.target, DEPOSIT_AMOUNT, deadline, v, r, s)
+
+    await firelight_vault.connect(users[0]).depositWithPermit(DEPOSIT_AMOUNT, users[0].address, deadline, v, r, s)
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('reverts a deposit with an invalid permit and no allowance', async () => {
+    const { v, r, s } = await signPermit(users[1], token_contract, firelight_vault.target, DEPOSIT_AMOUNT, deadline)
+
+    await expect(firelight_vault.connect(users[0]).depositWithPermit(DEPOSIT_AMOUNT, users[0].address, deadline, v, r, s))
+      .to.be.revertedWithCustomError(token_contract, 'ERC20InsufficientAllowance')
+  })
+
+  it('lets a third party redeem with a permit on the shares', async () => {
+    await client.depositWithPermit(DEPOSIT_AMOUNT, users[0].address)
+    const permit = await client.signSharePermit(users[1].address, DEPOSIT_AMOUNT)
+
+    const { request } = await client.connect(users[1]).redeemWithPermit(DEPOSIT_AMOUNT, users[0].address, users[0].address, permit)
+    expect(request.assets).to.equal(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.balanceOf(users[0].address)).to.equal(0)
+    expect(await firelight_vault.allowance(users[0].address, users[1].address)).to.equal(0)
+
+    // Without a valid permit the caller needs an allowance
+    await token_contract.mintTo(users[0].address, DEPOSIT_AMOUNT)
+    await client.depositWithPermit(DEPOSIT_AMOUNT, users[0].address)
+    await expect(client.connect(users[1]).redeemWithPermit(DEPOSIT_AMOUNT, users[1].address, users[0].address, permit))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC20InsufficientAllowance')
+  })
+})
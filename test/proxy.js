@@ -5,18 +5,27 @@ const { expect } = require('chai')
 
 describe('Proxy test', function() {
   before(async () => {
-    ({ firelight_vault } = await loadFixture(
+    ({ firelight_vault, deployer, users } = await loadFixture(
       deployVault.bind()
     ))
   })
 
   it('upgrades contract and calls new function to update state variable', async () => {
     const FirelightVaultUpgradeTest = await ethers.getContractFactory('FirelightVaultUpgradeTest')
-    const upgraded = await upgrades.upgradeProxy(await firelight_vault.getAddress(), FirelightVaultUpgradeTest)
+    const upgraded = await upgrades.upgradeProxy(await firelight_vault.getAddress(), FirelightVaultUpgradeTest, {
+      constructorArgs: [await firelight_vault.extension()]
+    })
 
     await upgraded.updateVersion(2)
 
     const version = await upgraded.contractVersion()
     expect(version.toString()).to.equal('2')
   })
-})
\ No newline at end of file
+
+  it('only lets the admin reinitialize a vault upgraded without the call', async () => {
+    await expect(firelight_vault.connect(users[0]).reinitialize())
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await firelight_vault.connect(deployer).reinitialize()
+    expect(await firelight_vault.contractVersion()).to.equal(3n)
+  })
+})
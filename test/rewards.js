@@ -0,0 +1,113 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Rewards test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REWARD_AMOUNT = ethers.parseUnits('100', DECIMALS),
+        VESTING_DURATION = 86400
+
+  let client, start, end
+
+  before(async () => {
+    ({ token_contract, firelight_vault, reward_distributor, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+
+    await token_contract.mintTo(reward_distributor.address, REWARD_AMOUNT * 10n)
+    await token_contract.connect(reward_distributor).approve(firelight_vault.target, REWARD_AMOUNT * 10n)
+    client = new FirelightVaultClient(firelight_vault.target, reward_distributor)
+  })
+
+  it('reverts when the caller is not a reward distributor', async () => {
+    const distribute_attempt = firelight_vault.connect(users[0]).distributeRewards(REWARD_AMOUNT, VESTING_DURATION)
+    await expect(distribute_attempt).to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+  })
+
+  it('reverts when the vesting is longer than a period', async () => {
+    const distribute_attempt = firelight_vault.connect(reward_distributor).distributeRewards(REWARD_AMOUNT, config.period_configuration_duration + 1)
+    await expect(distribute_attempt).to.be.revertedWithCustomError(firelight_vault, 'InvalidVestingDuration')
+  })
+
+  it('does not change totalAssets when rewards are distributed', async () => {
+    const { distribution, receipt } = await client.distributeRewards(REWARD_AMOUNT, VESTING_DURATION)
+    start = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp
+    end = start + VESTING_DURATION
+
+    expect(distribution).to.deep.equal({ sender: reward_distributor.address, amount: REWARD_AMOUNT, vestingAmount: REWARD_AMOUNT, vestingEnd: BigInt(end) })
+    expect(await client.vestingSchedule()).to.deep.equal({ amount: REWARD_AMOUNT, start: BigInt(start), end: BigInt(end) })
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.totalAssetsAt(start)).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('does not let a deposit right after the distribution capture the rewards', async () => {
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address)
+    const assets = await firelight_vault.previewRedeem(await firelight_vault.balanceOf(users[1].address))
+
+    expect(assets).to.be.lessThan(DEPOSIT_AMOUNT + REWARD_AMOUNT / 100n)
+  })
+
+  it('vests the rewards linearly, and the checkpoints follow', async () => {
+    await time.increaseTo(start + VESTING_DURATION / 2)
+
+    const unvested = await firelight_vault.unvestedAssets()
+    expect(unvested).to.equal(REWARD_AMOUNT / 2n)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT - unvested)
+    expect(await firelight_vault.totalAssetsAt(start + VESTING_DURATION / 2)).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT / 2n)
+    expect(await firelight_vault.totalAssetsAt(start + VESTING_DURATION / 4)).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT / 4n)
+  })
+
+  it('merges a new distribution with the unvested rewards', async () => {
+    const { distribution } = await client.distributeRewards(REWARD_AMOUNT, VESTING_DURATION / 4)
+    const { start: new_start } = await client.vestingSchedule()
+
+    // Keeps the later end of the two schedules, unvested amounts are rounded up
+    const remaining = BigInt(end) - new_start,
+          unvested = (REWARD_AMOUNT * remaining + BigInt(VESTING_DURATION) - 1n) / BigInt(VESTING_DURATION)
+    expect(distribution.vestingEnd).to.equal(BigInt(end))
+    expect(distribution.vestingAmount).to.equal(REWARD_AMOUNT + unvested)
+  })
+
+  it('vests everything at the end of the schedule', async () => {
+    await time.increaseTo(end)
+
+    expect(await firelight_vault.unvestedAssets()).to.equal(0)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT * 2n)
+    expect(await firelight_vault.totalAssetsAt(end)).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT * 2n)
+  })
+
+  it('vests unsolicited transfers until the end of the next period once synced', async () => {
+    await token_contract.connect(reward_distributor).transfer(firelight_vault.target, REWARD_AMOUNT)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT * 2n)
+
+    const vesting_end = await firelight_vault.nextPeriodEnd()
+    const sync_tx = firelight_vault.connect(users[2]).syncRewards()
+    await expect(sync_tx).to.emit(firelight_vault, 'RewardsDistributed').withArgs(users[2].address, REWARD_AMOUNT, REWARD_AMOUNT, vesting_end)
+
+    // The transfer keeps vesting over the whole next period
+    await time.increaseTo(await firelight_vault.currentPeriodEnd())
+    expect(await firelight_vault.unvestedAssets()).to.be.greaterThan(0)
+    await time.increaseTo(vesting_end)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT * 3n)
+  })
+
+  it('reverts a sync when there is nothing to vest', async () => {
+    await expect(firelight_vault.syncRewards()).to.be.revertedWithCustomError(firelight_vault, 'InvalidAmount')
+  })
+
+  it('keeps the accounting when withdrawals are claimed', async () => {
+    const shares = await firelight_vault.balanceOf(users[1].address)
+    const { request } = await new FirelightVaultClient(firelight_vault.target, users[1]).redeem(shares, users[1].address, users[1].address)
+    await time.increase(config.period_configuration_duration * 2)
+    await firelight_vault.connect(users[1]).claimWithdraw(request.period)
+
+    expect(await firelight_vault.trackedAssets()).to.equal(await token_contract.balanceOf(firelight_vault.target))
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + REWARD_AMOUNT * 3n - request.assets)
+  })
+})
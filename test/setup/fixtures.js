@@ -1,5 +1,8 @@
 const { deployFAsset } = require('../../lib/utils_test')
-const { upgrades } = require('hardhat')
+const { deployVaultDelegates } = require('../../lib/deployments')
+const { encodeInitParams, loadAbi } = require('../../lib/vault_client')
+const hre = require('hardhat')
+const { upgrades } = hre
 
 const DEFAULT_CONFIG = {
   decimals: 6,
@@ -10,12 +13,15 @@ const DEFAULT_CONFIG = {
 }
 
 const deployVault = async (config = {}) => {
-  config = Object.assign(DEFAULT_CONFIG, config)
-  const abi_coder = ethers.AbiCoder.defaultAbiCoder()
-  let token_contract, firelight_vault
+  config = Object.assign({}, DEFAULT_CONFIG, config)
+  let token_contract, asset_manager, firelight_vault
 
-  ({ token_contract, asset_manager } = await deployFAsset([config.underlying, config.underlying, 'Ripple', 'XRP', config.decimals]))
-  let [deployer, rescuer, blocklister, pauser, limit_updater, period_configuration_updater, user1, user2, user3] = await ethers.getSigners()
+  // The FAsset has no EIP-2612 permit, the permit deposits are tested with a mock asset
+  if (config.permit_asset)
+    token_contract = await ethers.deployContract('MockPermitToken', [config.underlying, config.underlying, config.decimals])
+  else
+    ({ token_contract, asset_manager } = await deployFAsset([config.underlying, config.underlying, 'Ripple', 'XRP', config.decimals]))
+  let [deployer, rescuer, blocklister, pauser, limit_updater, period_configuration_updater, user1, user2, user3, reward_distributor, fee_manager, allowlister, allocator] = await ethers.getSigners()
   
   const FirelightVaultFactory = await ethers.getContractFactory('FirelightVault')
 
@@ -26,13 +32,21 @@ const deployVault = async (config = {}) => {
     pauser: pauser.address,
     periodConfigurationUpdater: period_configuration_updater.address,
     rescuer: rescuer.address,
+    rewardDistributor: reward_distributor.address,
+    feeManager: fee_manager.address,
+    allowlister: allowlister.address,
+    allocator: allocator.address,
     depositLimit: config.initial_deposit_limit,
     periodConfigurationDuration: config.period_configuration_duration
   }
-  const init_params = abi_coder.encode(['address','address','address','address','address','address','uint256','uint48'], Object.values(InitParams))
+  const init_params = encodeInitParams(InitParams)
 
-  // Deploy vault using proxy
-  firelight_vault = await upgrades.deployProxy(FirelightVaultFactory, [await token_contract.getAddress(), config.lst, config.lst, init_params])
+  // Deploy vault using proxy, with the contracts its fallback delegates to
+  const { extension } = await deployVaultDelegates(hre)
+  const proxy = await upgrades.deployProxy(FirelightVaultFactory, [await token_contract.getAddress(), config.lst, config.lst, init_params], {
+    constructorArgs: [extension]
+  })
+  firelight_vault = await ethers.getContractAt(loadAbi(), await proxy.getAddress())
 
   const utils = {
     mintAndApprove: async (amount, user) => {
@@ -51,6 +65,10 @@ const deployVault = async (config = {}) => {
     pauser,
     limit_updater,
     period_configuration_updater,
+    reward_distributor,
+    fee_manager,
+    allowlister,
+    allocator,
     users: [ user1, user2, user3 ],
     utils,
     config
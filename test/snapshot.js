@@ -0,0 +1,101 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { EventStore, VaultIndexer } = require('../lib/indexer')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { formatCsv, holdersFromEvents, takeSnapshot } = require('../lib/snapshot')
+const { buildMerkleTree, verifyProof } = require('../lib/merkle')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Snapshot test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REWARD_AMOUNT = ethers.parseUnits('300', DECIMALS)
+
+  let client, store, snapshot_timestamp, snapshot, distributor, reward_token, owner
+
+  before(async () => {
+    ({ token_contract, firelight_vault, deployer: owner, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    reward_token = token_contract
+
+    await Promise.all(users.map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+    await firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address)
+    await firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address)
+    await firelight_vault.connect(users[0]).transfer(users[2].address, DEPOSIT_AMOUNT / 2n)
+    snapshot_timestamp = await time.latest()
+
+    // Moves after the snapshot do not count
+    await time.increase(60)
+    await firelight_vault.connect(users[1]).transfer(owner.address, DEPOSIT_AMOUNT)
+
+    store = new EventStore()
+    await new VaultIndexer({ provider: ethers.provider, address: firelight_vault.target, store }).sync()
+    client = new FirelightVaultClient(firelight_vault.target, owner)
+  })
+
+  it('finds every holder from the indexed Transfer events', async () => {
+    const holders = holdersFromEvents(store.eventsByName('Transfer'))
+    expect(holders).to.have.members([users[0].address, users[1].address, users[2].address, owner.address])
+  })
+
+  it('reads the balances at the snapshot timestamp', async () => {
+    snapshot = await takeSnapshot(client, holdersFromEvents(store.eventsByName('Transfer')), snapshot_timestamp, { reward: REWARD_AMOUNT })
+
+    const balances = Object.fromEntries(snapshot.holders.map(h => [h.account, h.balance]))
+    expect(balances).to.deep.equal({
+      [users[0].address]: DEPOSIT_AMOUNT / 2n,
+      [users[1].address]: DEPOSIT_AMOUNT,
+      [users[2].address]: DEPOSIT_AMOUNT / 2n
+    })
+    expect(snapshot.totalBalance).to.equal(await firelight_vault.totalSupplyAt(snapshot_timestamp))
+    expect(snapshot.holders.find(h => h.account === users[1].address).amount).to.equal(REWARD_AMOUNT / 2n)
+    expect(formatCsv(snapshot).split('\n')[0]).to.equal('account,balance,amount')
+  })
+
+  it('builds proofs that verify against the root', async () => {
+    for (const { account, amount, proof } of snapshot.holders)
+      expect(verifyProof(snapshot.root, account, amount, proof)).to.equal(true)
+    expect(verifyProof(snapshot.root, users[0].address, REWARD_AMOUNT, snapshot.holders[0].proof)).to.equal(false)
+    expect(() => buildMerkleTree([{ account: owner.address, amount: 1n }, { account: owner.address, amount: 2n }]))
+      .to.throw('same account')
+  })
+
+  it('lets every holder claim its reward once from the distributor', async () => {
+    distributor = await ethers.deployContract('FirelightMerkleDistributor', [reward_token.target, snapshot.root, 0, owner.address])
+    await reward_token.mintTo(distributor.target, REWARD_AMOUNT)
+
+    for (const { account, amount, proof } of snapshot.holders) {
+      const balance_before = await reward_token.balanceOf(account)
+      await expect(distributor.claim(account, amount, proof)).to.emit(distributor, 'Claimed').withArgs(account, amount)
+      expect(await reward_token.balanceOf(account)).to.equal(balance_before + amount)
+    }
+
+    const { account, amount, proof } = snapshot.holders[0]
+    await expect(distributor.claim(account, amount, proof)).to.be.revertedWithCustomError(distributor, 'AlreadyClaimed')
+    expect(await distributor.isClaimed(account)).to.equal(true)
+  })
+
+  it('reverts a claim with a wrong amount or proof', async () => {
+    const { account, amount, proof } = snapshot.holders[1]
+    const other = await ethers.deployContract('FirelightMerkleDistributor', [reward_token.target, snapshot.root, 0, owner.address])
+
+    await expect(other.claim(account, amount + 1n, proof)).to.be.revertedWithCustomError(other, 'InvalidProof')
+    await expect(other.claim(owner.address, amount, proof)).to.be.revertedWithCustomError(other, 'InvalidProof')
+  })
+
+  it('closes the claims at the deadline and lets the owner recover the rest', async () => {
+    const deadline = (await time.latest()) + 3600
+    const other = await ethers.deployContract('FirelightMerkleDistributor', [reward_token.target, snapshot.root, deadline, owner.address])
+    await reward_token.mintTo(other.target, REWARD_AMOUNT)
+
+    await expect(other.recover(owner.address)).to.be.revertedWithCustomError(other, 'ClaimsOpen')
+    await time.increaseTo(deadline + 1)
+
+    const { account, amount, proof } = snapshot.holders[0]
+    await expect(other.claim(account, amount, proof)).to.be.revertedWithCustomError(other, 'ClaimsClosed')
+    await expect(other.connect(users[0]).recover(users[0].address)).to.be.revertedWithCustomError(other, 'OwnableUnauthorizedAccount')
+    await expect(other.recover(owner.address)).to.emit(other, 'Recovered').withArgs(owner.address, REWARD_AMOUNT)
+  })
+})
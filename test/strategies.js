@@ -0,0 +1,197 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Strategies test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        ALLOCATED_AMOUNT = ethers.parseUnits('1500', DECIMALS)
+
+  let deployer, allocator, strategy
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, utils, deployer, allocator } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    for (const account of users.slice(0, 2)) {
+      await utils.mintAndApprove(DEPOSIT_AMOUNT, account)
+      await firelight_vault.connect(account).deposit(DEPOSIT_AMOUNT, account.address)
+    }
+    strategy = await ethers.deployContract('MockStrategy', [token_contract.target, firelight_vault.target])
+    await firelight_vault.connect(deployer).addStrategy(strategy.target)
+  })
+
+  it('lets the admin add and remove strategies', async () => {
+    expect(await firelight_vault.strategies()).to.deep.equal([strategy.target])
+
+    const other = await ethers.deployContract('MockStrategy', [users[0].address, firelight_vault.target])
+    await expect(firelight_vault.connect(allocator).addStrategy(other.target))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await expect(firelight_vault.addStrategy(other.target))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidAssetAddress')
+    await expect(firelight_vault.addStrategy(strategy.target))
+      .to.be.revertedWithCustomError(firelight_vault, 'StrategyAlreadyAdded')
+
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await expect(firelight_vault.removeStrategy(strategy.target))
+      .to.be.revertedWithCustomError(firelight_vault, 'StrategyNotEmpty')
+
+    await firelight_vault.connect(allocator).deallocate(strategy.target, ALLOCATED_AMOUNT)
+    await expect(firelight_vault.removeStrategy(strategy.target))
+      .to.emit(firelight_vault, 'StrategyRemoved').withArgs(strategy.target)
+    expect(await firelight_vault.strategies()).to.deep.equal([])
+  })
+
+  it('deploys idle assets without changing the total assets', async () => {
+    await expect(firelight_vault.connect(users[0]).allocate(strategy.target, ALLOCATED_AMOUNT))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+
+    await expect(firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT))
+      .to.emit(firelight_vault, 'StrategyAllocated').withArgs(strategy.target, ALLOCATED_AMOUNT)
+    expect(await token_contract.balanceOf(strategy.target)).to.equal(ALLOCATED_AMOUNT)
+    expect(await firelight_vault.strategyAssets(strategy.target)).to.equal(ALLOCATED_AMOUNT)
+    expect(await firelight_vault.deployedAssets()).to.equal(ALLOCATED_AMOUNT)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n)
+
+    // The assets reserved for the withdrawal requests stay idle
+    await firelight_vault.connect(allocator).deallocate(strategy.target, ALLOCATED_AMOUNT)
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+    await expect(firelight_vault.connect(allocator).allocate(strategy.target, DEPOSIT_AMOUNT + 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'InsufficientLiquidity')
+  })
+
+  it('vests the reported yield and subtracts the reported losses at once', async () => {
+    const yield_amount = ethers.parseUnits('100', DECIMALS),
+          loss_amount = ethers.parseUnits('200', DECIMALS)
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+
+    await token_contract.mintTo(strategy.target, yield_amount)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.emit(firelight_vault, 'StrategyReported').withArgs(strategy.target, ALLOCATED_AMOUNT + yield_amount, yield_amount, 0)
+      .and.to.emit(firelight_vault, 'RewardsDistributed')
+    expect(await firelight_vault.unvestedAssets()).to.be.closeTo(yield_amount, yield_amount / 1000n)
+
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + yield_amount)
+
+    await strategy.lose(loss_amount)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.emit(firelight_vault, 'StrategyReported').withArgs(strategy.target, ALLOCATED_AMOUNT + yield_amount - loss_amount, 0, loss_amount)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * 2n + yield_amount - loss_amount)
+    expect(await firelight_vault.totalAssetsAt(await time.latest())).to.equal(DEPOSIT_AMOUNT * 2n + yield_amount - loss_amount)
+  })
+
+  it('takes a loss out of the unvested rewards first and never below zero total assets', async () => {
+    const yield_amount = ethers.parseUnits('100', DECIMALS),
+          loss_amount = ethers.parseUnits('50', DECIMALS)
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await token_contract.mintTo(strategy.target, yield_amount)
+    await firelight_vault.connect(allocator).reportStrategy(strategy.target)
+    const period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+
+    const total_assets = await firelight_vault.totalAssets()
+    await strategy.lose(loss_amount)
+    await firelight_vault.connect(allocator).reportStrategy(strategy.target)
+    expect(await firelight_vault.unvestedAssets()).to.be.closeTo(yield_amount - loss_amount, yield_amount / 1000n)
+    expect(await firelight_vault.totalAssets()).to.be.closeTo(total_assets, yield_amount / 1000n)
+
+    // Above the idle assets left after the pending withdrawals, the rest is taken out of the pending withdrawals
+    const remaining = await strategy.totalAssets()
+    await strategy.lose(remaining)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.emit(firelight_vault, 'StrategyReported').withArgs(strategy.target, 0, 0, remaining)
+      .and.to.emit(firelight_vault, 'WithdrawalLoss')
+    expect(await firelight_vault.deployedAssets()).to.equal(0)
+    expect(await firelight_vault.unvestedAssets()).to.equal(0)
+    expect(await firelight_vault.totalAssets()).to.equal(0)
+    expect(await firelight_vault.totalAssetsAt(await time.latest())).to.equal(0)
+
+    const idle_assets = ethers.parseUnits('2000', DECIMALS) - ALLOCATED_AMOUNT
+    expect(await firelight_vault.withdrawAssets(period)).to.equal(idle_assets)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(idle_assets)
+    expect(await token_contract.balanceOf(firelight_vault.target)).to.equal(idle_assets)
+  })
+
+  it('spreads a loss above the total assets over the withdrawals that are not claimable yet', async () => {
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await firelight_vault.connect(deployer).setWithdrawalCapacity(ethers.parseUnits('750', DECIMALS))
+    const period = (await firelight_vault.currentPeriod()) + 1n
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+
+    // 1000 out of the free assets, then 500 out of the 750 and 250 requested for the two periods
+    await strategy.lose(ALLOCATED_AMOUNT)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.emit(firelight_vault, 'WithdrawalLoss').withArgs(period, ethers.parseUnits('375', DECIMALS))
+      .and.to.emit(firelight_vault, 'WithdrawalLoss').withArgs(period + 1n, ethers.parseUnits('125', DECIMALS))
+    expect(await firelight_vault.withdrawAssets(period)).to.equal(ethers.parseUnits('375', DECIMALS))
+    expect(await firelight_vault.withdrawAssets(period + 1n)).to.equal(ethers.parseUnits('125', DECIMALS))
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(ethers.parseUnits('500', DECIMALS))
+    expect(await firelight_vault.totalAssets()).to.equal(0)
+  })
+
+  it('reverts a loss the withdrawals that are not claimable yet do not cover', async () => {
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+    await firelight_vault.connect(users[1]).redeem(DEPOSIT_AMOUNT / 2n, users[1].address, users[1].address)
+
+    // The claimable withdrawals keep their assets, so 1000 of the loss is left for the 500 requested since
+    await strategy.lose(ALLOCATED_AMOUNT)
+    await expect(firelight_vault.connect(allocator).reportStrategy(strategy.target))
+      .to.be.revertedWithCustomError(firelight_vault, 'LossExceedsAssets')
+  })
+
+  it('recalls the withdrawal requests not covered by the idle assets', async () => {
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+
+    const shortfall = DEPOSIT_AMOUNT - (DEPOSIT_AMOUNT * 2n - ALLOCATED_AMOUNT)
+    await expect(firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address))
+      .not.to.emit(firelight_vault, 'StrategyDeallocated')
+    await expect(firelight_vault.recallWithdrawals())
+      .to.emit(firelight_vault, 'StrategyDeallocated').withArgs(strategy.target, shortfall)
+    expect(await firelight_vault.deployedAssets()).to.equal(ALLOCATED_AMOUNT - shortfall)
+    expect(await firelight_vault.totalAssets()).to.equal(DEPOSIT_AMOUNT)
+
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+    await expect(firelight_vault.connect(users[0]).claimWithdraw((await firelight_vault.currentPeriod()) - 1n))
+      .to.changeTokenBalance(token_contract, users[0], DEPOSIT_AMOUNT)
+  })
+
+  it('recalls the pending withdrawals when the idle assets do not cover a claim', async () => {
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+    await time.increaseTo(await firelight_vault.nextPeriodEnd())
+
+    const claim = firelight_vault.connect(users[0]).claimWithdraw((await firelight_vault.currentPeriod()) - 1n)
+    await expect(claim).to.emit(firelight_vault, 'StrategyDeallocated').withArgs(strategy.target, ALLOCATED_AMOUNT - DEPOSIT_AMOUNT)
+    await expect(claim).to.changeTokenBalance(token_contract, users[0], DEPOSIT_AMOUNT)
+    expect(await firelight_vault.deployedAssets()).to.equal(DEPOSIT_AMOUNT)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(0)
+  })
+
+  it('skips the strategies that cannot pay and recalls from them later', async () => {
+    await firelight_vault.connect(allocator).allocate(strategy.target, ALLOCATED_AMOUNT)
+    await firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address)
+    await strategy.setFailing(true)
+
+    const shortfall = ALLOCATED_AMOUNT - DEPOSIT_AMOUNT,
+          reason = strategy.interface.encodeErrorResult('Failing', [])
+    await expect(firelight_vault.recallWithdrawals())
+      .to.emit(firelight_vault, 'StrategyRecallFailed').withArgs(strategy.target, shortfall, reason)
+      .and.not.to.emit(firelight_vault, 'StrategyDeallocated')
+    expect(await firelight_vault.deployedAssets()).to.equal(ALLOCATED_AMOUNT)
+
+    // Partly liquid, then fully
+    await strategy.setFailing(false)
+    await strategy.setLiquidity(ethers.parseUnits('200', DECIMALS))
+    await firelight_vault.recallWithdrawals()
+    expect(await firelight_vault.deployedAssets()).to.equal(ALLOCATED_AMOUNT - ethers.parseUnits('200', DECIMALS))
+
+    await strategy.setLiquidity(ethers.MaxUint256)
+    await firelight_vault.recallWithdrawals()
+    expect(await firelight_vault.deployedAssets()).to.equal(DEPOSIT_AMOUNT)
+    expect(await token_contract.balanceOf(firelight_vault.target)).to.equal(DEPOSIT_AMOUNT)
+  })
+})
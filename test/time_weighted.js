@@ -0,0 +1,73 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { EventStore, VaultIndexer, timeWeightedBalances } = require('../lib/indexer')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Time-weighted balance test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let start, end, store
+
+  const at = async (offset, tx) => {
+    await time.setNextBlockTimestamp(start + offset)
+    return tx()
+  }
+
+  before(async () => {
+    ({ firelight_vault, users, utils } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    await Promise.all(users.slice(0, 2).map(account => utils.mintAndApprove(DEPOSIT_AMOUNT, account)))
+
+    // users[0] holds 1000 shares for 300s then 500, users[1] 1000 shares from 100s to 600s, users[2] 500 from 300s
+    start = (await time.latest()) + 100
+    await at(0, () => firelight_vault.connect(users[0]).deposit(DEPOSIT_AMOUNT, users[0].address))
+    await at(100, () => firelight_vault.connect(users[1]).deposit(DEPOSIT_AMOUNT, users[1].address))
+    await at(300, () => firelight_vault.connect(users[0]).transfer(users[2].address, DEPOSIT_AMOUNT / 2n))
+    await at(600, () => firelight_vault.connect(users[1]).redeem(DEPOSIT_AMOUNT, users[1].address, users[1].address))
+    end = start + 1000
+    await time.increaseTo(end)
+
+    store = new EventStore()
+    await new VaultIndexer({ provider: ethers.provider, address: firelight_vault.target, store }).sync()
+  })
+
+  it('averages the balances and the total supply over the time held', async () => {
+    expect(await firelight_vault.timeWeightedBalanceOf(users[0].address, start, end)).to.equal(ethers.parseUnits('650', DECIMALS))
+    expect(await firelight_vault.timeWeightedBalanceOf(users[1].address, start, end)).to.equal(ethers.parseUnits('500', DECIMALS))
+    expect(await firelight_vault.timeWeightedBalanceOf(users[2].address, start, end)).to.equal(ethers.parseUnits('350', DECIMALS))
+    expect(await firelight_vault.timeWeightedBalanceOf(ethers.Wallet.createRandom().address, start, end)).to.equal(0)
+    expect(await firelight_vault.timeWeightedTotalSupply(start, end)).to.equal(ethers.parseUnits('1500', DECIMALS))
+
+    // A range without changes averages to the balance held
+    expect(await firelight_vault.timeWeightedBalanceOf(users[0].address, start + 400, start + 500)).to.equal(DEPOSIT_AMOUNT / 2n)
+    expect(await firelight_vault.timeWeightedBalanceOf(users[0].address, start - 50, start)).to.equal(0)
+  })
+
+  it('matches the reference implementation from the Transfer events', async () => {
+    const accounts = users.map(account => account.address)
+    const ranges = [[start, end], [start - 50, start + 150], [start + 100, start + 300], [start + 1, start + 2], [start + 250, start + 999]]
+
+    for (const [from, to] of ranges) {
+      const { balances, totalSupply } = timeWeightedBalances(store.events, from, to)
+      for (const account of accounts)
+        expect(await firelight_vault.timeWeightedBalanceOf(account, from, to)).to.equal(balances.get(account.toLowerCase()) || 0n)
+      expect(await firelight_vault.timeWeightedTotalSupply(from, to)).to.equal(totalSupply)
+    }
+  })
+
+  it('reverts on an empty or future time range', async () => {
+    const now = await time.latest()
+    await expect(firelight_vault.timeWeightedBalanceOf(users[0].address, start, start))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidTimeRange')
+    await expect(firelight_vault.timeWeightedTotalSupply(end, start))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidTimeRange')
+    await expect(firelight_vault.timeWeightedTotalSupply(start, now + 100))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidTimeRange')
+    await expect(firelight_vault.timeWeightedTotalSupply((await firelight_vault.timeWeightStart()) - 1n, start))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidTimeRange')
+    expect(() => timeWeightedBalances(store.events, end, start)).to.throw('Invalid time range')
+  })
+})
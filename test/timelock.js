@@ -0,0 +1,176 @@
+const { time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployFAsset } = require('../lib/utils_test')
+const { getVaultDeployment, readManifest } = require('../lib/deployments')
+const { executeCall, listOperations, pendingOperations, scheduleCall } = require('../lib/timelock')
+const { loadAbi } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('Timelock test', function() {
+  const MIN_DELAY = 2 * 24 * 3600,
+        NEW_LIMIT = 100000000000n
+
+  let out_dir, deployment, vault, timelock, proposer, outsider, limit_operation
+
+  before(async () => {
+    const { token_contract } = await deployFAsset(['fXRP', 'fXRP', 'Ripple', 'XRP', 6])
+    const [deployer, rescuer] = await ethers.getSigners()
+    proposer = deployer
+    outsider = rescuer
+
+    out_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firelight-deployments-'))
+    const config_file = path.join(out_dir, 'vault.json')
+    fs.writeFileSync(config_file, JSON.stringify({
+      asset: token_contract.target,
+      name: 'stfXRP',
+      symbol: 'stfXRP',
+      roles: { defaultAdmin: 'timelock', limitUpdater: 'timelock', periodConfigurationUpdater: 'timelock', rescuer: rescuer.address },
+      depositLimit: '50000000000',
+      periodConfigurationDuration: 604800,
+      timelock: { minDelay: MIN_DELAY, proposers: [proposer.address], executors: [ethers.ZeroAddress] }
+    }))
+
+    deployment = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir })
+    vault = await ethers.getContractAt(loadAbi(), deployment.proxy)
+    timelock = await ethers.getContractAt('FirelightTimelock', deployment.timelock.address)
+  })
+
+  after(() => {
+    fs.rmSync(out_dir, { recursive: true, force: true })
+  })
+
+  it('grants the timelocked roles and the ProxyAdmin to the timelock', async () => {
+    expect(await vault.hasRole(await vault.DEFAULT_ADMIN_ROLE(), timelock.target)).to.equal(true)
+    expect(await vault.hasRole(await vault.DEPOSIT_LIMIT_UPDATE_ROLE(), timelock.target)).to.equal(true)
+    expect(await vault.hasRole(await vault.RESCUER_ROLE(), outsider.address)).to.equal(true)
+    expect(await timelock.getMinDelay()).to.equal(MIN_DELAY)
+    expect(deployment.timelock.address).to.equal(timelock.target)
+  })
+
+  it('reverts direct calls from the former role holders', async () => {
+    const update_attempt = vault.connect(proposer).updateDepositLimit(NEW_LIMIT)
+    await expect(update_attempt).to.be.revertedWithCustomError(vault, 'AccessControlUnauthorizedAccount')
+  })
+
+  it('reverts scheduling by an address without the proposer role, or below the minimum delay', async () => {
+    const data = vault.interface.encodeFunctionData('updateDepositLimit', [NEW_LIMIT])
+    await expect(scheduleCall(timelock.connect(outsider), { target: vault.target, data }))
+      .to.be.revertedWithCustomError(timelock, 'AccessControlUnauthorizedAccount')
+    await expect(scheduleCall(timelock.connect(proposer), { target: vault.target, data, delay: MIN_DELAY - 1 }))
+      .to.be.revertedWithCustomError(timelock, 'TimelockInsufficientDelay')
+  })
+
+  it('schedules a deposit limit update and lists it as pending', async () => {
+    limit_operation = { target: vault.target, data: vault.interface.encodeFunctionData('updateDepositLimit', [NEW_LIMIT]) }
+    const { id, readyAt, receipt } = await scheduleCall(timelock.connect(proposer), limit_operation)
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber)
+    expect(readyAt).to.equal(BigInt(timestamp + MIN_DELAY))
+
+    const [pending] = await pendingOperations(timelock, { labels: { [vault.target.toLowerCase()]: 'stfXRP' } })
+    expect(pending.id).to.equal(id)
+    expect(pending.state).to.equal('waiting')
+    expect(pending.readyAt).to.equal(readyAt)
+    expect(pending.calls[0].label).to.equal('stfXRP')
+    expect(pending.calls[0].description).to.equal(`updateDepositLimit(${ NEW_LIMIT })`)
+  })
+
+  it('executes the update only once the delay has passed', async () => {
+    await expect(executeCall(timelock.connect(outsider), limit_operation))
+      .to.be.revertedWithCustomError(timelock, 'TimelockUnexpectedOperationState')
+
+    await time.increase(MIN_DELAY)
+    await executeCall(timelock.connect(outsider), limit_operation)
+
+    expect(await vault.depositLimit()).to.equal(NEW_LIMIT)
+    expect(await pendingOperations(timelock)).to.be.empty
+    expect((await listOperations(timelock))[0].state).to.equal('done')
+  })
+
+  it('cancels a scheduled role grant', async () => {
+    const operation = {
+      target: vault.target,
+      data: vault.interface.encodeFunctionData('grantRole', [await vault.PAUSE_ROLE(), outsider.address])
+    }
+    const { id } = await scheduleCall(timelock.connect(proposer), operation)
+    await expect(timelock.connect(proposer).cancel(id)).to.emit(timelock, 'Cancelled').withArgs(id)
+
+    await time.increase(MIN_DELAY)
+    await expect(executeCall(timelock.connect(outsider), operation))
+      .to.be.revertedWithCustomError(timelock, 'TimelockUnexpectedOperationState')
+    expect(await pendingOperations(timelock)).to.be.empty
+  })
+
+  it('lists a cancelled operation scheduled again with its new ready time', async () => {
+    const operation = {
+      target: vault.target,
+      data: vault.interface.encodeFunctionData('grantRole', [await vault.PAUSE_ROLE(), outsider.address])
+    }
+    const { id, readyAt } = await scheduleCall(timelock.connect(proposer), operation)
+
+    const [pending] = await pendingOperations(timelock)
+    expect(pending.id).to.equal(id)
+    expect(pending.readyAt).to.equal(readyAt)
+    expect(pending.readyAt).to.equal(await timelock.getTimestamp(id))
+
+    await timelock.connect(proposer).cancel(id)
+    expect(await pendingOperations(timelock)).to.be.empty
+  })
+
+  it('schedules an upgrade through upgrade-vault, then executes it once ready', async () => {
+    const { scheduled } = await hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUpgradeTest', out: out_dir })
+    expect(scheduled.timelock).to.equal(timelock.target)
+
+    const [pending] = await pendingOperations(timelock)
+    expect(pending.id).to.equal(scheduled.id)
+    expect(pending.calls[0].description).to.match(/^upgradeAndCall\(/)
+
+    const early = hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUpgradeTest', out: out_dir })
+    await expect(early).to.be.rejectedWith('cannot be executed before')
+
+    await time.increase(MIN_DELAY)
+    const { version } = await hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUpgradeTest', out: out_dir })
+    expect(await vault.contractVersion()).to.equal(version)
+    expect(getVaultDeployment('hardhat', 'stfXRP', out_dir).contractVersion).to.equal(Number(version))
+  })
+
+  it('upgrades the beacon proxies through the timelock the factory is handed over to', async () => {
+    const { token_contract } = await deployFAsset(['fBTC', 'fBTC', 'Bitcoin', 'BTC', 8])
+    const [deployer] = await ethers.getSigners()
+    const config_file = path.join(out_dir, 'fbtc.json'),
+          config = {
+            asset: token_contract.target,
+            name: 'stfBTC',
+            symbol: 'stfBTC',
+            roles: { defaultAdmin: 'timelock' },
+            depositLimit: '10000000000',
+            periodConfigurationDuration: 604800,
+            timelock: { minDelay: MIN_DELAY, proposers: [proposer.address], executors: [ethers.ZeroAddress] }
+          }
+    fs.writeFileSync(config_file, JSON.stringify(config))
+
+    const { address } = await hre.run('deploy-factory', { out: out_dir })
+    const fbtc_deployment = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir, factory: true })
+    const factory = await ethers.getContractAt('FirelightVaultFactory', address),
+          fbtc_timelock = await ethers.getContractAt('FirelightTimelock', fbtc_deployment.timelock.address)
+    expect(fbtc_deployment.admin).to.equal(null)
+    // The vault timelock does not take the factory over
+    expect(await factory.owner()).to.equal(deployer.address)
+    expect(readManifest('hardhat', out_dir).factory.owner).to.equal(deployer.address)
+
+    await factory.transferOwnership(fbtc_timelock.target)
+    const { token_contract: next_token } = await deployFAsset(['fDOGE', 'fDOGE', 'Dogecoin', 'DOGE', 8])
+    fs.writeFileSync(config_file, JSON.stringify({ ...config, asset: next_token.target, name: 'stfDOGE', symbol: 'stfDOGE' }))
+    await expect(hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir, factory: true }))
+      .to.be.rejectedWith('deploy the vault through its owner')
+
+    const data = factory.interface.encodeFunctionData('upgradeVaults', [await factory.beacon()])
+    await expect(factory.connect(proposer).upgradeVaults(await factory.beacon()))
+      .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount')
+    await scheduleCall(fbtc_timelock.connect(proposer), { target: factory.target, data })
+    const [pending] = await pendingOperations(fbtc_timelock)
+    expect(pending.calls[0].description).to.match(/^upgradeVaults\(/)
+  })
+})
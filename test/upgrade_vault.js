@@ -0,0 +1,118 @@
+const { deployFAsset } = require('../lib/utils_test')
+const { getVaultDeployment } = require('../lib/deployments')
+const { compareLayouts, getCompiledLayouts } = require('../lib/storage_layout')
+const { loadAbi } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+describe('Upgrade vault task test', function() {
+  let out_dir, deployment
+
+  before(async () => {
+    const { token_contract } = await deployFAsset(['fXRP', 'fXRP', 'Ripple', 'XRP', 6])
+    const [deployer] = await ethers.getSigners()
+
+    out_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firelight-deployments-'))
+    const config_file = path.join(out_dir, 'vault.json')
+    fs.writeFileSync(config_file, JSON.stringify({
+      asset: token_contract.target,
+      name: 'stfXRP',
+      symbol: 'stfXRP',
+      roles: { defaultAdmin: deployer.address },
+      depositLimit: '50000000000',
+      periodConfigurationDuration: 604800
+    }))
+
+    deployment = await hre.run('deploy-vault', { vaultConfig: config_file, out: out_dir })
+  })
+
+  after(() => {
+    fs.rmSync(out_dir, { recursive: true, force: true })
+  })
+
+  it('initializes contractVersion to the implementation version', async () => {
+    const vault = await ethers.getContractAt('FirelightVault', deployment.proxy)
+    expect(await vault.contractVersion()).to.equal(await vault.implementationVersion())
+  })
+
+  it('keeps the storage layout of the first release in the vault and its delegate contracts', async () => {
+    // Layout of FirelightVault version 1, as the upgrades plugin recorded it for the deployed proxies
+    const original = JSON.parse(fs.readFileSync(path.join(__dirname, 'setup', 'FirelightVault.v1.layout.json'), 'utf8'))
+
+    const factories = {}
+    for (const name of ['FirelightVault', 'FirelightVaultExtension', 'FirelightVaultManagement', 'FirelightVaultAllocation'])
+      factories[name] = await ethers.getContractFactory(name)
+    const layouts = await getCompiledLayouts(hre, factories)
+
+    for (const [name, layout] of Object.entries(layouts)) {
+      const { ok, explanation } = compareLayouts(original, layout)
+      expect(ok, `${ name }: ${ explanation }`).to.equal(true)
+    }
+  })
+
+  it('refuses an implementation with an incompatible storage layout', async () => {
+    const upgrade = hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUnsafeUpgradeTest', out: out_dir })
+    await expect(upgrade).to.be.rejectedWith('incompatible storage layout')
+
+    const report = fs.readFileSync(path.join(out_dir, 'reports', 'hardhat-stfXRP-vnext.md'), 'utf8')
+    expect(report).to.contain('INCOMPATIBLE')
+    expect(report).to.contain('ShiftedStorage.shifted')
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.proxy)).to.equal(deployment.implementation)
+  })
+
+  it('refuses a delegate contract with an incompatible storage layout', async () => {
+    const upgrade = hre.run('upgrade-vault', {
+      symbol: 'stfXRP',
+      contract: 'FirelightVaultUpgradeTest',
+      extension: 'FirelightVaultUnsafeUpgradeTest',
+      out: out_dir
+    })
+    await expect(upgrade).to.be.rejectedWith('incompatible storage layout of FirelightVaultUnsafeUpgradeTest')
+
+    const report = fs.readFileSync(path.join(out_dir, 'reports', 'hardhat-stfXRP-vnext.md'), 'utf8')
+    expect(report).to.contain('Storage layout: compatible')
+    expect(report).to.contain('Storage layout of FirelightVaultUnsafeUpgradeTest: INCOMPATIBLE')
+    expect(report).to.contain('Storage layout of FirelightVaultManagement: compatible')
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.proxy)).to.equal(deployment.implementation)
+  })
+
+  it('refuses an implementation that does not increase the version', async () => {
+    const upgrade = hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVault', out: out_dir })
+    await expect(upgrade).to.be.rejectedWith('is not above contractVersion')
+  })
+
+  it('writes a dry-run report without upgrading', async () => {
+    const { report } = await hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUpgradeTest', out: out_dir, dryRun: true })
+
+    const content = fs.readFileSync(report, 'utf8')
+    expect(content).to.contain('Storage layout: compatible')
+    expect(content).to.contain('Storage layout of FirelightVaultExtension: compatible')
+    expect(content).to.contain('Storage layout of FirelightVaultAllocation: compatible')
+    expect(content).to.match(/FirelightVaultStorage\.__gap \| unchanged/)
+    expect(content).to.match(/FirelightVaultStorage\._traceBalanceOf \| unchanged/)
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.proxy)).to.equal(deployment.implementation)
+  })
+
+  it('upgrades the proxy, bumps contractVersion through reinitialize and updates the manifest', async () => {
+    const { implementation, version } = await hre.run('upgrade-vault', { symbol: 'stfXRP', contract: 'FirelightVaultUpgradeTest', out: out_dir })
+
+    const vault = await ethers.getContractAt('FirelightVaultUpgradeTest', deployment.proxy)
+    expect(version).to.equal(3n)
+    expect(await vault.contractVersion()).to.equal(3n)
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.proxy)).to.equal(implementation)
+
+    const updated = getVaultDeployment('hardhat', 'stfXRP', out_dir)
+    expect(updated.implementation).to.equal(implementation)
+    expect(updated.contractVersion).to.equal(3)
+    expect(updated.upgrades).to.have.length(1)
+    expect(updated.upgrades[0].from).to.equal(deployment.implementation)
+  })
+
+  it('reverts when reinitialize is called again for the same version', async () => {
+    const vault = await ethers.getContractAt(loadAbi(), deployment.proxy)
+    await expect(vault.reinitialize()).to.be.revertedWithCustomError(vault, 'InvalidInitialization')
+  })
+})
@@ -0,0 +1,81 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient, periodAtTimestamp, periodBounds } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Vault client test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS)
+
+  let client, request
+
+  before(async () => {
+    ({ token_contract, firelight_vault, users, utils, config } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+
+    await utils.mintAndApprove(DEPOSIT_AMOUNT, users[0])
+    client = new FirelightVaultClient(firelight_vault.target, users[0])
+  })
+
+  it('formats and parses amounts with the vault decimals', async () => {
+    expect(await client.decimals()).to.equal(DECIMALS)
+    expect(await client.parseAmount('1.5')).to.equal(1500000n)
+    expect(await client.parseAmount(10n)).to.equal(10n)
+    expect(await client.formatAmount(DEPOSIT_AMOUNT)).to.equal('1000.0')
+  })
+
+  it('deposits and decodes the Deposit event', async () => {
+    const { deposits } = await client.deposit('1000', users[0].address)
+
+    expect(deposits).to.have.length(1)
+    expect(deposits[0].owner).to.equal(users[0].address)
+    expect(deposits[0].assets).to.equal(DEPOSIT_AMOUNT)
+    expect(await client.balanceOf(users[0].address)).to.equal(DEPOSIT_AMOUNT)
+  })
+
+  it('requests a withdrawal and decodes the WithdrawRequest event', async () => {
+    const current_period = await client.currentPeriod()
+    ;({ request } = await client.withdraw(DEPOSIT_AMOUNT / 2n, users[1].address, users[0].address))
+
+    expect(request).to.deep.equal({
+      sender: users[0].address,
+      receiver: users[1].address,
+      owner: users[0].address,
+      period: current_period + 1n,
+      assets: DEPOSIT_AMOUNT / 2n,
+      shares: DEPOSIT_AMOUNT / 2n
+    })
+    expect(await client.withdrawalsOf(request.period, users[1].address)).to.equal(DEPOSIT_AMOUNT / 2n)
+  })
+
+  it('computes periods off-chain consistently with the vault', async () => {
+    const configurations = await client.periodConfigurations(),
+          now = await time.latest()
+
+    expect(configurations).to.have.length(1)
+    expect(configurations[0].duration).to.equal(BigInt(config.period_configuration_duration))
+    expect(periodAtTimestamp(configurations, now)).to.equal(await client.currentPeriod())
+
+    const { start, end } = periodBounds(configurations, await client.currentPeriod())
+    expect(start).to.equal(await client.currentPeriodStart())
+    expect(end).to.equal(await client.currentPeriodEnd())
+  })
+
+  it('claims the withdrawal with the receiver and decodes the CompleteWithdraw event', async () => {
+    await time.increase(config.period_configuration_duration * 2)
+
+    const { claim } = await client.connect(users[1]).claimWithdraw(request.period)
+
+    expect(claim).to.deep.equal({ receiver: users[1].address, assets: DEPOSIT_AMOUNT / 2n, period: request.period })
+    expect(await token_contract.balanceOf(users[1].address)).to.equal(DEPOSIT_AMOUNT / 2n)
+  })
+
+  it('reads historical balances', async () => {
+    const ts = await time.latest()
+    expect(await client.balanceOfAt(users[0].address, ts)).to.equal(DEPOSIT_AMOUNT / 2n)
+    expect(await client.totalSupplyAt(ts)).to.equal(DEPOSIT_AMOUNT / 2n)
+    expect(await client.totalAssetsAt(ts)).to.equal(DEPOSIT_AMOUNT / 2n)
+  })
+})
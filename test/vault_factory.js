@@ -0,0 +1,142 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { deployFAsset } = require('../lib/utils_test')
+const { encodeInitParams, loadAbi } = require('../lib/vault_client')
+const { listVaults, readVaults, vaultForAsset } = require('../lib/registry')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Vault factory test', function() {
+  const DEPOSIT_LIMIT = ethers.parseUnits('100', 8),
+        PERIOD_DURATION = 86400
+
+  let deployer, pauser, factory, fbtc, init_params
+
+  const deployFactory = async () => {
+    const fixture = await deployVault({ decimals: 6 })
+    const implementation = await ethers.deployContract('FirelightVault', [await fixture.firelight_vault.extension()])
+    const factory = await ethers.deployContract('FirelightVaultFactory', [implementation.target, fixture.deployer.address])
+    const { token_contract: fbtc } = await deployFAsset(['fBTC', 'fBTC', 'Bitcoin', 'BTC', 8])
+    return { ...fixture, factory, fbtc }
+  }
+
+  beforeEach(async () => {
+    ({ firelight_vault, token_contract, deployer, pauser, users, factory, fbtc } = await loadFixture(deployFactory))
+    init_params = encodeInitParams({
+      defaultAdmin: deployer.address,
+      pauser: pauser.address,
+      depositLimit: DEPOSIT_LIMIT,
+      periodConfigurationDuration: PERIOD_DURATION
+    })
+  })
+
+  it('deploys and registers a beacon proxy vault per asset', async () => {
+    const deployment = factory.deployVault(fbtc.target, 'stfBTC', 'stfBTC', init_params)
+    await expect(deployment).to.emit(factory, 'VaultDeployed')
+    const vault_address = await factory.vaultOf(fbtc.target)
+    await expect(deployment).to.emit(factory, 'VaultRegistered').withArgs(fbtc.target, vault_address)
+    expect(await factory.vaults()).to.deep.equal([vault_address])
+
+    // The extension and the management are reached through the fallbacks of the beacon proxy too
+    const vault = await ethers.getContractAt(loadAbi(), vault_address)
+    expect(await vault.symbol()).to.equal('stfBTC')
+    expect(await vault.decimals()).to.equal(8)
+    expect(await vault.depositLimit()).to.equal(DEPOSIT_LIMIT)
+    expect(await vault.hasRole(await vault.PAUSE_ROLE(), pauser.address)).to.equal(true)
+    await expect(vault.connect(pauser).setClaimsPaused(true)).to.emit(vault, 'ClaimsPauseUpdated').withArgs(true)
+    await expect(vault.initialize(fbtc.target, 'stfBTC', 'stfBTC', init_params))
+      .to.be.revertedWithCustomError(vault, 'InvalidInitialization')
+  })
+
+  it('lets only the owner deploy a vault, once per asset', async () => {
+    await expect(factory.connect(users[0]).deployVault(fbtc.target, 'stfBTC', 'stfBTC', init_params))
+      .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount')
+    await expect(factory.deployVault(ethers.ZeroAddress, 'stfBTC', 'stfBTC', init_params))
+      .to.be.revertedWithCustomError(factory, 'InvalidAddress')
+
+    await factory.deployVault(fbtc.target, 'stfBTC', 'stfBTC', init_params)
+    await expect(factory.deployVault(fbtc.target, 'stfBTC2', 'stfBTC2', init_params))
+      .to.be.revertedWithCustomError(factory, 'VaultAlreadyRegistered').withArgs(fbtc.target)
+  })
+
+  it('registers the vaults deployed outside of the factory', async () => {
+    await expect(factory.connect(users[0]).registerVault(firelight_vault.target))
+      .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount')
+    // Any contract with an asset() is not a vault
+    const strategy = await ethers.deployContract('MockStrategy', [fbtc.target, firelight_vault.target])
+    await expect(factory.registerVault(strategy.target))
+      .to.be.revertedWithCustomError(factory, 'InvalidVault').withArgs(strategy.target)
+    await expect(factory.registerVault(firelight_vault.target))
+      .to.emit(factory, 'VaultRegistered').withArgs(token_contract.target, firelight_vault.target)
+    expect(await factory.vaultOf(token_contract.target)).to.equal(firelight_vault.target)
+
+    await expect(factory.deployVault(token_contract.target, 'stfXRP', 'stfXRP', init_params))
+      .to.be.revertedWithCustomError(factory, 'VaultAlreadyRegistered')
+    await expect(factory.registerVault(firelight_vault.target))
+      .to.be.revertedWithCustomError(factory, 'VaultAlreadyRegistered')
+  })
+
+  it('upgrades and reinitializes every deployed vault through the beacon', async () => {
+    await factory.registerVault(firelight_vault.target)
+    await factory.deployVault(fbtc.target, 'stfBTC', 'stfBTC', init_params)
+    const vault = await ethers.getContractAt(loadAbi(), await factory.vaultOf(fbtc.target)),
+          beacon = await ethers.getContractAt('UpgradeableBeacon', await factory.beacon())
+    const upgraded = await ethers.deployContract('FirelightVaultUpgradeTest', [await firelight_vault.extension()]),
+          version = await upgraded.implementationVersion()
+    expect(await factory.isBeaconVault(vault.target)).to.equal(true)
+    expect(await factory.isBeaconVault(firelight_vault.target)).to.equal(false)
+
+    await expect(beacon.upgradeTo(upgraded.target))
+      .to.be.revertedWithCustomError(beacon, 'OwnableUnauthorizedAccount')
+    await expect(factory.connect(users[0]).upgradeVaults(upgraded.target))
+      .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount')
+    await expect(factory.upgradeVaults(upgraded.target))
+      .to.emit(beacon, 'Upgraded').withArgs(upgraded.target)
+      .and.to.emit(vault, 'Initialized').withArgs(version)
+    expect(await vault.implementationVersion()).to.equal(version)
+    expect(await vault.contractVersion()).to.equal(version)
+    expect(await vault.depositLimit()).to.equal(DEPOSIT_LIMIT)
+    // The vaults registered from outside of the factory keep their own implementation
+    expect(await firelight_vault.contractVersion()).to.equal(version - 1n)
+
+    // Reinitialized once per version, and a vault that reverts does not block the others
+    const { token_contract: fdoge } = await deployFAsset(['fDOGE', 'fDOGE', 'Dogecoin', 'DOGE', 8])
+    await factory.deployVault(fdoge.target, 'stfDOGE', 'stfDOGE', init_params)
+    const next_vault = await ethers.getContractAt(loadAbi(), await factory.vaultOf(fdoge.target))
+    await expect(factory.upgradeVaults(upgraded.target))
+      .to.emit(factory, 'VaultReinitializationFailed')
+      .withArgs(vault.target, vault.interface.encodeErrorResult('InvalidInitialization', []))
+      .and.to.emit(next_vault, 'Initialized').withArgs(version)
+    expect(await vault.contractVersion()).to.equal(version)
+  })
+
+  it('lists, looks up and reads the registered vaults', async () => {
+    await factory.registerVault(firelight_vault.target)
+    await factory.deployVault(fbtc.target, 'stfBTC', 'stfBTC', init_params)
+    const fbtc_vault = await factory.vaultOf(fbtc.target)
+
+    expect(await listVaults(factory.target, ethers.provider)).to.deep.equal([
+      { asset: token_contract.target, vault: firelight_vault.target },
+      { asset: fbtc.target, vault: fbtc_vault }
+    ])
+    expect(await vaultForAsset(factory, fbtc.target)).to.equal(fbtc_vault)
+    expect(await vaultForAsset(factory, users[0].address)).to.equal(null)
+
+    const [fxrp_row, fbtc_row] = await readVaults(factory.target, ethers.provider, { batchSize: 1 })
+    expect(fxrp_row.vault).to.equal(firelight_vault.target)
+    expect(fxrp_row.depositLimit).to.equal(await firelight_vault.depositLimit())
+    expect(fbtc_row).to.deep.include({
+      vault: fbtc_vault,
+      asset: fbtc.target,
+      symbol: 'stfBTC',
+      decimals: 8,
+      depositLimit: DEPOSIT_LIMIT,
+      withdrawalCapacity: 0n,
+      totalAssets: 0n,
+      totalSupply: 0n,
+      periodDuration: BigInt(PERIOD_DURATION),
+      paused: false
+    })
+    expect(fbtc_row.currentPeriodEnd).to.equal(await (await ethers.getContractAt('FirelightVault', fbtc_vault)).currentPeriodEnd())
+  })
+})
@@ -0,0 +1,140 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { FirelightVaultClient } = require('../lib/vault_client')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Withdrawal capacity test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        CAPACITY = ethers.parseUnits('300', DECIMALS),
+        REDEEM_AMOUNT = ethers.parseUnits('700', DECIMALS)
+
+  let deployer, blocklister, rescuer, period
+
+  const nextPeriodsEnd = async (count) => {
+    for (let i = 0; i < count; i++)
+      await time.increaseTo(await firelight_vault.currentPeriodEnd())
+  }
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, utils, deployer, blocklister, rescuer } = await loadFixture(
+      deployVault.bind(null, { decimals: DECIMALS })
+    ))
+    for (const account of users.slice(0, 2)) {
+      await utils.mintAndApprove(DEPOSIT_AMOUNT, account)
+      await firelight_vault.connect(account).deposit(DEPOSIT_AMOUNT, account.address)
+    }
+    await firelight_vault.connect(deployer).setWithdrawalCapacity(CAPACITY)
+    period = (await firelight_vault.currentPeriod()) + 1n
+  })
+
+  it('lets the admin set the capacity', async () => {
+    await expect(firelight_vault.connect(users[0]).setWithdrawalCapacity(0))
+      .to.be.revertedWithCustomError(firelight_vault, 'AccessControlUnauthorizedAccount')
+    await expect(firelight_vault.connect(deployer).setWithdrawalCapacity(CAPACITY * 2n))
+      .to.emit(firelight_vault, 'WithdrawalCapacityUpdated').withArgs(CAPACITY * 2n)
+    expect(await firelight_vault.withdrawalCapacity()).to.equal(CAPACITY * 2n)
+  })
+
+  it('spills a request over the capacity into the following periods', async () => {
+    expect(await firelight_vault.previewWithdrawPeriod(REDEEM_AMOUNT)).to.equal(period + 2n)
+
+    const request = firelight_vault.connect(users[0]).redeem(REDEEM_AMOUNT, users[0].address, users[0].address)
+    for (const [i, assets] of [CAPACITY, CAPACITY, REDEEM_AMOUNT - CAPACITY * 2n].entries())
+      await expect(request).to.emit(firelight_vault, 'WithdrawRequest')
+        .withArgs(users[0].address, users[0].address, users[0].address, period + BigInt(i), assets, assets)
+
+    expect(await firelight_vault.withdrawAssets(period)).to.equal(CAPACITY)
+    expect(await firelight_vault.withdrawAssets(period + 1n)).to.equal(CAPACITY)
+    expect(await firelight_vault.withdrawAssets(period + 2n)).to.equal(REDEEM_AMOUNT - CAPACITY * 2n)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(REDEEM_AMOUNT)
+
+    // The next request fills the rest of the last period first
+    const rest = CAPACITY * 3n - REDEEM_AMOUNT
+    expect(await firelight_vault.previewWithdrawPeriod(rest)).to.equal(period + 2n)
+    expect(await firelight_vault.previewWithdrawPeriod(rest + 1n)).to.equal(period + 3n)
+    expect(await firelight_vault.connect(users[1]).requestRedeem.staticCall(rest + 1n, users[1].address, users[1].address))
+      .to.equal(period + 3n)
+  })
+
+  it('reverts when a request would spill over too many periods', async () => {
+    const max_periods = await firelight_vault.MAX_SPILLOVER_PERIODS()
+    await firelight_vault.connect(deployer).setWithdrawalCapacity(ethers.parseUnits('10', DECIMALS))
+
+    expect(await firelight_vault.previewWithdrawPeriod(ethers.parseUnits('520', DECIMALS))).to.equal(period + max_periods - 1n)
+    await expect(firelight_vault.previewWithdrawPeriod(ethers.parseUnits('520', DECIMALS) + 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'TooManySpilloverPeriods')
+    await expect(firelight_vault.connect(users[0]).withdraw(ethers.parseUnits('520', DECIMALS) + 1n, users[0].address, users[0].address))
+      .to.be.revertedWithCustomError(firelight_vault, 'TooManySpilloverPeriods')
+    await expect(firelight_vault.connect(users[0]).withdraw(ethers.parseUnits('520', DECIMALS), users[0].address, users[0].address))
+      .to.emit(firelight_vault, 'WithdrawRequest')
+    expect(await firelight_vault.withdrawAssets(period + max_periods - 1n)).to.equal(ethers.parseUnits('10', DECIMALS))
+  })
+
+  it('pays each period of a spilled request at its end', async () => {
+    const client = new FirelightVaultClient(firelight_vault.target, users[0])
+    const { requests } = await client.requestRedeem(REDEEM_AMOUNT, users[0].address, users[0].address)
+    expect(requests.map(request => request.period)).to.deep.equal([period, period + 1n, period + 2n])
+    await nextPeriodsEnd(2)
+
+    expect(await firelight_vault.withdrawalsOf(period, users[0].address)).to.equal(CAPACITY)
+    await expect(firelight_vault.connect(users[0]).claimWithdraw(period + 1n))
+      .to.be.revertedWithCustomError(firelight_vault, 'InvalidPeriod')
+    await firelight_vault.connect(users[0]).claimWithdraw(period)
+    expect(await token_contract.balanceOf(users[0].address)).to.equal(CAPACITY)
+
+    await nextPeriodsEnd(2)
+    await firelight_vault.connect(users[0]).claimWithdraw(period + 1n)
+    await firelight_vault.connect(users[0]).claimWithdraw(period + 2n)
+    expect(await token_contract.balanceOf(users[0].address)).to.equal(REDEEM_AMOUNT)
+    expect(await firelight_vault.pendingWithdrawAssets()).to.equal(0)
+  })
+
+  it('rescues every period of a spilled request', async () => {
+    await firelight_vault.connect(users[0]).redeem(REDEEM_AMOUNT, users[0].address, users[0].address)
+    await firelight_vault.connect(blocklister).addToBlocklist(users[0].address)
+
+    const periods = [period, period + 1n, period + 2n]
+    await expect(firelight_vault.connect(rescuer).rescueWithdrawFromBlocklisted(users[0].address, users[2].address, periods))
+      .to.emit(firelight_vault, 'WithdrawRescuedFromBlocklisted')
+      .withArgs(users[0].address, users[2].address, periods, [CAPACITY, CAPACITY, REDEEM_AMOUNT - CAPACITY * 2n])
+
+    for (const p of periods)
+      expect(await firelight_vault.withdrawalsOf(p, users[0].address)).to.equal(0)
+    expect(await firelight_vault.withdrawalsOf(period + 2n, users[2].address)).to.equal(REDEEM_AMOUNT - CAPACITY * 2n)
+  })
+
+  it('mints a withdrawal ticket per spilled period', async () => {
+    const tickets = await ethers.deployContract('FirelightWithdrawalTickets', [firelight_vault.target, 'stfXRP Withdrawal', 'stfXRP-W'])
+    await firelight_vault.connect(users[0]).setOperator(tickets.target, true)
+
+    const request = tickets.connect(users[0]).requestRedeem(REDEEM_AMOUNT, users[2].address)
+    await expect(request).to.emit(tickets, 'TicketIssued')
+      .withArgs(2, users[0].address, users[2].address, period + 2n, REDEEM_AMOUNT - CAPACITY * 2n, REDEEM_AMOUNT - CAPACITY * 2n)
+    expect(await tickets.balanceOf(users[2].address)).to.equal(3)
+    expect(await tickets.tickets(1)).to.deep.equal([period + 1n, CAPACITY])
+  })
+
+  it('blocks the cancellations while a capacity is set', async () => {
+    // Filling the capacity of the next periods, then cancelling, would push the other requests out for free
+    await firelight_vault.connect(users[0]).redeem(REDEEM_AMOUNT, users[0].address, users[0].address)
+    await expect(firelight_vault.connect(users[0]).cancelWithdraw(period))
+      .to.be.revertedWithCustomError(firelight_vault, 'CancelWithdrawDisabled')
+    expect(await firelight_vault.previewWithdrawPeriod(CAPACITY * 3n - REDEEM_AMOUNT)).to.equal(period + 2n)
+
+    await firelight_vault.connect(deployer).setWithdrawalCapacity(0)
+    await expect(firelight_vault.connect(users[0]).cancelWithdraw(period))
+      .to.emit(firelight_vault, 'CancelWithdraw')
+  })
+
+  it('does not limit the requests with a zero capacity', async () => {
+    await firelight_vault.connect(deployer).setWithdrawalCapacity(0)
+    expect(await firelight_vault.previewWithdrawPeriod(DEPOSIT_AMOUNT * 2n)).to.equal(period)
+
+    await expect(firelight_vault.connect(users[0]).redeem(DEPOSIT_AMOUNT, users[0].address, users[0].address))
+      .to.emit(firelight_vault, 'WithdrawRequest')
+      .withArgs(users[0].address, users[0].address, users[0].address, period, DEPOSIT_AMOUNT, DEPOSIT_AMOUNT)
+    expect(await firelight_vault.withdrawAssets(period)).to.equal(DEPOSIT_AMOUNT)
+  })
+})
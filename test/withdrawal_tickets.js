@@ -0,0 +1,133 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers')
+const { deployVault } = require('./setup/fixtures.js')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('Withdrawal tickets test', function() {
+  const DECIMALS = 6,
+        DEPOSIT_AMOUNT = ethers.parseUnits('1000', DECIMALS),
+        REDEEM_AMOUNT = ethers.parseUnits('400', DECIMALS)
+
+  let tickets, seller, buyer, other
+
+  const deployTickets = async () => {
+    const fixture = await deployVault({ decimals: DECIMALS })
+    const tickets = await ethers.deployContract('FirelightWithdrawalTickets', [fixture.firelight_vault.target, 'stfXRP Withdrawal', 'stfXRP-W'])
+    return { ...fixture, tickets }
+  }
+
+  const nextPeriodsEnd = async (count) => {
+    for (let i = 0; i < count; i++)
+      await time.increaseTo(await firelight_vault.currentPeriodEnd())
+  }
+
+  beforeEach(async () => {
+    ({ token_contract, firelight_vault, users, utils, blocklister, rescuer, pauser, tickets } = await loadFixture(deployTickets))
+    ;[seller, buyer, other] = users
+
+    for (const account of [seller, other]) {
+      await utils.mintAndApprove(DEPOSIT_AMOUNT, account)
+      await firelight_vault.connect(account).deposit(DEPOSIT_AMOUNT, account.address)
+      await firelight_vault.connect(account).setOperator(tickets.target, true)
+    }
+  })
+
+  it('mints a ticket per withdrawal request', async () => {
+    const period = (await firelight_vault.currentPeriod()) + 1n
+
+    const request = tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address)
+    await expect(request).to.emit(tickets, 'TicketIssued').withArgs(0, seller.address, seller.address, period, REDEEM_AMOUNT, REDEEM_AMOUNT)
+    await expect(request).to.emit(firelight_vault, 'WithdrawRequest')
+      .withArgs(tickets.target, tickets.target, seller.address, period, REDEEM_AMOUNT, REDEEM_AMOUNT)
+
+    expect(await tickets.ownerOf(0)).to.equal(seller.address)
+    expect(await tickets.tickets(0)).to.deep.equal([period, REDEEM_AMOUNT])
+    expect(await tickets.assetsOf(0)).to.equal(REDEEM_AMOUNT)
+    expect(await firelight_vault.balanceOf(seller.address)).to.equal(DEPOSIT_AMOUNT - REDEEM_AMOUNT)
+    expect(await firelight_vault.withdrawalsOf(period, tickets.target)).to.equal(REDEEM_AMOUNT)
+
+    // Without operator approval or allowance on the vault
+    await firelight_vault.connect(other).setOperator(tickets.target, false)
+    await expect(tickets.connect(other).requestRedeem(REDEEM_AMOUNT, other.address))
+      .to.be.revertedWithCustomError(firelight_vault, 'ERC20InsufficientAllowance')
+  })
+
+  it('does not wrap the withdrawal shares of other requests to this contract', async () => {
+    const period = (await firelight_vault.currentPeriod()) + 1n
+
+    await firelight_vault.connect(other).redeem(REDEEM_AMOUNT / 2n, tickets.target, other.address)
+    await expect(tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address))
+      .to.emit(tickets, 'TicketIssued').withArgs(0, seller.address, seller.address, period, REDEEM_AMOUNT, REDEEM_AMOUNT)
+    expect(await tickets.tickets(0)).to.deep.equal([period, REDEEM_AMOUNT])
+    expect(await firelight_vault.withdrawSharesOf(period, tickets.target)).to.equal(REDEEM_AMOUNT * 3n / 2n)
+  })
+
+  it('lets the current holder claim a transferred ticket', async () => {
+    await tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address)
+    await tickets.connect(other).requestRedeem(REDEEM_AMOUNT / 2n, other.address)
+    await tickets.connect(seller).transferFrom(seller.address, buyer.address, 0)
+
+    await expect(tickets.connect(buyer).claim(0)).to.be.revertedWithCustomError(firelight_vault, 'InvalidPeriod')
+    await nextPeriodsEnd(2)
+
+    await expect(tickets.connect(seller).claim(0)).to.be.revertedWithCustomError(tickets, 'ERC721InsufficientApproval')
+    await expect(tickets.connect(buyer).claim(0))
+      .to.emit(tickets, 'TicketClaimed').withArgs(0, buyer.address, REDEEM_AMOUNT)
+    expect(await token_contract.balanceOf(buyer.address)).to.equal(REDEEM_AMOUNT)
+    await expect(tickets.ownerOf(0)).to.be.revertedWithCustomError(tickets, 'ERC721NonexistentToken')
+
+    // The first claim of the period claimed every ticket from the vault, the others are paid from this contract
+    await expect(tickets.connect(other).claim(1)).to.changeTokenBalance(token_contract, other, REDEEM_AMOUNT / 2n)
+    expect(await token_contract.balanceOf(tickets.target)).to.equal(0)
+  })
+
+  it('applies the vault pauses to the claims paid from this contract', async () => {
+    await tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address)
+    await tickets.connect(other).requestRedeem(REDEEM_AMOUNT, other.address)
+    await nextPeriodsEnd(2)
+    await tickets.connect(seller).claim(0)
+
+    await firelight_vault.connect(pauser).pause()
+    await expect(tickets.connect(other).claim(1)).to.be.revertedWithCustomError(tickets, 'EnforcedPause')
+    await firelight_vault.connect(pauser).unpause()
+
+    await firelight_vault.connect(pauser).setClaimsPaused(true)
+    await expect(tickets.connect(other).claim(1)).to.be.revertedWithCustomError(tickets, 'EnforcedPause')
+    await firelight_vault.connect(pauser).setClaimsPaused(false)
+
+    await expect(tickets.connect(other).claim(1)).to.changeTokenBalance(token_contract, other, REDEEM_AMOUNT)
+  })
+
+  it('applies the vault blocklist to transfers and claims', async () => {
+    await tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address)
+    await firelight_vault.connect(blocklister).addToBlocklist(buyer.address)
+
+    await expect(tickets.connect(seller).transferFrom(seller.address, buyer.address, 0))
+      .to.be.revertedWithCustomError(tickets, 'BlocklistedAddress')
+    await expect(tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, buyer.address))
+      .to.be.revertedWithCustomError(tickets, 'BlocklistedAddress')
+
+    await firelight_vault.connect(blocklister).addToBlocklist(seller.address)
+    await expect(tickets.connect(seller).transferFrom(seller.address, other.address, 0))
+      .to.be.revertedWithCustomError(tickets, 'BlocklistedAddress')
+    await nextPeriodsEnd(2)
+    await expect(tickets.connect(seller).claim(0)).to.be.revertedWithCustomError(tickets, 'BlocklistedAddress')
+  })
+
+  it('lets the vault rescuer move the tickets of blocklisted holders', async () => {
+    await tickets.connect(seller).requestRedeem(REDEEM_AMOUNT, seller.address)
+
+    await expect(tickets.connect(rescuer).rescueFromBlocklisted(0, rescuer.address))
+      .to.be.revertedWithCustomError(tickets, 'NotBlocklistedAddress')
+    await firelight_vault.connect(blocklister).addToBlocklist(seller.address)
+    await expect(tickets.connect(other).rescueFromBlocklisted(0, other.address))
+      .to.be.revertedWithCustomError(tickets, 'NotRescuer')
+
+    await expect(tickets.connect(rescuer).rescueFromBlocklisted(0, rescuer.address))
+      .to.emit(tickets, 'TicketRescued').withArgs(0, seller.address, rescuer.address)
+    expect(await tickets.ownerOf(0)).to.equal(rescuer.address)
+
+    await nextPeriodsEnd(2)
+    await expect(tickets.connect(rescuer).claim(0)).to.changeTokenBalance(token_contract, rescuer, REDEEM_AMOUNT)
+  })
+})